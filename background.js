@@ -4,6 +4,9 @@
  * Minimal coordinator logic for extension lifecycle management
  */
 
+// Shared storage helpers, schema migrations, the capture pipeline, batch captures and device sync
+importScripts('leetcodeSites.js', 'problemStore.js', 'validation.js', 'storage.js', 'migrations.js', 'captureService.js', 'batchCapture.js', 'syncManager.js');
+
 console.log('LeetCode Doc Generator background service worker loaded');
 
 /**
@@ -41,29 +44,70 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Keep message channel open for async response
   }
   
+  // Handle CAPTURE_PROBLEM from the popup; duplicates are reported back for the user to resolve
+  if (message.type === 'CAPTURE_PROBLEM' && !isFromContentScript) {
+    captureProblem(message.data, {
+      onDuplicate: message.onDuplicate,
+      allowNotAccepted: !!message.allowNotAccepted
+    })
+      .then((result) => {
+        console.log('Capture handled:', result.status);
+        sendResponse({ success: true, result });
+      })
+      .catch((error) => {
+        console.error('Error saving captured problem:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    
+    return true;
+  }
+  
   // Handle AUTO_EXTRACTED_DATA from keyboard shortcut or redirect
   if (message.type === 'AUTO_EXTRACTED_DATA' && isFromContentScript) {
     console.log('Auto-extracted data from content script:', message.data);
     
-    // Import storage helper functions and save the problem
-    // We'll notify the user via a simple notification
-    chrome.storage.local.get(['problems'], (result) => {
-      const problems = result.problems || [];
-      
-      // Add the new problem
-      const newProblem = {
-        id: Date.now().toString(),
-        ...message.data,
-        timestamp: Date.now()
-      };
-      
-      problems.push(newProblem);
-      
-      chrome.storage.local.set({ problems }, () => {
-        console.log('Problem saved via keyboard shortcut');
-        sendResponse({ success: true, message: 'Problem saved' });
+    captureAutoExtractedProblem(message.data)
+      .then((result) => {
+        console.log('Auto-extracted problem handled:', result.status);
+        sendResponse({ success: true, message: 'Problem saved', status: result.status });
+      })
+      .catch((error) => {
+        console.error('Error saving auto-extracted problem:', error);
+        sendResponse({ success: false, error: error.message });
       });
-    });
+    
+    return true;
+  }
+  
+  // Handle the popup's batch capture controls; progress is reported through storage
+  if (message.type === 'START_BATCH_CAPTURE' && !isFromContentScript) {
+    startBatchCapture(message.slugs, message.tabId)
+      .then((job) => sendResponse({ success: true, job }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    
+    return true;
+  }
+  
+  if (message.type === 'RETRY_BATCH_CAPTURE' && !isFromContentScript) {
+    retryBatchCapture(message.tabId)
+      .then((job) => sendResponse({ success: true, job }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    
+    return true;
+  }
+  
+  if (message.type === 'CANCEL_BATCH_CAPTURE' && !isFromContentScript) {
+    cancelBatchCapture();
+    sendResponse({ success: true });
+    return true;
+  }
+  
+  // Handle SYNC_NOW from the popup's "Sync now" button
+  if (message.type === 'SYNC_NOW' && !isFromContentScript) {
+    syncNow()
+      .then(() => getSyncStatus())
+      .then((status) => sendResponse({ success: true, status }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
     
     return true;
   }
@@ -74,12 +118,34 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true;
 });
 
+/**
+ * Sync problem sets when they change here or on another device
+ * Sync bookkeeping keys are ignored so a sync run doesn't trigger the next one
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  const keys = Object.keys(changes);
+  
+  if (areaName === 'sync' && keys.some(key => key.startsWith('sync:'))) {
+    scheduleSync('changes from another device');
+  } else if (areaName === 'local' && keys.some(key => key === WORKSPACE_KEY || key === SETTINGS_KEY || key.startsWith(PROBLEM_SET_KEY_PREFIX))) {
+    scheduleSync('local changes');
+  }
+});
+
 /**
  * Handle extension installation or update
+ * Brings stored data up to the current schema before anything else reads it
  */
-chrome.runtime.onInstalled.addListener((details) => {
+chrome.runtime.onInstalled.addListener(async (details) => {
   console.log('Extension installed/updated:', details.reason);
   
+  try {
+    const version = await runMigrations();
+    console.log('Storage schema version:', version);
+  } catch (error) {
+    console.error('Error migrating storage:', error);
+  }
+  
   if (details.reason === 'install') {
     console.log('First time installation');
     // Could initialize default storage values here if needed
@@ -91,8 +157,20 @@ chrome.runtime.onInstalled.addListener((details) => {
 /**
  * Handle extension startup
  */
-chrome.runtime.onStartup.addListener(() => {
+chrome.runtime.onStartup.addListener(async () => {
   console.log('Extension started');
+  
+  try {
+    await purgeExpiredTrash();
+  } catch (error) {
+    console.error('Error purging expired trash:', error);
+  }
+  
+  // Pick up changes other devices made while the browser was closed
+  scheduleSync('browser startup');
 });
 
+// A batch capture that was running when the service worker stopped carries on
+resumeBatchCapture().catch(error => console.error('Error resuming batch capture:', error));
+
 console.log('Background service worker initialized');
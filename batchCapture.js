@@ -0,0 +1,293 @@
+/**
+ * Batch Capture for LeetCode Documentation Generator
+ * Captures the latest accepted submission of each problem in a list, one problem at a time.
+ * The job runs in the background service worker and is kept in chrome.storage.local, so
+ * the popup can close and reopen while it runs and show its progress and final report.
+ * Depends on leetcodeSites.js and storage.js; the runner also needs captureService.js.
+ *
+ * Each problem is looked up by the content script of a LeetCode tab (CAPTURE_LATEST_ACCEPTED),
+ * which calls LeetCode's API with the user's session, then saved through the capture
+ * service with the same duplicate policies as automatic captures.
+ *
+ * Item statuses: pending -> capturing -> captured | skipped (already in the set) | failed
+ */
+
+const BATCH_CAPTURE_KEY = 'batchCapture';
+// Pause between problems so LeetCode doesn't rate-limit the API
+const BATCH_CAPTURE_DELAY_MS = 1500;
+
+let batchRunning = null;
+let batchCancelRequested = false;
+
+/**
+ * Parse the problems typed or pasted into the batch box
+ * Entries are separated by new lines, commas or spaces and may be slugs ("two-sum")
+ * or problem and submission URLs of a supported site
+ * @param {string} text - Batch box text
+ * @returns {{slugs: Array<string>, invalid: Array<string>}} Unique slugs in order, and entries that are neither
+ */
+function parseBatchCaptureInput(text) {
+  const slugs = [];
+  const invalid = [];
+  
+  String(text || '').split(/[\s,]+/).filter(Boolean).forEach(entry => {
+    const slug = /^https?:\/\//i.test(entry)
+      ? getLeetCodeProblemSlug(entry)
+      : (/^[a-z0-9]+(?:-[a-z0-9]+)*$/i.test(entry) ? entry.toLowerCase() : null);
+    
+    if (!slug) {
+      invalid.push(entry);
+    } else if (!slugs.includes(slug)) {
+      slugs.push(slug);
+    }
+  });
+  
+  return { slugs, invalid };
+}
+
+/**
+ * Get the current (or last) batch capture job
+ * @returns {Promise<Object|null>} Job {id, tabId, status: 'running'|'done'|'cancelled', startedAt,
+ *   finishedAt, items: [{slug, status, name, message, attempts}]}, or null if there has been none
+ */
+async function getBatchCaptureJob() {
+  const data = await chrome.storage.local.get(BATCH_CAPTURE_KEY);
+  return data[BATCH_CAPTURE_KEY] || null;
+}
+
+/**
+ * Save a batch capture job
+ * @param {Object} job - Job
+ * @returns {Promise<void>}
+ */
+async function saveBatchCaptureJob(job) {
+  await chrome.storage.local.set({ [BATCH_CAPTURE_KEY]: job });
+}
+
+/**
+ * Count the items of a job by status
+ * @param {Object} job - Job
+ * @returns {Object} {total, captured, skipped, failed, pending} where pending includes the item being captured
+ */
+function summarizeBatchCapture(job) {
+  const count = (...statuses) => job.items.filter(item => statuses.includes(item.status)).length;
+  
+  return {
+    total: job.items.length,
+    captured: count('captured'),
+    skipped: count('skipped'),
+    failed: count('failed'),
+    pending: count('pending', 'capturing')
+  };
+}
+
+/**
+ * Write the report of a job as plain text, listing the problems that could not be captured
+ * @param {Object} job - Job
+ * @returns {string} Report
+ */
+function formatBatchCaptureReport(job) {
+  const summary = summarizeBatchCapture(job);
+  const finished = job.finishedAt ? new Date(job.finishedAt).toLocaleString() : 'not finished';
+  const lines = [
+    `Batch capture of ${summary.total} problem${summary.total === 1 ? '' : 's'} (${finished})`,
+    `Captured: ${summary.captured} · Already in set: ${summary.skipped} · Failed: ${summary.failed}` +
+      (summary.pending > 0 ? ` · Not attempted: ${summary.pending}` : '')
+  ];
+  
+  const missing = job.items.filter(item => item.status !== 'captured' && item.status !== 'skipped');
+  if (missing.length > 0) {
+    lines.push('', 'Could not capture:');
+    missing.forEach(item => {
+      lines.push(`- ${item.slug}: ${item.status === 'failed' ? item.message : 'not attempted'}`);
+    });
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Turn an error from the LeetCode tab into a message for the report
+ * @param {Error} error - Error
+ * @returns {string} Message
+ */
+function describeBatchCaptureError(error) {
+  const message = error && error.message ? error.message : String(error);
+  
+  if (isBatchTabGone(error)) {
+    return 'The LeetCode tab was closed or navigated away. Open a LeetCode page and retry.';
+  }
+  
+  return message;
+}
+
+/**
+ * Check whether an error means the LeetCode tab's content script can no longer be reached
+ * @param {Error} error - Error from chrome.tabs.sendMessage
+ * @returns {boolean} True if no further problem can be captured through the tab
+ */
+function isBatchTabGone(error) {
+  const message = error && error.message ? error.message : '';
+  return message.includes('Receiving end does not exist') ||
+    message.includes('No tab with id') ||
+    message.includes('message port closed');
+}
+
+/**
+ * Start a batch capture
+ * @param {Array<string>} slugs - Problem slugs
+ * @param {number} tabId - LeetCode tab whose content script looks the problems up
+ * @returns {Promise<Object>} The new job
+ * @throws {Error} If a batch is already running or there is nothing to capture
+ */
+async function startBatchCapture(slugs, tabId) {
+  if (batchRunning) {
+    throw new Error('A batch capture is already running');
+  }
+  if (!Array.isArray(slugs) || slugs.length === 0) {
+    throw new Error('Add at least one problem to capture');
+  }
+  
+  const job = {
+    id: generateId(),
+    tabId,
+    status: 'running',
+    startedAt: Date.now(),
+    finishedAt: null,
+    items: slugs.map(slug => ({ slug, status: 'pending', name: null, message: null, attempts: 0 }))
+  };
+  await saveBatchCaptureJob(job);
+  
+  runBatchCaptureInBackground();
+  return job;
+}
+
+/**
+ * Capture the problems of the last job that failed or were never attempted again
+ * @param {number} tabId - LeetCode tab to use this time
+ * @returns {Promise<Object>} The job
+ * @throws {Error} If a batch is running or there is nothing to retry
+ */
+async function retryBatchCapture(tabId) {
+  if (batchRunning) {
+    throw new Error('A batch capture is already running');
+  }
+  
+  const job = await getBatchCaptureJob();
+  const retry = job ? job.items.filter(item => item.status === 'failed' || item.status === 'pending') : [];
+  if (retry.length === 0) {
+    throw new Error('There are no failed problems to retry');
+  }
+  
+  retry.forEach(item => {
+    item.status = 'pending';
+    item.message = null;
+  });
+  job.tabId = tabId;
+  job.status = 'running';
+  job.finishedAt = null;
+  await saveBatchCaptureJob(job);
+  
+  runBatchCaptureInBackground();
+  return job;
+}
+
+/**
+ * Stop the running batch after the problem being captured
+ */
+function cancelBatchCapture() {
+  if (batchRunning) {
+    batchCancelRequested = true;
+  }
+}
+
+/**
+ * Continue a job that was running when the service worker stopped
+ * The problem that was being captured is tried again
+ * @returns {Promise<void>}
+ */
+async function resumeBatchCapture() {
+  if (batchRunning) return;
+  
+  const job = await getBatchCaptureJob();
+  if (!job || job.status !== 'running') return;
+  
+  job.items.forEach(item => {
+    if (item.status === 'capturing') item.status = 'pending';
+  });
+  await saveBatchCaptureJob(job);
+  
+  console.log('Resuming batch capture');
+  runBatchCaptureInBackground();
+}
+
+/**
+ * Run the saved job without waiting for it
+ */
+function runBatchCaptureInBackground() {
+  batchCancelRequested = false;
+  batchRunning = runBatchCapture()
+    .catch(error => console.error('Batch capture failed:', error))
+    .finally(() => {
+      batchRunning = null;
+    });
+}
+
+/**
+ * Capture every pending problem of the saved job in order, saving progress after each
+ * @returns {Promise<void>}
+ */
+async function runBatchCapture() {
+  const job = await getBatchCaptureJob();
+  if (!job) return;
+  
+  let tabGone = null;
+  
+  for (const item of job.items) {
+    if (item.status !== 'pending') continue;
+    if (batchCancelRequested) break;
+    
+    // Once the tab is gone, the remaining problems fail with the same reason
+    if (tabGone) {
+      item.status = 'failed';
+      item.message = tabGone;
+      continue;
+    }
+    
+    item.status = 'capturing';
+    item.attempts += 1;
+    await saveBatchCaptureJob(job);
+    
+    try {
+      const response = await chrome.tabs.sendMessage(job.tabId, { type: 'CAPTURE_LATEST_ACCEPTED', slug: item.slug });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'No response from the LeetCode tab');
+      }
+      
+      const result = await captureAutoExtractedProblem(response.data, 'batch');
+      item.name = response.data.name;
+      item.status = result.status === 'skipped' ? 'skipped' : 'captured';
+      item.message = result.status === 'skipped'
+        ? 'Already in the set'
+        : (result.duplicate ? `Added as another attempt of "${result.duplicate.name}"` : null);
+    } catch (error) {
+      console.error(`Batch capture of ${item.slug} failed:`, error);
+      item.status = 'failed';
+      item.message = describeBatchCaptureError(error);
+      if (isBatchTabGone(error)) {
+        tabGone = item.message;
+      }
+    }
+    
+    await saveBatchCaptureJob(job);
+    
+    if (!tabGone && job.items.some(next => next.status === 'pending')) {
+      await new Promise(resolve => setTimeout(resolve, BATCH_CAPTURE_DELAY_MS));
+    }
+  }
+  
+  job.status = batchCancelRequested ? 'cancelled' : 'done';
+  job.finishedAt = Date.now();
+  await saveBatchCaptureJob(job);
+  console.log('Batch capture finished:', summarizeBatchCapture(job));
+}
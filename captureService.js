@@ -0,0 +1,96 @@
+/**
+ * Capture Service for LeetCode Documentation Generator
+ * The single path by which captured submissions are saved. Runs in the background
+ * service worker, so captures are handled the same way whether or not the popup is open.
+ *
+ * Pipeline: validate (validation.js) -> check the verdict -> de-duplicate and persist
+ * (addProblem in storage.js) -> broadcast PROBLEM_ADDED to any open extension page.
+ */
+
+const PROBLEM_ADDED_EVENT = 'PROBLEM_ADDED';
+
+/**
+ * How duplicates are resolved when nobody can be asked (captures the content script
+ * sends on its own): an already captured submission is skipped, another submission
+ * of a captured problem joins its history
+ */
+const AUTO_DUPLICATE_POLICIES = {
+  submission: 'skip',
+  slug: 'keep'
+};
+
+/**
+ * Validate, de-duplicate, save and announce a captured problem
+ * @param {Object} data - Captured problem data {name, code, language, submissionLink, submissionId?, slug?, result?}
+ * @param {Object} [options] - Capture options
+ * @param {string} [options.onDuplicate] - 'skip', 'replace' or 'keep'; without it a duplicate
+ *   is reported back with status 'duplicate' and nothing is saved
+ * @param {string} [options.source='popup'] - Who asked for the capture ('popup', 'auto' or 'batch')
+ * @param {boolean} [options.allowNotAccepted=false] - Save a submission whose verdict is not
+ *   Accepted (it is flagged in the list); the caller is responsible for having asked
+ * @returns {Promise<Object>} Result of addProblem {status, problem, duplicate}
+ * @throws {Error} If the data is invalid, not accepted without allowNotAccepted, or cannot be saved
+ */
+async function captureProblem(data, { onDuplicate, source = 'popup', allowNotAccepted = false } = {}) {
+  const validation = validateProblemData(data);
+  if (!validation.valid) {
+    throw new Error(`Validation error: ${validation.error}`);
+  }
+  
+  if (isNotAcceptedResult(data.result) && !allowNotAccepted) {
+    throw new Error(`Not captured: the submission's verdict is "${data.result.status}", not Accepted`);
+  }
+  
+  const result = await addProblem(data, { onDuplicate });
+  
+  if (result.status === 'added' || result.status === 'replaced') {
+    await broadcastProblemAdded(data, result, source);
+  }
+  
+  return result;
+}
+
+/**
+ * Save a capture the content script sent without being asked, resolving duplicates
+ * with AUTO_DUPLICATE_POLICIES
+ * Submissions that were not accepted are refused when the blockNotAccepted setting is on
+ * and saved (flagged) otherwise, since there is nobody to confirm them
+ * @param {Object} data - Captured problem data
+ * @param {string} [source='auto'] - Who captured it ('auto' or 'batch')
+ * @returns {Promise<Object>} Result of addProblem {status, problem, duplicate}
+ */
+async function captureAutoExtractedProblem(data, source = 'auto') {
+  const settings = await getSettings();
+  const options = { source, allowNotAccepted: !settings.blockNotAccepted };
+  const result = await captureProblem(data, options);
+  
+  if (result.status === 'duplicate') {
+    const onDuplicate = AUTO_DUPLICATE_POLICIES[result.duplicate.reason];
+    return captureProblem(data, { ...options, onDuplicate });
+  }
+  
+  return result;
+}
+
+/**
+ * Tell open extension pages that a problem was saved
+ * Having no page open to receive it is not an error
+ * @param {Object} data - Captured problem data
+ * @param {Object} result - Result of addProblem
+ * @param {string} source - Who asked for the capture
+ * @returns {Promise<void>}
+ */
+async function broadcastProblemAdded(data, result, source) {
+  try {
+    await chrome.runtime.sendMessage({
+      type: PROBLEM_ADDED_EVENT,
+      source,
+      name: data.name,
+      status: result.status,
+      problem: result.problem,
+      duplicate: result.duplicate
+    });
+  } catch (error) {
+    console.log('No open page received the capture event:', error.message);
+  }
+}
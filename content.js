@@ -18,6 +18,15 @@ function detectLeetCodeSubmissionPage() {
   return pattern1.test(window.location.pathname) || pattern2.test(window.location.pathname);
 }
 
+/**
+ * Detects if the current page is a problem page with the code editor
+ * Pattern: /problems/{problem-slug}/ (including tabs such as /description/), but not a submission
+ * @returns {boolean} True if the editor's code can be captured
+ */
+function detectLeetCodeEditorPage() {
+  return /^\/problems\/[^\/]+/.test(window.location.pathname) && !detectLeetCodeSubmissionPage();
+}
+
 /**
  * Checks if current URL is the detail-only format (needs conversion)
  * @returns {boolean} True if on /submissions/detail/{id}/ format
@@ -39,10 +48,23 @@ function extractSubmissionId() {
   return match ? match[1] : null;
 }
 
+/**
+ * Extracts the problem slug from the current URL
+ * Example: /problems/minimum-bit-flips/submissions/1886581454/ -> "minimum-bit-flips"
+ * @returns {string|null} Problem slug or null if not in the URL
+ */
+function extractProblemSlug() {
+  const match = window.location.pathname.match(/\/problems\/([^\/]+)/);
+  return match ? match[1] : null;
+}
+
+// The problem link of a detail-only submission page: <a class="ml-1 hover:underline" href="/problems/{slug}/">
+const DETAIL_PAGE_PROBLEM_LINK_SELECTOR = 'a.ml-1.hover\\:underline[href*="/problems/"]';
+
 /**
  * Extracts problem slug from the page and redirects to proper URL format
  * Converts /submissions/detail/{id}/ to /problems/{slug}/submissions/{id}/
- * Looks for: <a class="ml-1 hover:underline" href="/problems/{slug}/">
+ * Waits for the problem link (DETAIL_PAGE_PROBLEM_LINK_SELECTOR) to render
  * @returns {Promise<void>}
  */
 async function redirectToProperSubmissionUrl() {
@@ -51,13 +73,13 @@ async function redirectToProperSubmissionUrl() {
     console.error('Could not extract submission ID');
     return;
   }
-
+  
   try {
-    // Wait for page to load and find the problem link
-    await new Promise(resolve => setTimeout(resolve, 1500));
+    await waitForPageReady([
+      { name: 'problem link', check: () => document.querySelector(DETAIL_PAGE_PROBLEM_LINK_SELECTOR) !== null }
+    ]);
     
-    // Look for the specific problem link with class "ml-1 hover:underline"
-    const problemLink = document.querySelector('a.ml-1.hover\\:underline[href*="/problems/"]');
+    const problemLink = document.querySelector(DETAIL_PAGE_PROBLEM_LINK_SELECTOR);
     
     if (problemLink) {
       const href = problemLink.getAttribute('href');
@@ -68,7 +90,7 @@ async function redirectToProperSubmissionUrl() {
       
       if (slugMatch) {
         const problemSlug = slugMatch[1];
-        const properUrl = `https://leetcode.com/problems/${problemSlug}/submissions/${submissionId}/`;
+        const properUrl = buildProblemSubmissionUrl(getCurrentLeetCodeSite(), problemSlug, submissionId);
         
         console.log('Redirecting to proper submission URL:', properUrl);
         // Set flag to auto-extract after redirect
@@ -84,8 +106,123 @@ async function redirectToProperSubmissionUrl() {
   }
 }
 
+// Elements syntax highlighters render line numbers in
+const LINE_NUMBER_SELECTOR = '.linenumber, .react-syntax-highlighter-line-number, [class*="line-number"]';
+
+/**
+ * Removes line number elements (LINE_NUMBER_SELECTOR) from a (cloned) code element
+ * @param {Element} element - Code element to clean in place
+ */
+function removeLineNumberElements(element) {
+  element.querySelectorAll(LINE_NUMBER_SELECTOR).forEach(lineNumber => lineNumber.remove());
+}
+
+/**
+ * Removes number-only spans styled like a line number gutter from a (cloned) code element
+ * Only for the plain text reading: classes aren't looked at, since highlighters mark numeric
+ * literals with classes such as `token number`
+ * @param {Element} element - Code element to clean in place
+ */
+function removeStyledLineNumberSpans(element) {
+  element.querySelectorAll('span').forEach(span => {
+    if (/^\d+$/.test(span.textContent.trim()) &&
+        (span.style.color === 'slategray' || span.style.userSelect === 'none')) {
+      span.remove();
+    }
+  });
+}
+
+/**
+ * Drops blank lines before the code and whitespace after it, keeping the first line's indentation
+ * @param {string} text - Code text
+ * @returns {string} Trimmed code
+ */
+function trimCodeBlock(text) {
+  return text.replace(/^(?:[ \t]*\r?\n)+/, '').trimEnd();
+}
+
+/**
+ * Reads the lines of a code element from its per-line DOM nodes
+ * Supports Monaco's `.view-line` rows (ordered by their position) and syntax highlighters
+ * that wrap each line, with its line number, in an element of its own
+ * @param {Element} element - Code element
+ * @returns {Array<string>|null} Lines in order, or null if the element isn't split into lines
+ */
+function readCodeLines(element) {
+  const viewLines = [...element.querySelectorAll('.view-line')];
+  if (viewLines.length > 0) {
+    return viewLines
+      .sort((a, b) => parseFloat(a.style.top) - parseFloat(b.style.top))
+      .map(line => line.textContent.replace(/\u00a0/g, ' '));
+  }
+  
+  // Every child must be a numbered line, and nothing but whitespace may sit between them
+  const lineElements = [...element.children];
+  const isNumberedLine = line => !line.matches(LINE_NUMBER_SELECTOR) && line.querySelector(LINE_NUMBER_SELECTOR) !== null;
+  const textOutsideLines = [...element.childNodes]
+    .filter(node => node.nodeType === Node.TEXT_NODE)
+    .some(node => node.textContent.trim().length > 0);
+  if (lineElements.length === 0 || textOutsideLines || !lineElements.every(isNumberedLine)) {
+    return null;
+  }
+  
+  return lineElements.map(line => {
+    const clone = line.cloneNode(true);
+    removeLineNumberElements(clone);
+    return clone.textContent.replace(/\r?\n$/, '');
+  });
+}
+
+/**
+ * Checks whether text starts every line with consecutive line numbers (1, 2, 3, ...)
+ * Code whose lines merely start with digits (e.g. `1 + x` or rows of a numeric array)
+ * doesn't count
+ * @param {string} text - Code text
+ * @returns {boolean} True if the text has line numbers baked in
+ */
+function hasSequentialLineNumbers(text) {
+  const lines = text.split('\n').filter(line => line.trim().length > 0);
+  if (lines.length < 2) return false;
+  
+  return lines.every((line, index) => {
+    const match = line.match(/^\s*(\d+)/);
+    return match !== null && Number(match[1]) === index + 1;
+  });
+}
+
+/**
+ * Reads the exact source of a code element
+ * Methods, most reliable first:
+ * - 'line-nodes': the element's per-line nodes (readCodeLines)
+ * - 'text': its text once line number elements and gutter-styled number spans are removed, when
+ *   no line numbers are left in it
+ * - 'regex': removeLineNumbers, only when every line still starts with consecutive line numbers
+ * @param {Element} element - Code element
+ * @returns {{code: string, method: string}} Code and the method that produced it
+ */
+function readCodeElement(element) {
+  const lines = readCodeLines(element);
+  if (lines) {
+    return { code: trimCodeBlock(lines.join('\n')), method: 'line-nodes' };
+  }
+  
+  const clone = element.cloneNode(true);
+  removeLineNumberElements(clone);
+  removeStyledLineNumberSpans(clone);
+  const text = trimCodeBlock(clone.textContent || '');
+  
+  if (!hasSequentialLineNumbers(text)) {
+    return { code: text, method: 'text' };
+  }
+  
+  console.warn('Code text still has line numbers; removing them by pattern');
+  return { code: trimCodeBlock(removeLineNumbers(text)), method: 'regex' };
+}
+
 /**
  * Removes line numbers from code text while preserving indentation
+ * Last resort for text with line numbers baked in (see readCodeElement); it guesses where
+ * each number ends, so the indentation of the first level may be off by one space
  * Handles various line number formats:
  * - "1 code here"
  * - "1. code here" 
@@ -352,364 +489,872 @@ function removeProblemNumberPrefix(title) {
 
 /**
  * Maps LeetCode language codes to readable names
- * @param {string} langCode - Language code from API (e.g., "cpp", "python3")
- * @returns {string} Readable language name (e.g., "C++", "Python3")
+ * @param {string} langCode - Language code from API (e.g., "cpp", "python3", "golang")
+ * @returns {string} Readable language name (e.g., "C++", "Python3"), or the code if unknown
  */
 function mapLanguageCode(langCode) {
-  const mapping = {
-    'cpp': 'C++',
-    'python': 'Python',
-    'python3': 'Python3',
-    'java': 'Java',
-    'javascript': 'JavaScript',
-    'typescript': 'TypeScript',
-    'c': 'C',
-    'csharp': 'C#',
-    'go': 'Go',
-    'rust': 'Rust',
-    'kotlin': 'Kotlin',
-    'swift': 'Swift',
-    'ruby': 'Ruby',
-    'scala': 'Scala',
-    'php': 'PHP',
-    'mysql': 'MySQL',
-    'mssql': 'MS SQL Server',
-    'oraclesql': 'Oracle SQL'
-  };
-  return mapping[langCode] || langCode;
+  const language = findLeetCodeLanguage(langCode);
+  return language ? language.name : langCode;
 }
 
 
 
 /**
- * Fallback method: Extract submission data from DOM
- * Used when API call fails or returns corrupted data
- * @returns {Promise<Object>} Extracted data {name, code, language}
- * @throws {Error} If DOM extraction fails with descriptive error message
+ * Reads the problem name from a submission page
+ * Used when the code didn't come from the API, which returns the title
+ * @returns {string} Problem name as shown, possibly with its number prefix
+ * @throws {Error} If no problem name is found
  */
-async function extractFromDOM() {
-  try {
-    // Wait a bit for page to fully load
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    console.log('Starting DOM extraction...');
-    
-    // Try multiple selectors for problem name
-    let problemName = null;
-    const nameSelectors = [
-      'a[href*="/problems/"]',
-      '.text-title-large',
-      'h1',
-      '[data-cy="question-title"]',
-      '.question-title'
-    ];
-    
-    for (const selector of nameSelectors) {
-      const element = document.querySelector(selector);
-      if (element && element.textContent.trim()) {
-        problemName = element.textContent.trim();
-        console.log(`Found problem name with selector "${selector}":`, problemName);
-        break;
+function extractProblemNameFromDOM() {
+  const nameSelectors = [
+    'a[href*="/problems/"]',
+    '.text-title-large',
+    'h1',
+    '[data-cy="question-title"]',
+    '.question-title'
+  ];
+  
+  for (const selector of nameSelectors) {
+    const element = document.querySelector(selector);
+    if (element && element.textContent.trim()) {
+      console.log(`Found problem name with selector "${selector}":`, element.textContent.trim());
+      return element.textContent.trim();
+    }
+  }
+  
+  throw new Error('Could not find problem name on this page. Please make sure you are on a submission detail page.');
+}
+
+/**
+ * Finds the submission's language in the page's language labels
+ * @returns {string|null} Language, or null if nothing on the page looks like one
+ */
+function findLanguageOnPage() {
+  const langSelectors = [
+    '[class*="lang"]',
+    '[data-language]',
+    'select[name*="lang"]',
+    '[class*="language"]',
+    '.language-label'
+  ];
+  
+  for (const selector of langSelectors) {
+    const element = document.querySelector(selector);
+    if (element) {
+      const langText = element.textContent || element.getAttribute('data-language') || element.value;
+      if (langText && isValidLanguage(langText)) {
+        console.log(`Found language with selector "${selector}":`, langText.trim());
+        return langText.trim();
       }
     }
-    
-    if (!problemName) {
-      throw new Error('Could not find problem name on this page. Please make sure you are on a submission detail page.');
+  }
+  
+  return null;
+}
+
+// Confidence of code read from the page, by how it was read (see readCodeElement)
+const DOM_METHOD_CONFIDENCE = {
+  'line-nodes': 0.9,
+  'text': 0.8,
+  'regex': 0.55
+};
+
+/**
+ * Scores code read from the page and works out its language if the code element didn't name it
+ * @param {string} code - Code
+ * @param {string} method - How the code was read (see readCodeElement)
+ * @param {string|null} language - Language named by the code element, if any
+ * @param {number} reliability - How likely the strategy's element holds the submission (0-1)
+ * @returns {{language: string, confidence: number, diagnostics: Array<string>}} Language, confidence and why
+ */
+function scoreDomCode(code, method, language, reliability) {
+  let confidence = DOM_METHOD_CONFIDENCE[method] * reliability;
+  const diagnostics = [method === 'regex' ? 'Line numbers removed by pattern matching' : `Read with ${method}`];
+  
+  if (language) {
+    // A code element whose code reads as another language is likely not the submission
+    const detected = detectLanguageFromCode(code);
+    if (detected !== 'Unknown' && detected !== language) {
+      confidence *= 0.8;
+      diagnostics.push(`language ${language} from the code element, but the code reads as ${detected}`);
+    } else {
+      diagnostics.push(`language ${language} from the code element`);
     }
+    return { language, confidence, diagnostics };
+  }
+  
+  const labelled = findLanguageOnPage();
+  if (labelled) {
+    return { language: labelled, confidence, diagnostics: [...diagnostics, `language ${labelled} from the page`] };
+  }
+  
+  const detected = detectLanguageFromCode(code);
+  if (detected !== 'Unknown') {
+    confidence *= 0.9;
+    diagnostics.push(`language ${detected} guessed from the code`);
+  } else {
+    confidence *= 0.75;
+    diagnostics.push('language unknown');
+  }
+  return { language: detected, confidence, diagnostics };
+}
+
+/**
+ * Strategy: the syntax-highlighted `code[class*="language-"]` blocks of the submission page
+ * Blocks that look like test cases, ASCII art or prose are skipped. Every other block with
+ * valid code is scored with scoreDomCode; when blocks hold different code, each score is
+ * scaled by its share of all the scores, so the run ranks them and offers the runner-up
+ * @returns {Object|Array<Object>} Result for runCodeExtractors (extractorRegistry.js) per block with
+ *   different code, best first, or a result without code if none was found
+ */
+function extractFromHighlighter() {
+  const codeElements = [...document.querySelectorAll('code[class*="language-"]')];
+  console.log(`Found ${codeElements.length} code elements with language class`);
+  if (codeElements.length === 0) {
+    return { diagnostics: ['No syntax-highlighted code blocks'] };
+  }
+  
+  const skipped = [];
+  const candidates = [];
+  
+  codeElements.forEach((codeElement, index) => {
+    // Extract language from class name (e.g., "language-cpp" -> "cpp")
+    const langMatch = codeElement.className.match(/language-(\w+)/);
+    const detectedLang = langMatch && langMatch[1] ? langMatch[1].toLowerCase() : '';
     
-    // Extract code from <code class="language-*"> element
-    let code = null;
-    let language = 'Unknown';
-    
-    // Look for ALL code elements with language class
-    const codeElements = document.querySelectorAll('code[class*="language-"]');
-    console.log(`Found ${codeElements.length} code elements with language class`);
-    
-    // First pass: collect all valid candidates
-    const candidates = [];
-    
-    for (const codeElement of codeElements) {
-      // Extract language from class name (e.g., "language-cpp" -> "cpp")
-      const classList = codeElement.className;
-      const langMatch = classList.match(/language-(\w+)/);
-      const detectedLang = langMatch && langMatch[1] ? langMatch[1].toLowerCase() : '';
-      
-      console.log(`Code element ${Array.from(codeElements).indexOf(codeElement) + 1}, detected language:`, detectedLang);
-      
-      // Check if this code element contains <p> tags (wrong code)
-      const hasPTags = codeElement.querySelector('p') !== null;
-      if (hasPTags) {
-        console.warn('Contains <p> tags, skipping (wrong code)');
-        continue;
-      }
-      
-      // Remove line number elements before extracting text
-      const cleanedElement = codeElement.cloneNode(true);
-      const lineNumberElements = cleanedElement.querySelectorAll('.linenumber, .react-syntax-highlighter-line-number, [class*="line-number"]');
-      console.log(`Found ${lineNumberElements.length} line number elements to remove`);
-      
-      // Remove all line number elements
-      lineNumberElements.forEach(element => {
-        console.log(`Removing line number element: "${element.textContent.trim()}"`);
-        element.remove();
-      });
-      
-      // Also remove any span elements that only contain numbers (additional safety)
-      const spanElements = cleanedElement.querySelectorAll('span');
-      spanElements.forEach(span => {
-        const text = span.textContent.trim();
-        // If span contains only a number and has styling that suggests it's a line number
-        if (/^\d+$/.test(text) && (
-          span.style.color === 'slategray' ||
-          span.style.userSelect === 'none' ||
-          span.className.includes('line') ||
-          span.className.includes('number')
-        )) {
-          console.log(`Removing number-only span: "${text}"`);
-          span.remove();
-        }
-      });
-      
-      // Get text content from cleaned element
-      const rawCode = cleanedElement.textContent || cleanedElement.innerText;
-      
-      if (rawCode && rawCode.trim().length > 0) {
-        const trimmedCode = rawCode.trim();
-        
-        // Check if this looks like test case data (only arrays, numbers, brackets, commas)
-        const looksLikeTestData = /^[\[\]\d,\s\n]+$/.test(trimmedCode);
-        if (looksLikeTestData) {
-          console.warn('Skipping test case data (only arrays and numbers)');
-          continue;
-        }
-        
-        // Check if this looks like ASCII art (lots of pipes and slashes, few alphanumeric)
-        const alphanumericCount = (trimmedCode.match(/[a-zA-Z0-9]/g) || []).length;
-        const alphanumericRatio = alphanumericCount / trimmedCode.length;
-        
-        // Skip if less than 30% alphanumeric (likely ASCII art)
-        if (alphanumericRatio < 0.3) {
-          console.warn('Low alphanumeric ratio, skipping this element (likely ASCII art)');
-          continue;
-        }
-        
-        // Skip if no code-like keywords found
-        const hasCodeKeywords = /\b(function|class|def|return|if|for|while|public|private|const|let|var|import|include)\b/i.test(trimmedCode);
-        if (!hasCodeKeywords) {
-          console.warn('No code keywords found, skipping this element');
-          continue;
-        }
-        
-        // Add to candidates
-        candidates.push({
-          code: trimmedCode,
-          language: detectedLang,
-          element: codeElement
-        });
-      }
+    // Code elements with <p> tags are part of the problem description
+    if (codeElement.querySelector('p') !== null) {
+      skipped.push(`block ${index + 1} has paragraphs`);
+      return;
     }
     
-    console.log(`Found ${candidates.length} valid candidate(s)`);
+    // Rebuild the exact source from the highlighter's structure
+    const { code, method } = readCodeElement(codeElement);
+    const trimmedCode = code.trim();
+    if (trimmedCode.length === 0) return;
     
-    // Second pass: select the best candidate
-    if (candidates.length > 0) {
-      let selectedCandidate = null;
-      
-      // If there are multiple candidates, prefer non-Go languages
-      if (candidates.length > 1) {
-        // Try to find a non-Go language
-        selectedCandidate = candidates.find(c => c.language !== 'go');
-        
-        if (selectedCandidate) {
-          console.log('Multiple languages found, selecting non-Go language:', selectedCandidate.language);
-        } else {
-          // All are Go, just pick the first one
-          selectedCandidate = candidates[0];
-          console.log('All candidates are Go language, selecting first one');
-        }
-      } else {
-        // Only one candidate, use it (even if it's Go)
-        selectedCandidate = candidates[0];
-        console.log('Only one candidate found, language:', selectedCandidate.language);
-      }
-      
-      // Set the code and language
-      code = removeLineNumbers(selectedCandidate.code);
-      language = mapLanguageCode(selectedCandidate.language);
-      console.log('Selected language:', language);
-      console.log('Code length after line number removal:', code.length);
-      console.log('Code preview after cleaning:', code.substring(0, 100));
+    // Check if this looks like test case data (only arrays, numbers, brackets, commas)
+    if (/^[\[\]\d,\s\n]+$/.test(trimmedCode)) {
+      skipped.push(`block ${index + 1} looks like test case data`);
+      return;
     }
     
-    // If we still don't have code after checking language-* elements, try other selectors
-    if (!code) {
-      const codeSelectors = [
-        '.view-lines',  // Monaco editor
-        '.monaco-editor .view-lines',
-        'pre code',
-        '[class*="code-container"]',
-        '[class*="CodeMirror"]',
-        'pre',
-        '[data-mode-id]'
-      ];
-      
-      for (const selector of codeSelectors) {
-        const element = document.querySelector(selector);
-        if (element && element.textContent.trim()) {
-          // Clone and clean line numbers from this element too
-          const cleanedElement = element.cloneNode(true);
-          const lineNumberElements = cleanedElement.querySelectorAll('.linenumber, .react-syntax-highlighter-line-number, [class*="line-number"]');
-          lineNumberElements.forEach(el => el.remove());
-          
-          const rawCode = cleanedElement.textContent.trim();
-          code = removeLineNumbers(rawCode);
-          console.log(`Found code with selector "${selector}", length after cleaning:`, code.length);
-          
-          // Validate the extracted code
-          if (isValidCode(code)) {
-            console.log('Code validation passed');
-            break;
-          } else {
-            console.log('Code validation failed, trying next selector');
-            code = null;
-          }
-        }
-      }
+    // Less than 30% alphanumeric is likely ASCII art
+    const alphanumericCount = (trimmedCode.match(/[a-zA-Z0-9]/g) || []).length;
+    if (alphanumericCount / trimmedCode.length < 0.3) {
+      skipped.push(`block ${index + 1} looks like ASCII art`);
+      return;
     }
     
-    if (!code) {
-      throw new Error('Could not extract valid code from this page. Please make sure the submission has loaded completely.');
+    if (!/\b(function|class|def|return|if|for|while|public|private|const|let|var|import|include)\b/i.test(trimmedCode)) {
+      skipped.push(`block ${index + 1} has no code keywords`);
+      return;
     }
     
-    console.log('Extracted code (first 200 chars):', code.substring(0, 200));
-    console.log('Code length:', code.length);
-    console.log('Code validation check...');
+    candidates.push({ code, language: detectedLang, method });
+  });
+  
+  const notes = skipped.length > 0 ? [`Skipped ${skipped.join(', ')}`] : [];
+  if (candidates.length === 0) {
+    return { diagnostics: [`None of ${codeElements.length} code blocks looked like code`, ...notes] };
+  }
+  
+  // Blocks repeating the code of an earlier block add nothing
+  const seen = new Set();
+  const results = candidates
+    .filter(candidate => {
+      const key = candidate.code.trim();
+      if (seen.has(key) || !isValidCode(candidate.code)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(candidate => {
+      const score = scoreDomCode(candidate.code, candidate.method, candidate.language ? mapLanguageCode(candidate.language) : null, 1);
+      return {
+        code: candidate.code,
+        language: score.language,
+        extractionMethod: candidate.method,
+        confidence: score.confidence,
+        diagnostics: [...score.diagnostics, ...notes]
+      };
+    });
+  
+  if (results.length === 0) {
+    return { diagnostics: ['No code block passed validation', ...notes] };
+  }
+  
+  if (results.length > 1) {
+    const total = results.reduce((sum, result) => sum + result.confidence, 0);
+    results.forEach(result => {
+      result.confidence *= result.confidence / total;
+      result.diagnostics.push(`1 of ${results.length} different code blocks`);
+    });
+  }
+  
+  return results.sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Strategy: the Monaco editor's rendered lines
+ * Less reliable than the highlighter: only the lines in view are rendered, and on a submission
+ * page the editor may hold the user's current code rather than the submission
+ * @returns {Object} Result for runCodeExtractors (extractorRegistry.js), without code if none was found
+ */
+function extractFromMonacoLines() {
+  const element = document.querySelector('.monaco-editor .view-lines') || document.querySelector('.view-lines');
+  if (!element || !element.textContent.trim()) {
+    return { diagnostics: ['No Monaco editor lines on the page'] };
+  }
+  
+  const { code, method } = readCodeElement(element);
+  if (!isValidCode(code)) {
+    return { diagnostics: ['The editor lines failed validation'] };
+  }
+  
+  const modeId = element.closest('[data-mode-id]')?.getAttribute('data-mode-id');
+  const language = modeId ? mapLanguageCode(resolveEditorLanguage(modeId)) : null;
+  const score = scoreDomCode(code, method, language, 0.7);
+  
+  return {
+    code,
+    language: score.language,
+    extractionMethod: method,
+    confidence: score.confidence,
+    diagnostics: [...score.diagnostics, 'editor lines may be incomplete or not the submission']
+  };
+}
+
+/**
+ * Strategy: the first generic code container on the page that holds valid code
+ * @returns {Object} Result for runCodeExtractors (extractorRegistry.js), without code if none was found
+ */
+function extractFromPreBlocks() {
+  const codeSelectors = [
+    'pre code',
+    '[class*="code-container"]',
+    '[class*="CodeMirror"]',
+    'pre'
+  ];
+  
+  for (const selector of codeSelectors) {
+    const element = document.querySelector(selector);
+    if (!element || !element.textContent.trim()) continue;
     
-    // Validate the extracted code
+    const { code, method } = readCodeElement(element);
     if (!isValidCode(code)) {
-      console.error('Code validation failed!');
-      console.error('Code sample:', code.substring(0, 500));
-      throw new Error('Extracted code appears to be invalid or corrupted.');
+      console.log(`Code found with selector "${selector}" failed validation, trying next selector`);
+      continue;
     }
     
-    console.log('Code validation passed!');
-    
-    // If we still don't have language, try to find it from other elements
-    if (language === 'Unknown') {
-      const langSelectors = [
-        '[class*="lang"]',
-        '[data-language]',
-        'select[name*="lang"]',
-        '[class*="language"]',
-        '.language-label'
-      ];
-      
-      for (const selector of langSelectors) {
-        const element = document.querySelector(selector);
-        if (element) {
-          const langText = element.textContent || element.getAttribute('data-language') || element.value;
-          if (langText && isValidLanguage(langText)) {
-            language = langText.trim();
-            console.log(`Found language with selector "${selector}":`, language);
-            break;
-          }
-        }
+    const score = scoreDomCode(code, method, null, 0.6);
+    return {
+      code,
+      language: score.language,
+      extractionMethod: method,
+      confidence: score.confidence,
+      diagnostics: [...score.diagnostics, `found with "${selector}"`]
+    };
+  }
+  
+  return { diagnostics: ['No code container with valid code'] };
+}
+
+/**
+ * Attempts to detect programming language from code content
+ * Scores the code against every language's signals (classifyCodeLanguage in languages.js)
+ * @param {string} code - The code to analyze
+ * @returns {string} Detected language or 'Unknown' if no language scores LANGUAGE_MIN_SCORE
+ */
+function detectLanguageFromCode(code) {
+  const matches = classifyCodeLanguage(code);
+  console.log('Language scores:', matches.map(match => `${match.language.name} ${match.score}`).join(', '));
+  
+  if (matches.length === 0 || matches[0].score < LANGUAGE_MIN_SCORE) return 'Unknown';
+  return matches[0].language.name;
+}
+
+// Where the problem description is rendered on problem pages (used when the API has no description)
+const STATEMENT_SELECTORS = [
+  '[data-track-load="description_content"]',
+  '.question-content',
+  '[class*="question-content"]'
+];
+
+// Inline elements of the description HTML and the run style each one adds
+const STATEMENT_INLINE_STYLES = {
+  STRONG: { bold: true },
+  B: { bold: true },
+  EM: { italic: true },
+  I: { italic: true },
+  CODE: { code: true },
+  SUP: { sup: true },
+  SUB: { sub: true }
+};
+
+const STATEMENT_BLOCK_TAGS = ['P', 'DIV', 'SECTION', 'BLOCKQUOTE', 'UL', 'OL', 'PRE', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6'];
+
+/**
+ * Adds text to a list of runs, merging it into the last run when the style is the same
+ * @param {Array} runs - Runs collected so far
+ * @param {string} text - Text to add
+ * @param {Object} style - Style flags {bold?, italic?, code?, sup?, sub?}
+ * @param {boolean} preformatted - Whether whitespace is significant
+ */
+function addStatementRun(runs, text, style, preformatted) {
+  const last = runs[runs.length - 1];
+  
+  // Collapse a space that spans two runs, e.g. "<b>Input:</b> nums"
+  if (!preformatted && last && /\s$/.test(last.text)) {
+    text = text.replace(/^ /, '');
+    if (!text) return;
+  }
+  
+  const sameStyle = last && ['bold', 'italic', 'code', 'sup', 'sub'].every(key => !!last[key] === !!style[key]);
+  if (sameStyle) {
+    last.text += text;
+  } else {
+    runs.push({ text, ...style });
+  }
+}
+
+/**
+ * Collects the text of inline nodes as styled runs
+ * @param {NodeList|Array<Node>} nodes - Nodes to read
+ * @param {Object} style - Style inherited from the parent elements
+ * @param {boolean} preformatted - Whether whitespace is significant (inside <pre>)
+ * @param {Array} [runs] - Runs to append to
+ * @returns {Array} Runs [{text, bold?, italic?, code?, sup?, sub?}]
+ */
+function collectStatementRuns(nodes, style, preformatted, runs = []) {
+  for (const node of nodes) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      let text = node.textContent.replace(/\u00a0/g, ' ');
+      if (!preformatted) {
+        text = text.replace(/\s+/g, ' ');
+      }
+      if (text) {
+        addStatementRun(runs, text, style, preformatted);
+      }
+    } else if (node.nodeType === Node.ELEMENT_NODE) {
+      if (node.tagName === 'BR') {
+        addStatementRun(runs, '\n', style, true);
+      } else if (node.tagName !== 'IMG') {
+        const childStyle = { ...style, ...STATEMENT_INLINE_STYLES[node.tagName] };
+        collectStatementRuns(node.childNodes, childStyle, preformatted || node.tagName === 'PRE', runs);
       }
     }
-    
-    // If we still couldn't find language, try to detect from code
-    if (language === 'Unknown') {
-      language = detectLanguageFromCode(code);
-      console.log('Detected language from code:', language);
+  }
+  
+  return runs;
+}
+
+/**
+ * Trims the whitespace around a block's runs and drops runs left empty
+ * @param {Array} runs - Runs of one block
+ * @returns {Array} Trimmed runs (empty if the block has no text)
+ */
+function trimStatementRuns(runs) {
+  const trimmed = runs.map(run => ({ ...run }));
+  
+  if (trimmed.length > 0) {
+    trimmed[0].text = trimmed[0].text.replace(/^\s+/, '');
+    const last = trimmed[trimmed.length - 1];
+    last.text = last.text.replace(/\s+$/, '');
+  }
+  
+  return trimmed.filter(run => run.text.length > 0);
+}
+
+/**
+ * Reads the blocks of a description element into statement blocks
+ * Inline content between blocks becomes a paragraph; containers such as <div> are read recursively
+ * @param {Element} container - Element to read
+ * @param {Array} blocks - Blocks to append to
+ */
+function appendStatementBlocks(container, blocks) {
+  let inlineNodes = [];
+  
+  const pushRuns = (type, runs) => {
+    const trimmed = trimStatementRuns(runs);
+    if (trimmed.length > 0) {
+      blocks.push({ type, runs: trimmed });
+    }
+  };
+  
+  const flushInline = () => {
+    if (inlineNodes.length > 0) {
+      pushRuns('paragraph', collectStatementRuns(inlineNodes, {}, false));
+      inlineNodes = [];
+    }
+  };
+  
+  for (const node of container.childNodes) {
+    const isBlock = node.nodeType === Node.ELEMENT_NODE && STATEMENT_BLOCK_TAGS.includes(node.tagName);
+    if (!isBlock) {
+      inlineNodes.push(node);
+      continue;
     }
     
-    return {
-      name: problemName,
-      code: code,
-      language: language
-    };
-  } catch (error) {
-    console.error('DOM extraction error:', error);
+    flushInline();
     
-    // Provide more helpful error messages
-    if (error.message.includes('problem name')) {
-      throw error; // Already has a good message
-    } else if (error.message.includes('code')) {
-      throw error; // Already has a good message
+    if (node.tagName === 'PRE') {
+      pushRuns('code', collectStatementRuns(node.childNodes, {}, true));
+    } else if (node.tagName === 'UL' || node.tagName === 'OL') {
+      const items = [...node.children]
+        .filter(child => child.tagName === 'LI')
+        .map(item => trimStatementRuns(collectStatementRuns(item.childNodes, {}, false)))
+        .filter(runs => runs.length > 0);
+      if (items.length > 0) {
+        blocks.push({ type: 'list', ordered: node.tagName === 'OL', items });
+      }
+    } else if (node.tagName === 'P' || /^H\d$/.test(node.tagName)) {
+      const style = node.tagName === 'P' ? {} : { bold: true };
+      pushRuns('paragraph', collectStatementRuns(node.childNodes, style, false));
     } else {
-      throw new Error(`Failed to extract data from page: ${error.message}`);
+      appendStatementBlocks(node, blocks);
     }
   }
+  
+  flushInline();
 }
 
 /**
- * Attempts to detect programming language from code content
- * @param {string} code - The code to analyze
- * @returns {string} Detected language or 'Unknown'
+ * Parses LeetCode's description HTML into statement blocks
+ * Keeps paragraphs, lists, preformatted examples and inline bold, italic, code,
+ * superscript and subscript; images are left out
+ * @param {string} html - Description HTML
+ * @returns {Array} Statement blocks (see STATEMENT_BLOCK_TYPES in validation.js)
  */
-function detectLanguageFromCode(code) {
-  if (!code) return 'Unknown';
+function parseStatementHtml(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const blocks = [];
+  appendStatementBlocks(doc.body, blocks);
+  return blocks;
+}
+
+/**
+ * Extracts the problem statement, examples and constraints
+ * Fetches the description from the GraphQL API and falls back to the description on the page;
+ * a missing statement never fails a capture
+ * @param {string|null} slug - Problem slug
+ * @param {Object} [apiOptions] - Request options passed to fetchQuestionContent (leetcodeApi.js)
+ * @param {boolean} [fromPage=true] - Fall back to the description on the page; off when capturing
+ *   a problem other than the one the page shows
+ * @returns {Promise<Array>} Statement blocks, empty if no description was found
+ */
+async function extractProblemStatement(slug, apiOptions = {}, fromPage = true) {
+  let html = null;
+  
+  if (slug) {
+    try {
+      html = await fetchQuestionContent(slug, apiOptions);
+    } catch (error) {
+      console.warn('Could not fetch problem description from API:', error.message);
+    }
+  }
+  
+  if (!html && fromPage) {
+    const element = STATEMENT_SELECTORS.map(selector => document.querySelector(selector)).find(Boolean);
+    html = element ? element.innerHTML : null;
+  }
   
-  // Simple heuristics to detect language
-  if (/^#include|using namespace std|cout|cin/.test(code)) return 'C++';
-  if (/^def |^class.*:|^import /.test(code)) return 'Python';
-  if (/^public class|^import java\./.test(code)) return 'Java';
-  if (/^function |^const |^let |^var |=>/.test(code)) return 'JavaScript';
-  if (/^fn |^impl |^use /.test(code)) return 'Rust';
-  if (/^func |^package main/.test(code)) return 'Go';
-  if (/^using System|^namespace /.test(code)) return 'C#';
+  if (!html) {
+    console.warn('No problem description found; capturing without a statement');
+    return [];
+  }
+  
+  try {
+    const statement = parseStatementHtml(html);
+    console.log(`Parsed problem statement into ${statement.length} block(s)`);
+    return statement;
+  } catch (error) {
+    console.warn('Could not parse problem description:', error);
+    return [];
+  }
+}
+
+/**
+ * Reads a number followed by one of the given units from text
+ * @param {string} text - Text to search
+ * @param {string} units - Regular expression alternatives, longer units first, e.g. "ms|s" or "MB|KB"
+ * @returns {string|null} e.g. "3 ms", or null if not found
+ */
+function matchMeasurement(text, units) {
+  const match = text.match(new RegExp(`(\\d+(?:\\.\\d+)?)\\s*(${units})`));
+  return match ? `${match[1]} ${match[2]}` : null;
+}
+
+/**
+ * Reads the text of the panel a result label (e.g. "Runtime") sits in
+ * @param {Array<string>} labels - Label texts used by the site, e.g. ["执行用时", "Runtime"]
+ * @returns {string} Panel text, or an empty string if no label is on the page
+ */
+function getResultPanelText(labels) {
+  const labelElement = [...document.querySelectorAll('div, span')]
+    .find(element => element.children.length === 0 && labels.includes(element.textContent.trim()));
+  if (!labelElement) return '';
+  
+  // The value and "Beats x%" are siblings of the label a few levels up
+  let panel = labelElement;
+  for (let level = 0; level < 3 && panel.parentElement; level++) {
+    panel = panel.parentElement;
+    if (/\d/.test(panel.textContent)) break;
+  }
+  return panel.textContent;
+}
+
+/**
+ * Finds the verdict heading of a submission page
+ * On layouts without the locator, the first element showing a known verdict is used
+ * @param {Object} site - Site from LEETCODE_SITES, whose verdicts are recognized too
+ * @returns {Element|null} Verdict element, or null if no verdict is rendered
+ */
+function findVerdictElement(site) {
+  const verdicts = [...Object.values(SUBMISSION_STATUS_LABELS), ...Object.keys(site.statusLabels)];
+  return document.querySelector('[data-e2e-locator="submission-result"]') ||
+    [...document.querySelectorAll('h3, h4, span, div')]
+      .find(element => element.children.length === 0 && verdicts.includes(element.textContent.trim())) ||
+    null;
+}
+
+/**
+ * Fallback method: Extract the submission result shown on the page
+ * Labels and verdicts are read in the site's language and verdicts returned in English
+ * @returns {Object} Result {status, runtime, runtimePercentile, memory, memoryPercentile, submittedAt};
+ *   fields that can't be found are null
+ */
+function extractSubmissionResultFromDOM() {
+  const site = getCurrentLeetCodeSite();
   
-  return 'Unknown';
+  const statusElement = findVerdictElement(site);
+  const runtimeText = getResultPanelText(site.resultLabels.runtime);
+  const memoryText = getResultPanelText(site.resultLabels.memory);
+  const beatsPattern = new RegExp(`${site.resultLabels.beats}\\s*(\\d+(?:\\.\\d+)?)\\s*%`, 'i');
+  const percentile = text => {
+    const match = text.match(beatsPattern);
+    return match ? Number(match[1]) : null;
+  };
+  
+  // e.g. "submitted at Oct 05, 2025 14:20"
+  const submittedMatch = document.body.textContent.match(/submitted at\s+([A-Z][a-z]{2} \d{1,2}, \d{4}(?: \d{1,2}:\d{2})?)/i);
+  const submittedDate = submittedMatch ? new Date(submittedMatch[1]) : null;
+  
+  return {
+    status: statusElement ? normalizeSiteStatus(site, statusElement.textContent.trim()) : null,
+    runtime: matchMeasurement(runtimeText, 'ms|s'),
+    runtimePercentile: percentile(runtimeText),
+    memory: matchMeasurement(memoryText, 'MB|KB|GB'),
+    memoryPercentile: percentile(memoryText),
+    submittedAt: submittedDate && !isNaN(submittedDate.getTime()) ? submittedDate.toISOString() : null
+  };
 }
 
 /**
- * Main extraction function using DOM scraping only
- * @returns {Promise<Object>} Problem data {name, code, language, submissionLink}
+ * Primary method: Extract submission data from LeetCode's GraphQL API
+ * Returns the code exactly as submitted, so no line number cleaning or candidate guessing is needed
+ * @param {string} submissionId - Submission ID
+ * @param {Object} [apiOptions] - Request options passed to fetchSubmissionDetails (leetcodeApi.js)
+ * @returns {Promise<Object>} Extracted data {name, code, language, slug, result, extractionMethod: 'api'}
+ * @throws {Error} If the API call fails or returns unusable data
+ */
+async function extractFromApi(submissionId, apiOptions = {}) {
+  const details = await fetchSubmissionDetails(submissionId, apiOptions);
+  
+  if (!isValidCode(details.code)) {
+    throw new Error('LeetCode API returned code that failed validation');
+  }
+  
+  return {
+    name: details.title,
+    code: details.code,
+    language: mapLanguageCode(details.language),
+    slug: details.slug,
+    result: details.result,
+    extractionMethod: 'api'
+  };
+}
+
+// Code extraction strategies for submission pages, in the order they are tried; the API
+// returns the code as submitted, so nothing else is tried when it succeeds
+registerCodeExtractor({
+  id: 'api',
+  name: 'LeetCode API',
+  extract: async ({ submissionId, apiOptions }) => ({
+    ...await extractFromApi(submissionId, apiOptions),
+    confidence: 1,
+    diagnostics: ['Code as submitted']
+  })
+});
+registerCodeExtractor({ id: 'highlighter', name: 'Syntax highlighter', extract: extractFromHighlighter });
+registerCodeExtractor({ id: 'monaco', name: 'Monaco editor', extract: extractFromMonacoLines });
+registerCodeExtractor({ id: 'pre', name: 'Code block', extract: extractFromPreBlocks });
+
+/**
+ * Main extraction function
+ * Runs the code extraction strategies (extractorRegistry.js) and uses the most confident result
+ * @param {Object} [apiOptions] - Request options passed to the API client (e.g. a mock endpoint)
+ * @returns {Promise<Object>} Problem data {name, code, language, submissionLink, submissionId, slug, statement, result,
+ *   extractionMethod, extractor, extractionConfidence, alternative}; alternative is the runner-up {code, language,
+ *   extractionMethod, extractor, confidence, diagnostics} when the confidence is low, otherwise null
  * @throws {Error} If extraction fails with descriptive error message
  */
-async function extractProblemData() {
+async function extractProblemData(apiOptions = {}) {
   const submissionId = extractSubmissionId();
   
   if (!submissionId) {
     throw new Error('Could not extract submission ID from URL. Please make sure you are on a submission detail page.');
   }
   
+  // Format submission link as a full URL on the page's site, e.g. https://leetcode.cn/submissions/detail/{id}/
+  const fullSubmissionLink = buildSubmissionLink(getCurrentLeetCodeSite(), submissionId);
+  
+  let extraction;
+  let name;
   try {
-    console.log('Extracting from DOM...');
-    const domData = await extractFromDOM();
-    
-    // Format submission link as full URL: https://leetcode.com/submissions/detail/{id}/
-    const fullSubmissionLink = `https://leetcode.com/submissions/detail/${submissionId}/`;
-    
-    return {
-      name: removeProblemNumberPrefix(domData.name),
-      code: domData.code,
-      language: domData.language,
-      submissionLink: fullSubmissionLink
-    };
-  } catch (domError) {
-    console.error('DOM extraction failed:', domError);
+    extraction = await runCodeExtractors({ submissionId, apiOptions });
+    name = extraction.best.name || extractProblemNameFromDOM();
+  } catch (error) {
+    console.error('Code extraction failed:', error);
     
     // Provide a comprehensive error message
-    const errorMessage = `Failed to capture problem data.\n\nError: ${domError.message}\n\nPlease make sure the page has fully loaded and try again.`;
+    const errorMessage = `Failed to capture problem data.\n\nError: ${error.message}\n\nPlease make sure the page has fully loaded and try again.`;
     throw new Error(errorMessage);
   }
+  
+  const { best, runnerUp } = extraction;
+  const slug = best.slug || extractProblemSlug();
+  
+  return {
+    name: removeProblemNumberPrefix(name),
+    code: best.code,
+    language: best.language,
+    submissionLink: fullSubmissionLink,
+    submissionId: submissionId,
+    slug,
+    statement: await extractProblemStatement(slug, apiOptions),
+    result: best.result || extractSubmissionResultFromDOM(),
+    extractionMethod: best.extractionMethod,
+    extractor: best.extractor,
+    extractionConfidence: best.confidence,
+    alternative: runnerUp ? {
+      code: runnerUp.code,
+      language: runnerUp.language,
+      extractionMethod: runnerUp.extractionMethod,
+      extractor: runnerUp.extractor,
+      confidence: runnerUp.confidence,
+      diagnostics: runnerUp.diagnostics
+    } : null
+  };
 }
 
 /**
- * Checks if the submission page is fully loaded and ready for extraction
- * @returns {boolean} True if page is ready
+ * Batch capture: extract the latest accepted submission of any problem through the API
+ * Runs on whichever LeetCode page the batch uses, so nothing is read from the page itself
+ * @param {string} slug - Problem slug
+ * @param {Object} [apiOptions] - Request options passed to the API client (e.g. a mock endpoint)
+ * @returns {Promise<Object>} Problem data {name, code, language, submissionLink, submissionId, slug, statement, result,
+ *   extractionMethod}
+ * @throws {Error} If the problem has no accepted submission or the API fails
  */
-function isPageReadyForExtraction() {
-  // Check if code elements are present
-  const codeElements = document.querySelectorAll('code[class*="language-"]');
-  if (codeElements.length === 0) return false;
+async function extractLatestAcceptedSubmission(slug, apiOptions = {}) {
+  const submissionId = await fetchLatestAcceptedSubmissionId(slug, apiOptions);
+  if (!submissionId) {
+    throw new Error('No accepted submission found');
+  }
   
-  // Check if problem name is present
-  const problemLink = document.querySelector('a[href*="/problems/"]');
-  if (!problemLink) return false;
+  const extracted = await extractFromApi(submissionId, apiOptions);
   
-  return true;
+  return {
+    name: removeProblemNumberPrefix(extracted.name),
+    code: extracted.code,
+    language: extracted.language,
+    submissionLink: buildSubmissionLink(getCurrentLeetCodeSite(), submissionId),
+    submissionId: submissionId,
+    slug: extracted.slug || slug,
+    statement: await extractProblemStatement(slug, apiOptions, false),
+    result: extracted.result,
+    extractionMethod: extracted.extractionMethod
+  };
+}
+
+/**
+ * Collects the problems linked from the page, e.g. the submissions list
+ * @returns {Array<string>} Problem slugs in page order, without duplicates
+ */
+function collectProblemSlugsFromPage() {
+  const slugs = [...document.querySelectorAll('a[href*="/problems/"]')]
+    .map(link => (link.getAttribute('href') || '').match(/\/problems\/([a-z0-9-]+)/i))
+    .filter(Boolean)
+    .map(match => match[1].toLowerCase());
+  return [...new Set(slugs)];
+}
+
+// Messages exchanged with editorBridge.js, which reads the Monaco editor in the page's world
+const EDITOR_BRIDGE_MESSAGES = {
+  read: 'LEETCODE_DOC_GENERATOR_READ_EDITOR',
+  contents: 'LEETCODE_DOC_GENERATOR_EDITOR_CONTENTS'
+};
+const EDITOR_BRIDGE_TIMEOUT_MS = 3000;
+
+/**
+ * Ask editorBridge.js for the contents of the code editor
+ * @param {number} [timeoutMs] - Give up after this long
+ * @returns {Promise<{code: string, languageId: string}>} Editor text and Monaco language ID
+ * @throws {Error} If the bridge doesn't answer or can't find the editor
+ */
+function requestEditorContents(timeoutMs = EDITOR_BRIDGE_TIMEOUT_MS) {
+  const requestId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  
+  return new Promise((resolve, reject) => {
+    const onMessage = event => {
+      const data = event.data;
+      if (event.source !== window || !data || data.type !== EDITOR_BRIDGE_MESSAGES.contents ||
+          data.requestId !== requestId) {
+        return;
+      }
+      
+      clearTimeout(timer);
+      window.removeEventListener('message', onMessage);
+      if (data.error) {
+        reject(new Error(data.error));
+      } else {
+        resolve({ code: data.code, languageId: data.languageId });
+      }
+    };
+    
+    const timer = setTimeout(() => {
+      window.removeEventListener('message', onMessage);
+      reject(new Error('The code editor did not respond. Please reload the problem page and try again.'));
+    }, timeoutMs);
+    
+    window.addEventListener('message', onMessage);
+    window.postMessage({ type: EDITOR_BRIDGE_MESSAGES.read, requestId }, window.location.origin);
+  });
+}
+
+/**
+ * Work out the LeetCode language code of the editor
+ * The language picked in LeetCode's selector (saved as "global_lang") is used when it
+ * agrees with the editor model, which tells Python3 from Python and Pandas; otherwise
+ * the first language of LEETCODE_LANGUAGES (languages.js) with the model's ID
+ * @param {string} languageId - Monaco language ID of the editor model
+ * @returns {string} LeetCode language code, e.g. "python3", or the Monaco ID if unknown
+ */
+function resolveEditorLanguage(languageId) {
+  let selected = null;
+  try {
+    const stored = localStorage.getItem('global_lang');
+    selected = stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    selected = localStorage.getItem('global_lang');
+  }
+  
+  const selectedLanguage = findLeetCodeLanguage(selected);
+  if (selectedLanguage && selectedLanguage.monacoId === languageId) {
+    return selectedLanguage.code;
+  }
+  
+  const language = LEETCODE_LANGUAGES.find(candidate => candidate.monacoId === languageId);
+  return language ? language.code : languageId;
+}
+
+/**
+ * Read the problem title on a problem page
+ * @param {string} slug - Problem slug, used when the title isn't rendered yet
+ * @returns {string} Title, e.g. "1. Two Sum", or one derived from the slug ("Two Sum")
+ */
+function extractEditorProblemName(slug) {
+  const selectors = [
+    '.text-title-large',
+    '[data-cy="question-title"]',
+    `a[href="/problems/${slug}/"]`
+  ];
+  
+  for (const selector of selectors) {
+    const element = document.querySelector(selector);
+    if (element && element.textContent.trim()) {
+      return element.textContent.trim();
+    }
+  }
+  
+  return slug.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Editor capture: extract the code currently in the problem page's editor
+ * The code comes from the editor's model rather than the rendered lines, so lines scrolled
+ * out of view are included. The capture is marked as not submitted and links to the problem.
+ * @param {Object} [apiOptions] - Request options passed to the API client (e.g. a mock endpoint)
+ * @returns {Promise<Object>} Problem data {name, code, language, submissionLink, submissionId, slug,
+ *   statement, result, submitted, extractionMethod: 'editor'}; submissionId and result are null and
+ *   submitted is false
+ * @throws {Error} If the editor can't be read or is empty
+ */
+async function extractFromEditor(apiOptions = {}) {
+  const slug = extractProblemSlug();
+  if (!slug) {
+    throw new Error('Could not find the problem in the URL. Please open a problem page.');
+  }
+  
+  const contents = await requestEditorContents();
+  if (typeof contents.code !== 'string' || contents.code.trim().length === 0) {
+    throw new Error('The code editor is empty. Write a solution before capturing it.');
+  }
+  
+  return {
+    name: removeProblemNumberPrefix(extractEditorProblemName(slug)),
+    code: contents.code,
+    language: mapLanguageCode(resolveEditorLanguage(contents.languageId)),
+    submissionLink: buildProblemUrl(getCurrentLeetCodeSite(), slug),
+    submissionId: null,
+    slug,
+    statement: await extractProblemStatement(slug, apiOptions),
+    result: null,
+    submitted: false,
+    extractionMethod: 'editor'
+  };
+}
+
+// What a submission page renders before it can be extracted (see waitForPageReady in pageReadiness.js)
+const SUBMISSION_PAGE_REQUIREMENTS = [
+  {
+    name: 'submission code',
+    check: () => [...document.querySelectorAll('code[class*="language-"], .view-lines')]
+      .some(element => element.textContent.trim().length > 0)
+  },
+  {
+    name: 'problem title',
+    check: () => document.querySelector('a[href*="/problems/"]') !== null
+  },
+  {
+    name: 'verdict',
+    check: () => findVerdictElement(getCurrentLeetCodeSite()) !== null
+  }
+];
+
+/**
+ * Waits for the submission page to render, then extracts its problem data
+ * If the page doesn't finish rendering in time, extraction is still tried, as the API doesn't
+ * need the page; if that fails too, the error says which element never appeared
+ * @param {Object} [options] - {timeoutMs} passed to waitForPageReady, and {apiOptions} passed to
+ *   extractProblemData
+ * @returns {Promise<Object>} Problem data from extractProblemData
+ * @throws {Error} If extraction fails
+ */
+async function extractProblemDataWhenReady({ timeoutMs, apiOptions = {} } = {}) {
+  let notReadyError = null;
+  try {
+    await waitForPageReady(SUBMISSION_PAGE_REQUIREMENTS, { timeoutMs });
+  } catch (error) {
+    console.warn(error.message);
+    notReadyError = error;
+  }
+  
+  try {
+    return await extractProblemData(apiOptions);
+  } catch (error) {
+    throw notReadyError || error;
+  }
 }
 
 /**
@@ -729,6 +1374,28 @@ function sendToExtension(data) {
   });
 }
 
+/**
+ * Read the API client options a message asks for
+ * Only options that survive messaging are taken, so a caller such as a test can point the
+ * capture at a local mock of the endpoint
+ * @param {Object} message - Message with optional apiOptions {endpoint, csrfToken, timeoutMs}
+ * @returns {Object} Request options for the API client (leetcodeApi.js); empty for the defaults
+ */
+function readMessageApiOptions(message) {
+  const requested = message.apiOptions || {};
+  const apiOptions = {};
+  if (typeof requested.endpoint === 'string' && requested.endpoint) {
+    apiOptions.endpoint = requested.endpoint;
+  }
+  if (typeof requested.csrfToken === 'string') {
+    apiOptions.csrfToken = requested.csrfToken;
+  }
+  if (Number.isFinite(requested.timeoutMs) && requested.timeoutMs > 0) {
+    apiOptions.timeoutMs = requested.timeoutMs;
+  }
+  return apiOptions;
+}
+
 // Always set up message listener, regardless of page type
 // This ensures the popup can always communicate with the content script
 chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
@@ -741,15 +1408,44 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
     return true;
   }
   
+  // Batch capture: the background worker asks for one problem at a time
+  if (message.type === 'CAPTURE_LATEST_ACCEPTED') {
+    extractLatestAcceptedSubmission(message.slug, readMessageApiOptions(message))
+      .then(data => sendResponse({ success: true, data: data }))
+      .catch(error => {
+        console.error(`Error capturing latest accepted submission of ${message.slug}:`, error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+  
+  // Batch capture: pick the problems linked from this page
+  if (message.type === 'COLLECT_PROBLEM_SLUGS') {
+    sendResponse({ success: true, slugs: collectProblemSlugsFromPage() });
+    return true;
+  }
+  
   if (message.type === 'EXTRACT_PROBLEM_DATA') {
     console.log('Received EXTRACT_PROBLEM_DATA message');
     
+    // On a problem page, capture the code in the editor instead of a submission
+    if (detectLeetCodeEditorPage()) {
+      console.log('On a problem page, capturing from the code editor...');
+      extractFromEditor(readMessageApiOptions(message))
+        .then(data => sendResponse({ success: true, data: data }))
+        .catch(error => {
+          console.error('Error capturing from the code editor:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      return true;
+    }
+    
     // Check if we're on a submission page
     if (!detectLeetCodeSubmissionPage()) {
       console.error('Not on a LeetCode submission page');
       sendResponse({ 
         success: false, 
-        error: 'Not on a LeetCode submission page. Please navigate to a submission page.' 
+        error: 'Not on a LeetCode problem or submission page. Please navigate to a problem or submission page.' 
       });
       return true;
     }
@@ -775,19 +1471,18 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
     
     console.log('Extracting problem data for submission ID:', submissionId);
     
-    // Wait a bit for page to fully render, then extract
-    setTimeout(async () => {
-      try {
-        const data = await extractProblemData();
+    // Extract as soon as the page has rendered
+    extractProblemDataWhenReady({ timeoutMs: message.timeoutMs, apiOptions: readMessageApiOptions(message) })
+      .then(data => {
         console.log('Successfully extracted problem data:', data);
         console.log('Code length:', data.code?.length);
         console.log('Code preview:', data.code?.substring(0, 100));
         sendResponse({ success: true, data: data });
-      } catch (error) {
+      })
+      .catch(error => {
         console.error('Error extracting problem data:', error);
         sendResponse({ success: false, error: error.message });
-      }
-    }, 2000); // Wait 2 seconds for page to render
+      });
     
     return true; // Keep message channel open for async response
   }
@@ -810,35 +1505,19 @@ if (detectLeetCodeSubmissionPage()) {
       console.log('Page loaded after redirect - waiting for page to be ready...');
       sessionStorage.removeItem('leetcode_auto_extract'); // Clear flag
       
-      // Poll until page is ready, then auto-extract
-      let checkCount = 0;
-      const maxChecks = 20; // Maximum 10 seconds (20 * 500ms)
-      
-      const checkAndExtract = setInterval(async () => {
-        checkCount++;
-        
-        if (isPageReadyForExtraction()) {
-          clearInterval(checkAndExtract);
-          console.log('Page is ready! Auto-extracting data...');
-          
-          try {
-            const data = await extractProblemData();
-            console.log('Auto-extracted problem data successfully');
-            // Send directly to background/popup
-            chrome.runtime.sendMessage({
-              type: 'AUTO_EXTRACTED_DATA',
-              data: data
-            });
-          } catch (error) {
-            console.error('Auto-extraction failed:', error);
-          }
-        } else if (checkCount >= maxChecks) {
-          clearInterval(checkAndExtract);
-          console.warn('Page did not load in time, auto-extraction cancelled');
-        } else {
-          console.log(`Waiting for page to load... (${checkCount}/${maxChecks})`);
-        }
-      }, 500); // Check every 500ms
+      // Auto-extract as soon as the page has rendered
+      extractProblemDataWhenReady()
+        .then(data => {
+          console.log('Auto-extracted problem data successfully');
+          // Send directly to background/popup
+          chrome.runtime.sendMessage({
+            type: 'AUTO_EXTRACTED_DATA',
+            data: data
+          });
+        })
+        .catch(error => {
+          console.error('Auto-extraction failed:', error);
+        });
     }
   } else {
     console.log('On LeetCode submission page but could not extract ID');
@@ -12,25 +12,52 @@ const { Document, Paragraph, TextRun, Packer, ExternalHyperlink } = window.docx;
  * @param {Object} documentData.problemSetInfo - Problem set metadata
  * @param {string} documentData.problemSetInfo.title - Problem set title
  * @param {string} documentData.problemSetInfo.submittedBy - Student name
+ * @param {Object} [documentData.problemSetInfo.metadata] - Assignment details keyed by PROBLEM_SET_METADATA_FIELDS
  * @param {Array} documentData.problems - Array of problem objects
+ * @param {Object} [documentData.options] - Generation options
+ * @param {boolean} [documentData.options.includePreviousAttempts] - Add non-primary submissions under each problem
+ * @param {boolean} [documentData.options.annotateTags] - Add a difficulty and tags line under each problem name
+ * @param {boolean} [documentData.options.groupByTag] - Group problems under a heading for their first tag
+ * @param {boolean} [documentData.options.includeSummary] - Add a Summary section with the set's statistics before the problems
+ * @param {boolean} [documentData.options.includeStatement] - Add each problem's captured statement before its code
+ * @param {boolean} [documentData.options.showSubmissionResult] - Add a status, runtime and memory line under each problem name
  * @returns {Document} - docx Document instance
  */
 function generateDocxDocument(documentData) {
-  const { problemSetInfo, problems } = documentData;
+  const { problemSetInfo, problems, options = {} } = documentData;
   
   const sections = [];
   
   // Add header section
   sections.push(...createHeader(problemSetInfo));
   
-  // Add each problem section
-  problems.forEach((problem, index) => {
-    // Add spacing before each problem (except the first one)
-    if (index > 0) {
-      sections.push(new Paragraph({ text: '' }));
-    }
-    sections.push(...createProblemSection(problem));
-  });
+  if (options.includeSummary) {
+    sections.push(...createSummarySection(computeProblemStats(problems)));
+  }
+  
+  if (options.groupByTag) {
+    groupProblemsByTag(problems).forEach((group, groupIndex) => {
+      if (groupIndex > 0) {
+        sections.push(new Paragraph({ text: '' }));
+      }
+      sections.push(createTagGroupHeading(group.tag));
+      group.problems.forEach((problem, index) => {
+        if (index > 0) {
+          sections.push(new Paragraph({ text: '' }));
+        }
+        sections.push(...createProblemSection(problem, options));
+      });
+    });
+  } else {
+    // Add each problem section
+    problems.forEach((problem, index) => {
+      // Add spacing before each problem (except the first one)
+      if (index > 0) {
+        sections.push(new Paragraph({ text: '' }));
+      }
+      sections.push(...createProblemSection(problem, options));
+    });
+  }
   
   // Create and return the document
   const doc = new Document({
@@ -44,10 +71,104 @@ function generateDocxDocument(documentData) {
 }
 
 /**
- * Creates the document header with problem set title and student name
+ * Groups problems by their first tag, keeping the problems' order within each group
+ * Groups appear in the order their first problem does; untagged problems come last
+ * @param {Array} problems - Problems in document order
+ * @returns {Array<{tag: string|null, problems: Array}>} - Groups (tag is null for untagged problems)
+ */
+function groupProblemsByTag(problems) {
+  const groups = new Map();
+  const untagged = [];
+  
+  problems.forEach(problem => {
+    const tag = (problem.tags || [])[0];
+    if (!tag) {
+      untagged.push(problem);
+      return;
+    }
+    
+    const key = tag.toLowerCase();
+    if (!groups.has(key)) {
+      groups.set(key, { tag, problems: [] });
+    }
+    groups.get(key).problems.push(problem);
+  });
+  
+  const result = [...groups.values()];
+  if (untagged.length > 0) {
+    result.push({ tag: null, problems: untagged });
+  }
+  
+  return result;
+}
+
+/**
+ * Creates the heading that starts a tag group
+ * @param {string|null} tag - Tag, or null for untagged problems
+ * @returns {Paragraph} - Heading paragraph
+ */
+function createTagGroupHeading(tag) {
+  return new Paragraph({
+    children: [
+      new TextRun({
+        text: tag || 'Other Problems',
+        bold: true,
+        underline: {},
+        size: 40, // 20pt
+        font: 'Arial'
+      })
+    ],
+    spacing: {
+      before: 200,
+      after: 200
+    }
+  });
+}
+
+/**
+ * Formats a problem's difficulty and tags as one line
+ * @param {Object} problem - Problem data
+ * @returns {string} - e.g. "Difficulty: Medium | Tags: DP, Two Pointers", or '' if there is neither
+ */
+function formatProblemAnnotation(problem) {
+  const parts = [];
+  if (problem.difficulty) {
+    parts.push(`Difficulty: ${problem.difficulty}`);
+  }
+  if (problem.tags && problem.tags.length > 0) {
+    parts.push(`Tags: ${problem.tags.join(', ')}`);
+  }
+  return parts.join(' | ');
+}
+
+/**
+ * Formats a submission result as one line
+ * @param {Object|null} result - Submission result {status, runtime, runtimePercentile, memory, memoryPercentile}
+ * @returns {string} - e.g. "Accepted · 3 ms (beats 92%) · 12.1 MB (beats 40.5%)", or '' if nothing is known
+ */
+function formatSubmissionResult(result) {
+  if (!result) return '';
+  
+  const withPercentile = (value, percentile) => {
+    if (!value) return '';
+    return typeof percentile === 'number'
+      ? `${value} (beats ${Number(percentile.toFixed(2))}%)`
+      : value;
+  };
+  
+  return [
+    result.status,
+    withPercentile(result.runtime, result.runtimePercentile),
+    withPercentile(result.memory, result.memoryPercentile)
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Creates the document header with problem set title, student name and assignment details
  * @param {Object} info - Problem set info
  * @param {string} info.title - Problem set title
  * @param {string} info.submittedBy - Student name
+ * @param {Object} [info.metadata] - Assignment details; empty fields are left out
  * @returns {Array<Paragraph>} - Array of header paragraphs
  */
 function createHeader(info) {
@@ -86,7 +207,29 @@ function createHeader(info) {
     })
   );
   
-  // Add 2 blank lines after "Submitted by"
+  // One line per filled-in metadata field, in PROBLEM_SET_METADATA_FIELDS order
+  const metadata = info.metadata || {};
+  PROBLEM_SET_METADATA_FIELDS.forEach(field => {
+    const value = (metadata[field.key] || '').trim();
+    if (!value) return;
+    
+    paragraphs.push(
+      new Paragraph({
+        children: [
+          new TextRun({
+            text: `${field.label}: ${formatMetadataValue(field, value)}`,
+            size: 24, // 12pt
+            font: 'Arial'
+          })
+        ],
+        spacing: {
+          after: 100
+        }
+      })
+    );
+  });
+  
+  // Add 2 blank lines after the header lines
   paragraphs.push(
     new Paragraph({
       text: '',
@@ -104,6 +247,92 @@ function createHeader(info) {
   return paragraphs;
 }
 
+/**
+ * Creates the "Summary" section with the statistics of the problem set
+ * @param {Object} stats - Stats from computeProblemStats (stats.js)
+ * @returns {Array<Paragraph>} - Array of paragraphs
+ */
+function createSummarySection(stats) {
+  const formatCounts = (counts, formatLabel = label => label) =>
+    counts.map(({ label, count }) => `${formatLabel(label)} (${count})`).join(', ');
+  
+  const lines = [
+    `Problems: ${stats.problemCount} (${stats.captureCount} captured submission${stats.captureCount !== 1 ? 's' : ''})`,
+    `Languages: ${formatCounts(stats.byLanguage)}`,
+    `Difficulty: ${formatCounts(stats.byDifficulty)}`,
+    `Average solution length: ${stats.averageLines} line${stats.averageLines !== 1 ? 's' : ''}, ${stats.averageCharacters} characters`
+  ];
+  
+  if (stats.oldestCapture) {
+    lines.push(
+      `Oldest capture: ${formatStatsCapture(stats.oldestCapture)}`,
+      `Newest capture: ${formatStatsCapture(stats.newestCapture)}`,
+      `Captures per day: ${formatCounts(stats.capturesPerDay, formatStatsDay)}`,
+      `Captures per week: ${formatCounts(stats.capturesPerWeek, key => `Week of ${formatStatsDay(key)}`)}`
+    );
+  }
+  
+  const paragraphs = [
+    new Paragraph({
+      children: [
+        new TextRun({
+          text: 'Summary',
+          bold: true,
+          underline: {},
+          size: 32, // 16pt
+          font: 'Arial'
+        })
+      ],
+      spacing: {
+        after: 200
+      }
+    })
+  ];
+  
+  lines.forEach(line => {
+    paragraphs.push(
+      new Paragraph({
+        children: [
+          new TextRun({
+            text: line,
+            size: 24, // 12pt
+            font: 'Arial'
+          })
+        ],
+        spacing: {
+          after: 100
+        }
+      })
+    );
+  });
+  
+  // Blank line before the first problem
+  paragraphs.push(
+    new Paragraph({
+      text: '',
+      spacing: { after: 200 }
+    })
+  );
+  
+  return paragraphs;
+}
+
+/**
+ * Formats a metadata value for the document header
+ * @param {Object} field - Field from PROBLEM_SET_METADATA_FIELDS
+ * @param {string} value - Stored value
+ * @returns {string} - Display value (dates as e.g. "March 5, 2025")
+ */
+function formatMetadataValue(field, value) {
+  if (field.type !== 'date') return value;
+  
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (isNaN(date.getTime())) return value;
+  
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
 /**
  * Creates a problem section with name, link, and code
  * @param {Object} problem - Problem data
@@ -111,9 +340,15 @@ function createHeader(info) {
  * @param {string} problem.submissionLink - Submission URL
  * @param {string} problem.code - Code solution
  * @param {string} problem.language - Programming language
+ * @param {Array} [problem.submissions] - Captured submissions, including the primary one
+ * @param {string} [problem.primarySubmissionId] - ID of the submission shown above
+ * @param {Array<string>} [problem.tags] - Topic tags and labels
+ * @param {string} [problem.difficulty] - Easy, Medium or Hard
+ * @param {Object} [problem.notes] - Solution notes keyed by PROBLEM_NOTE_FIELDS
+ * @param {Object} [options] - Generation options (see generateDocxDocument)
  * @returns {Array<Paragraph>} - Array of problem section paragraphs
  */
-function createProblemSection(problem) {
+function createProblemSection(problem, options = {}) {
   const paragraphs = [];
   
   // Problem name heading (bold, larger font)
@@ -134,6 +369,45 @@ function createProblemSection(problem) {
     })
   );
   
+  // Difficulty and tags, when the problem has any
+  const annotation = options.annotateTags ? formatProblemAnnotation(problem) : '';
+  if (annotation) {
+    paragraphs.push(
+      new Paragraph({
+        children: [
+          new TextRun({
+            text: annotation,
+            italics: true,
+            size: 22, // 11pt
+            font: 'Arial'
+          })
+        ],
+        spacing: {
+          after: 100
+        }
+      })
+    );
+  }
+  
+  // Status, runtime and memory of the documented submission, when they were captured
+  const resultLine = options.showSubmissionResult ? formatSubmissionResult(problem.result) : '';
+  if (resultLine) {
+    paragraphs.push(
+      new Paragraph({
+        children: [
+          new TextRun({
+            text: resultLine,
+            size: 22, // 11pt
+            font: 'Arial'
+          })
+        ],
+        spacing: {
+          after: 100
+        }
+      })
+    );
+  }
+  
   // Add blank line after problem name
   paragraphs.push(
     new Paragraph({
@@ -142,12 +416,12 @@ function createProblemSection(problem) {
     })
   );
   
-  // Submission link label and URL
+  // Submission link label and URL; editor captures link to the problem instead
   paragraphs.push(
     new Paragraph({
       children: [
         new TextRun({
-          text: 'Submission Link-',
+          text: problem.submitted === false ? 'Problem Link (not submitted)-' : 'Submission Link-',
           size: 24, // 12pt
           font: 'Arial'
         })
@@ -188,6 +462,11 @@ function createProblemSection(problem) {
     })
   );
   
+  // Problem statement, examples and constraints, when one was captured
+  if (options.includeStatement && problem.statement && problem.statement.length > 0) {
+    paragraphs.push(...createStatementSection(problem.statement));
+  }
+  
   // Code label
   paragraphs.push(
     new Paragraph({
@@ -216,6 +495,243 @@ function createProblemSection(problem) {
   // Code block
   paragraphs.push(...formatCodeBlock(problem.code));
   
+  // Solution notes (approach, complexities, edge cases); empty notes are left out
+  paragraphs.push(...createNotesSection(problem.notes || {}));
+  
+  // Previous attempts (every submission except the primary one)
+  if (options.includePreviousAttempts) {
+    const attempts = (problem.submissions || []).filter(s => s.id !== problem.primarySubmissionId);
+    if (attempts.length > 0) {
+      paragraphs.push(...createPreviousAttemptsSection(attempts));
+    }
+  }
+  
+  return paragraphs;
+}
+
+/**
+ * Creates the labelled note sections shown under a problem's code
+ * Line breaks in a note start a new paragraph
+ * @param {Object} notes - Notes keyed by PROBLEM_NOTE_FIELDS
+ * @returns {Array<Paragraph>} - Array of paragraphs (empty if there are no notes)
+ */
+function createNotesSection(notes) {
+  const paragraphs = [];
+  
+  PROBLEM_NOTE_FIELDS.forEach(field => {
+    const value = (notes[field.key] || '').trim();
+    if (!value) return;
+    
+    // Blank line before each note
+    paragraphs.push(
+      new Paragraph({
+        text: '',
+        spacing: { after: 100 }
+      })
+    );
+    
+    paragraphs.push(
+      new Paragraph({
+        children: [
+          new TextRun({
+            text: `${field.label}-`,
+            bold: true,
+            size: 24, // 12pt
+            font: 'Arial'
+          })
+        ],
+        spacing: {
+          after: 100
+        }
+      })
+    );
+    
+    value.split('\n').forEach(line => {
+      paragraphs.push(
+        new Paragraph({
+          children: [
+            new TextRun({
+              text: line,
+              size: 24, // 12pt
+              font: 'Arial'
+            })
+          ],
+          spacing: {
+            after: 60
+          }
+        })
+      );
+    });
+  });
+  
+  return paragraphs;
+}
+
+/**
+ * Creates the "Problem Statement" part of a problem section
+ * @param {Array} statement - Statement blocks (see STATEMENT_BLOCK_TYPES in validation.js)
+ * @returns {Array<Paragraph>} - Array of paragraphs
+ */
+function createStatementSection(statement) {
+  const paragraphs = [];
+  
+  paragraphs.push(
+    new Paragraph({
+      children: [
+        new TextRun({
+          text: 'Problem Statement-',
+          bold: true,
+          size: 24, // 12pt
+          font: 'Arial'
+        })
+      ],
+      spacing: {
+        after: 100
+      }
+    })
+  );
+  
+  statement.forEach(block => {
+    if (block.type === 'list') {
+      block.items.forEach((item, index) => {
+        const marker = block.ordered ? `${index + 1}. ` : '• ';
+        paragraphs.push(
+          new Paragraph({
+            children: [
+              new TextRun({ text: marker, size: 24, font: 'Arial' }),
+              ...createStatementRuns(item, false)
+            ],
+            indent: { left: 360, hanging: 240 },
+            spacing: {
+              after: 60
+            }
+          })
+        );
+      });
+      return;
+    }
+    
+    // Examples keep their line breaks and are set in a monospace font
+    const preformatted = block.type === 'code';
+    paragraphs.push(
+      new Paragraph({
+        children: createStatementRuns(block.runs, preformatted),
+        indent: preformatted ? { left: 360 } : undefined,
+        spacing: {
+          after: 120
+        }
+      })
+    );
+  });
+  
+  // Blank line before the code
+  paragraphs.push(
+    new Paragraph({
+      text: '',
+      spacing: { after: 100 }
+    })
+  );
+  
+  return paragraphs;
+}
+
+/**
+ * Turns statement runs into text runs
+ * Line breaks inside a run become breaks in the paragraph; inline code uses Courier New
+ * @param {Array} runs - Runs {text, bold?, italic?, code?, sup?, sub?}
+ * @param {boolean} preformatted - Set the whole block in Courier New
+ * @returns {Array<TextRun>} - Text runs for one paragraph
+ */
+function createStatementRuns(runs, preformatted) {
+  const textRuns = [];
+  
+  runs.forEach(run => {
+    const monospace = preformatted || run.code;
+    run.text.split('\n').forEach((line, index) => {
+      textRuns.push(
+        new TextRun({
+          text: line,
+          break: index > 0 ? 1 : 0,
+          bold: !!run.bold,
+          italics: !!run.italic,
+          superScript: !!run.sup,
+          subScript: !!run.sub,
+          size: monospace ? 20 : 24, // 10pt code, 12pt text
+          font: monospace ? 'Courier New' : 'Arial'
+        })
+      );
+    });
+  });
+  
+  return textRuns;
+}
+
+/**
+ * Creates the "Previous Attempts" part of a problem section
+ * @param {Array} attempts - Non-primary submissions in capture order
+ * @returns {Array<Paragraph>} - Array of paragraphs
+ */
+function createPreviousAttemptsSection(attempts) {
+  const paragraphs = [];
+  
+  // Blank line after the primary code block
+  paragraphs.push(
+    new Paragraph({
+      text: '',
+      spacing: { after: 100 }
+    })
+  );
+  
+  paragraphs.push(
+    new Paragraph({
+      children: [
+        new TextRun({
+          text: 'Previous Attempts-',
+          bold: true,
+          size: 24, // 12pt
+          font: 'Arial'
+        })
+      ],
+      spacing: {
+        after: 100
+      }
+    })
+  );
+  
+  attempts.forEach((attempt, index) => {
+    // Attempt label with language and submission link
+    paragraphs.push(
+      new Paragraph({
+        children: [
+          new TextRun({
+            text: `Attempt ${index + 1} (${attempt.language}${attempt.submitted === false ? ', not submitted' : ''}): `,
+            italics: true,
+            size: 22, // 11pt
+            font: 'Arial'
+          }),
+          new ExternalHyperlink({
+            children: [
+              new TextRun({
+                text: attempt.submissionLink,
+                size: 22, // 11pt
+                font: 'Arial',
+                style: 'Hyperlink',
+                color: '000000'
+              })
+            ],
+            link: attempt.submissionLink
+          })
+        ],
+        spacing: {
+          before: 100,
+          after: 100
+        }
+      })
+    );
+    
+    paragraphs.push(...formatCodeBlock(attempt.code));
+  });
+  
   return paragraphs;
 }
 
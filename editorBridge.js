@@ -0,0 +1,62 @@
+/**
+ * LeetCode Documentation Generator - Editor Bridge
+ * Runs in the page's MAIN world on problem pages, where LeetCode's Monaco editor lives
+ *
+ * Content scripts run in an isolated world and can't reach `window.monaco`, and the editor
+ * DOM (`.view-lines`) only renders the visible lines. content.js asks this bridge for the
+ * editor contents with window.postMessage; the bridge answers with the text and language
+ * of the editor's model. The message types must match EDITOR_BRIDGE_MESSAGES in content.js.
+ */
+
+(function () {
+  const READ_EDITOR_MESSAGE = 'LEETCODE_DOC_GENERATOR_READ_EDITOR';
+  const EDITOR_CONTENTS_MESSAGE = 'LEETCODE_DOC_GENERATOR_EDITOR_CONTENTS';
+  
+  /**
+   * Get the language ID of a Monaco model (getModeId on older Monaco versions)
+   * @param {Object} model - Monaco text model
+   * @returns {string} Monaco language ID, e.g. "python" or "cpp"
+   */
+  function getModelLanguage(model) {
+    return typeof model.getLanguageId === 'function' ? model.getLanguageId() : model.getModeId();
+  }
+  
+  /**
+   * Find the model of the solution editor
+   * Prefers the focused editor, then the first editor with code in a language; the test case
+   * input is a plain text model
+   * @returns {Object|null} Monaco text model, or null if Monaco isn't on the page
+   */
+  function findSolutionModel() {
+    const monaco = window.monaco;
+    if (!monaco || !monaco.editor) return null;
+    
+    const editors = typeof monaco.editor.getEditors === 'function' ? monaco.editor.getEditors() : [];
+    const focused = editors.find(editor => editor.hasTextFocus() && editor.getModel());
+    if (focused) return focused.getModel();
+    
+    const models = editors.length > 0
+      ? editors.map(editor => editor.getModel()).filter(Boolean)
+      : monaco.editor.getModels();
+    return models.find(model => getModelLanguage(model) !== 'plaintext') || null;
+  }
+  
+  window.addEventListener('message', event => {
+    if (event.source !== window || !event.data || event.data.type !== READ_EDITOR_MESSAGE) return;
+    
+    const response = { type: EDITOR_CONTENTS_MESSAGE, requestId: event.data.requestId };
+    try {
+      const model = findSolutionModel();
+      if (model) {
+        response.code = model.getValue();
+        response.languageId = getModelLanguage(model);
+      } else {
+        response.error = 'Could not find the code editor on this page. Please wait for the editor to load.';
+      }
+    } catch (error) {
+      response.error = `Could not read the code editor: ${error.message}`;
+    }
+    
+    window.postMessage(response, window.location.origin);
+  });
+})();
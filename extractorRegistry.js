@@ -0,0 +1,105 @@
+/**
+ * Extractor Registry for LeetCode Documentation Generator
+ * Ranks the strategies that read a submission's code on submission pages
+ *
+ * Each strategy reads the code its own way (LeetCode's API, the syntax highlighter, the
+ * Monaco editor, any <pre> block) and returns a result with a confidence between 0 and 1
+ * and diagnostics explaining it. The most confident result is used; when it is below
+ * LOW_EXTRACTION_CONFIDENCE, the runner-up is kept so the popup can offer it.
+ * content.js registers the strategies, in the order they are tried.
+ */
+
+const CODE_EXTRACTORS = [];
+
+// Below this confidence the user is offered the runner-up
+const LOW_EXTRACTION_CONFIDENCE = 0.6;
+// A result this confident ends the run without trying the remaining strategies
+const CERTAIN_EXTRACTION_CONFIDENCE = 0.95;
+
+/**
+ * Register a code extraction strategy
+ * @param {Object} extractor - Strategy {id, name, extract(context)}; extract returns (or resolves to)
+ *   a result {code, language, extractionMethod, confidence, diagnostics, ...}, an array of them if it
+ *   found several candidates, or one without code (optionally {diagnostics}) if it found nothing,
+ *   and may throw
+ * @throws {Error} If the strategy is malformed or its ID is taken
+ */
+function registerCodeExtractor(extractor) {
+  if (!extractor || !extractor.id || typeof extractor.extract !== 'function') {
+    throw new Error('A code extractor needs an id and an extract function');
+  }
+  if (CODE_EXTRACTORS.some(registered => registered.id === extractor.id)) {
+    throw new Error(`Code extractor "${extractor.id}" is already registered`);
+  }
+  
+  CODE_EXTRACTORS.push(extractor);
+}
+
+/**
+ * Run the registered strategies in order and rank what they found
+ * @param {Object} [context] - Passed to every strategy, e.g. {submissionId, apiOptions}
+ * @returns {Promise<Object>} {best, runnerUp, reports}: best is the most confident result and
+ *   runnerUp the next one with different code, only when best is below LOW_EXTRACTION_CONFIDENCE
+ *   (otherwise null). Both have the strategy's id as `extractor`. reports lists
+ *   {extractor, confidence, diagnostics} for every strategy tried and every result it returned
+ * @throws {Error} If no strategy found code; the message lists every strategy's diagnostics
+ */
+async function runCodeExtractors(context = {}) {
+  const results = [];
+  const reports = [];
+  
+  for (const extractor of CODE_EXTRACTORS) {
+    let result;
+    try {
+      result = await extractor.extract(context);
+    } catch (error) {
+      result = { diagnostics: [error.message] };
+    }
+    
+    const found = (Array.isArray(result) ? result : [result])
+      .filter(candidate => candidate && typeof candidate.code === 'string' && candidate.code.trim().length > 0);
+    if (found.length === 0) {
+      reports.push({ extractor: extractor.id, confidence: 0, diagnostics: result?.diagnostics || ['Found no code'] });
+      continue;
+    }
+    
+    const ranked = found.map(candidate => ({
+      ...candidate,
+      extractor: extractor.id,
+      confidence: Math.min(1, Math.max(0, Number(candidate.confidence) || 0)),
+      diagnostics: candidate.diagnostics || []
+    }));
+    results.push(...ranked);
+    ranked.forEach(candidate => {
+      reports.push({ extractor: candidate.extractor, confidence: candidate.confidence, diagnostics: candidate.diagnostics });
+    });
+    
+    if (ranked.some(candidate => candidate.confidence >= CERTAIN_EXTRACTION_CONFIDENCE)) break;
+  }
+  
+  console.log(`Code extractors:\n${formatExtractorReports(reports)}`);
+  
+  if (results.length === 0) {
+    throw new Error(`Could not extract valid code from this page. Please make sure the submission has loaded completely.\n\n${formatExtractorReports(reports)}`);
+  }
+  
+  // Stable sort, so ties go to the strategy registered first
+  results.sort((a, b) => b.confidence - a.confidence);
+  const best = results[0];
+  const runnerUp = best.confidence < LOW_EXTRACTION_CONFIDENCE
+    ? results.find(result => result !== best && result.code.trim() !== best.code.trim()) || null
+    : null;
+  
+  return { best, runnerUp, reports };
+}
+
+/**
+ * Write the reports of a run as one line per strategy
+ * @param {Array<Object>} reports - Reports from runCodeExtractors
+ * @returns {string} e.g. "highlighter (90%): Read with line-nodes; language C++ from the code element"
+ */
+function formatExtractorReports(reports) {
+  return reports
+    .map(report => `${report.extractor} (${Math.round(report.confidence * 100)}%): ${report.diagnostics.join('; ')}`)
+    .join('\n');
+}
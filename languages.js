@@ -0,0 +1,343 @@
+/**
+ * Languages for LeetCode Documentation Generator
+ * Every language LeetCode offers, in its algorithms, database and shell problems
+ *
+ * Each language has LeetCode's language code (as returned by the API and used in
+ * `language-*` classes), the name captures are stored under, the Monaco language ID of
+ * LeetCode's editor and the signals classifyCodeLanguage scores code with when the page
+ * doesn't name the language. Signals are weighted regular expressions:
+ * - 5: LeetCode's starting template (class signature or comment), nearly conclusive
+ * - 3: syntax only this language (or family) has
+ * - 1: common keywords and markers, which add up
+ */
+
+const LEETCODE_LANGUAGES = [
+  {
+    code: 'cpp',
+    name: 'C++',
+    category: 'algorithms',
+    monacoId: 'cpp',
+    aliases: ['c++'],
+    signals: [
+      { pattern: /class Solution\s*\{\s*public:/, weight: 5 },
+      { pattern: /#include\s*<|using namespace std|std::/, weight: 3 },
+      { pattern: /\b(?:vector|unordered_map|unordered_set|pair)<|\bcout\b|\bcin\b|\bauto\b/, weight: 3 },
+      { pattern: /\bpublic:|\bnullptr\b|->/, weight: 1 }
+    ]
+  },
+  {
+    code: 'java',
+    name: 'Java',
+    category: 'algorithms',
+    monacoId: 'java',
+    signals: [
+      { pattern: /^\s*class Solution\s*\{\s*(?:public|private)\s+[\w<>\[\], ]+\s+[a-z]\w*\s*\(/m, weight: 5 },
+      { pattern: /\bimport java\.|System\.out\.print|\bnew (?:ArrayList|HashMap|HashSet|LinkedList|ArrayDeque)</, weight: 3 },
+      { pattern: /\b(?:List|Map|Set|Deque)<(?:Integer|String|Character|Long)\b|\.length\b/, weight: 1 },
+      { pattern: /\bpublic\b|\bprivate\b|\bfinal\b/, weight: 1 }
+    ]
+  },
+  {
+    code: 'python3',
+    name: 'Python3',
+    category: 'algorithms',
+    monacoId: 'python',
+    signals: [
+      { pattern: /class Solution:\s*\n\s*def \w+\(self[^)]*:\s*[\w\[\]]+[^)]*\)\s*->/, weight: 5 },
+      { pattern: /\bdef \w+\([^)]*\)(?:\s*->\s*[^:]+)?:\s*$/m, weight: 3 },
+      { pattern: /->\s*(?:List|Optional|int|str|bool|float)\b|\bprint\(|\bf"/, weight: 1 },
+      { pattern: /\belif\b|\bself\.|\bNone\b|\bTrue\b|\bFalse\b/, weight: 1 }
+    ]
+  },
+  {
+    code: 'python',
+    name: 'Python',
+    category: 'algorithms',
+    monacoId: 'python',
+    signals: [
+      { pattern: /:type \w+:|:rtype:/, weight: 5 },
+      { pattern: /\bdef \w+\([^)]*\):\s*$/m, weight: 3 },
+      { pattern: /\bxrange\(|^\s*print [^(]/m, weight: 3 },
+      { pattern: /\belif\b|\bself\.|\bNone\b|\bTrue\b|\bFalse\b/, weight: 1 }
+    ]
+  },
+  {
+    code: 'pythondata',
+    name: 'Pandas',
+    category: 'database',
+    monacoId: 'python',
+    aliases: ['pandas'],
+    signals: [
+      { pattern: /import pandas as pd/, weight: 5 },
+      { pattern: /\bpd\.DataFrame\b|\bpd\.merge\(/, weight: 3 },
+      { pattern: /\.(?:groupby|merge|drop_duplicates|sort_values|reset_index|rename)\(/, weight: 1 }
+    ]
+  },
+  {
+    code: 'c',
+    name: 'C',
+    category: 'algorithms',
+    monacoId: 'c',
+    signals: [
+      { pattern: /\*\s*returnSize\b|Note: The returned array must be malloced/, weight: 5 },
+      { pattern: /\b\w+Size\b|\bmalloc\(|\bcalloc\(|\bfree\(/, weight: 3 },
+      { pattern: /#include\s*<(?:stdio|stdlib|string)\.h>|\bprintf\(/, weight: 3 },
+      { pattern: /\bstruct\s+\w+\s*\*|\bint\s*\*/, weight: 1 }
+    ]
+  },
+  {
+    code: 'csharp',
+    name: 'C#',
+    category: 'algorithms',
+    monacoId: 'csharp',
+    aliases: ['cs', 'c#'],
+    signals: [
+      { pattern: /public class Solution\s*\{\s*public\s+[\w<>\[\], ]+\s+[A-Z]\w*\s*\(/, weight: 5 },
+      { pattern: /\busing System\b|\bIList<|\bnew (?:List|Dictionary|HashSet)<[^>]*>\(\)|\.Length\b|\.Count\b/, weight: 3 },
+      { pattern: /\bvar\b|\bforeach\b|\bstring\b/, weight: 1 }
+    ]
+  },
+  {
+    code: 'javascript',
+    name: 'JavaScript',
+    category: 'algorithms',
+    monacoId: 'javascript',
+    aliases: ['js'],
+    signals: [
+      { pattern: /var \w+ = function\s*\(/, weight: 5 },
+      { pattern: /@param \{[^}]+\} \w+|@return \{/, weight: 3 },
+      { pattern: /\b(?:const|let)\s+\w+\s*=|=>|===|\bconsole\.log\(/, weight: 1 }
+    ]
+  },
+  {
+    code: 'typescript',
+    name: 'TypeScript',
+    category: 'algorithms',
+    monacoId: 'typescript',
+    aliases: ['ts'],
+    signals: [
+      { pattern: /^function \w+\([^)]*:\s*[\w\[\]|]+[^)]*\)\s*:\s*[\w\[\]|<> ]+\s*\{/m, weight: 5 },
+      { pattern: /\b(?:const|let)\s+\w+\s*:\s*[\w\[\]<>]+\s*=|:\s*(?:number|string|boolean)\b/, weight: 3 },
+      { pattern: /\b(?:const|let)\s+\w+\s*=|=>|===|\binterface\b/, weight: 1 }
+    ]
+  },
+  {
+    code: 'php',
+    name: 'PHP',
+    category: 'algorithms',
+    monacoId: 'php',
+    signals: [
+      { pattern: /function \w+\(\$\w+/, weight: 5 },
+      { pattern: /<\?php|\$this->|@param \w+(?:\[\])? \$\w+/, weight: 3 },
+      { pattern: /\$\w+|\bcount\(\$|\barray\(/, weight: 1 }
+    ]
+  },
+  {
+    code: 'swift',
+    name: 'Swift',
+    category: 'algorithms',
+    monacoId: 'swift',
+    signals: [
+      { pattern: /\bfunc \w+\(_ \w+: /, weight: 5 },
+      { pattern: /\bfunc \w+\([^)]*\)\s*->|\bguard let\b|\bif let\b/, weight: 3 },
+      { pattern: /\bvar \w+\s*[:=]|\blet \w+\s*[:=]|\.count\b/, weight: 1 }
+    ]
+  },
+  {
+    code: 'kotlin',
+    name: 'Kotlin',
+    category: 'algorithms',
+    monacoId: 'kotlin',
+    aliases: ['kt'],
+    signals: [
+      { pattern: /\bfun \w+\([^)]*\)\s*:\s*\w+/, weight: 5 },
+      { pattern: /\bfun \w+\(|\b(?:Int|Long|Char|Boolean)Array\b|\bmutableListOf\b|\bval \w+/, weight: 3 },
+      { pattern: /\bvar \w+\s*[:=]|\bwhen\s*\(|\.size\b/, weight: 1 }
+    ]
+  },
+  {
+    code: 'dart',
+    name: 'Dart',
+    category: 'algorithms',
+    monacoId: 'dart',
+    signals: [
+      { pattern: /class Solution\s*\{\s*(?:List<int>|int|bool|String|double|void)\s+\w+\((?:List<|int\b|String\b)/, weight: 5 },
+      { pattern: /\b(?:List|Map|Set)<(?:int|String|double|bool)\b|\blate\b|\bfinal\s+\w+\s*=/, weight: 3 },
+      { pattern: /\bvar \w+\s*=|\.length\b|\?\?/, weight: 1 }
+    ]
+  },
+  {
+    code: 'golang',
+    name: 'Go',
+    category: 'algorithms',
+    monacoId: 'go',
+    aliases: ['go'],
+    signals: [
+      { pattern: /^func \w+\([^):]*\)/m, weight: 5 },
+      { pattern: /:=|\bpackage main\b|\bmake\(\[\]|\bfmt\./, weight: 3 },
+      { pattern: /\bfunc\b|\brange\b|\bnil\b/, weight: 1 }
+    ]
+  },
+  {
+    code: 'ruby',
+    name: 'Ruby',
+    category: 'algorithms',
+    monacoId: 'ruby',
+    aliases: ['rb'],
+    signals: [
+      { pattern: /^# @param \{[^}]+\} \w+/m, weight: 5 },
+      { pattern: /^\s*def \w+[?!]?(?:\([^)]*\))?\s*$/m, weight: 3 },
+      { pattern: /^\s*end\s*$/m, weight: 1 },
+      { pattern: /\.each\b|\bputs\b|\belsif\b|\bnil\b/, weight: 1 }
+    ]
+  },
+  {
+    code: 'scala',
+    name: 'Scala',
+    category: 'algorithms',
+    monacoId: 'scala',
+    signals: [
+      { pattern: /object Solution\s*\{/, weight: 5 },
+      { pattern: /\bdef \w+\([^)]*\)\s*:\s*[\w\[\]]+\s*=|\bArray\[Int\]|\bList\[\w+\]/, weight: 3 },
+      { pattern: /\bval \w+|\bvar \w+|\bmatch\s*\{/, weight: 1 }
+    ]
+  },
+  {
+    code: 'rust',
+    name: 'Rust',
+    category: 'algorithms',
+    monacoId: 'rust',
+    aliases: ['rs'],
+    signals: [
+      { pattern: /impl Solution\s*\{/, weight: 5 },
+      { pattern: /\bpub fn\b|\blet mut\b|\bVec<|\b[iu](?:32|64)\b|\busize\b/, weight: 3 },
+      { pattern: /\bfn \w+|\bmatch\b|&mut\b|::/, weight: 1 }
+    ]
+  },
+  {
+    code: 'racket',
+    name: 'Racket',
+    category: 'algorithms',
+    monacoId: 'racket',
+    signals: [
+      { pattern: /\(define\/contract/, weight: 5 },
+      { pattern: /^\s*\(define \(/m, weight: 3 },
+      { pattern: /\(lambda\b|\(let\b|\(cond\b/, weight: 1 }
+    ]
+  },
+  {
+    code: 'erlang',
+    name: 'Erlang',
+    category: 'algorithms',
+    monacoId: 'erlang',
+    signals: [
+      { pattern: /^-spec \w+\(/m, weight: 5 },
+      { pattern: /^\w+\([^)]*\)\s*->\s*$/m, weight: 3 },
+      { pattern: /\blists:|\bmaps:|\bcase .+ of\b/, weight: 1 }
+    ]
+  },
+  {
+    code: 'elixir',
+    name: 'Elixir',
+    category: 'algorithms',
+    monacoId: 'elixir',
+    signals: [
+      { pattern: /defmodule Solution do/, weight: 5 },
+      { pattern: /@spec \w+\(|\bdef \w+\([^)]*\) do\b/, weight: 3 },
+      { pattern: /\|>|\bEnum\.|\bMap\./, weight: 1 }
+    ]
+  },
+  {
+    code: 'mysql',
+    name: 'MySQL',
+    category: 'database',
+    monacoId: 'mysql',
+    signals: [
+      { pattern: /# Write your MySQL query statement below/, weight: 5 },
+      { pattern: /`\w+`|\bIFNULL\(|\bGROUP_CONCAT\(|\bDATE_FORMAT\(/i, weight: 3 },
+      { pattern: /\bSELECT\b[\s\S]*\bFROM\b/i, weight: 3 },
+      { pattern: /\bLIMIT\b/i, weight: 1 }
+    ]
+  },
+  {
+    code: 'mssql',
+    name: 'MS SQL Server',
+    category: 'database',
+    monacoId: 'sql',
+    signals: [
+      { pattern: /\/\* Write your T-SQL query statement below \*\//, weight: 5 },
+      { pattern: /\bSELECT\s+TOP\b|\bISNULL\(|\bGETDATE\(\)/i, weight: 3 },
+      { pattern: /\bSELECT\b[\s\S]*\bFROM\b/i, weight: 3 }
+    ]
+  },
+  {
+    code: 'oraclesql',
+    name: 'Oracle SQL',
+    category: 'database',
+    monacoId: 'sql',
+    aliases: ['oracle'],
+    signals: [
+      { pattern: /\/\* Write your PL\/SQL query statement below \*\//, weight: 5 },
+      { pattern: /\bNVL\(|\bROWNUM\b|\bFROM\s+dual\b|\bFETCH\s+FIRST\b/i, weight: 3 },
+      { pattern: /\bSELECT\b[\s\S]*\bFROM\b/i, weight: 3 }
+    ]
+  },
+  {
+    code: 'postgresql',
+    name: 'PostgreSQL',
+    category: 'database',
+    monacoId: 'pgsql',
+    aliases: ['pgsql', 'postgres'],
+    signals: [
+      { pattern: /-- Write your PostgreSQL query statement below/, weight: 5 },
+      { pattern: /::\w+|\bILIKE\b|\bDISTINCT ON\b/i, weight: 3 },
+      { pattern: /\bSELECT\b[\s\S]*\bFROM\b/i, weight: 3 }
+    ]
+  },
+  {
+    code: 'bash',
+    name: 'Bash',
+    category: 'shell',
+    monacoId: 'shell',
+    aliases: ['sh', 'shell'],
+    signals: [
+      { pattern: /^# Read from the file \w+\.txt/m, weight: 5 },
+      { pattern: /^#!\/bin\/(?:ba)?sh|\b(?:awk|sed|grep|xargs|uniq|tr)\b[^\n]*(?:\||\w+\.txt)/m, weight: 3 },
+      { pattern: /\bcat\b|\bsort\b|\bhead\b|\btail\b|\$\{?\w+\}?/, weight: 1 }
+    ]
+  }
+];
+
+// A classification needs at least this score to be trusted
+const LANGUAGE_MIN_SCORE = 3;
+
+/**
+ * Find a language by its LeetCode code or one of its aliases
+ * @param {string} code - e.g. "python3", "golang" or "go" (case-insensitive)
+ * @returns {Object|null} Language from LEETCODE_LANGUAGES, or null if unknown
+ */
+function findLeetCodeLanguage(code) {
+  if (!code) return null;
+  const key = String(code).trim().toLowerCase();
+  return LEETCODE_LANGUAGES.find(language =>
+    language.code === key || (language.aliases || []).includes(key)
+  ) || null;
+}
+
+/**
+ * Score code against every language's signals
+ * @param {string} code - Code
+ * @returns {Array<{language: Object, score: number}>} Languages that matched a signal, best first;
+ *   ties keep the order of LEETCODE_LANGUAGES
+ */
+function classifyCodeLanguage(code) {
+  if (!code) return [];
+  
+  return LEETCODE_LANGUAGES
+    .map(language => ({
+      language,
+      score: language.signals.reduce((sum, signal) => sum + (signal.pattern.test(code) ? signal.weight : 0), 0)
+    }))
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,422 @@
+/**
+ * LeetCode GraphQL API client - Content Script
+ * Fetches a submission's exact code, language, title, slug and result (status, runtime,
+ * memory and percentiles) from LeetCode's `submissionDetails` GraphQL query, and a problem's description from `questionContent`,
+ * using the signed-in user's session cookies; batch captures also look up a problem's latest accepted submission
+ *
+ * Loaded before content.js, which uses it as its primary extractor and falls back
+ * to DOM scraping when the API is unavailable. The endpoint and fetch function can be
+ * passed in, so the client can be pointed at a local mock of the endpoint.
+ *
+ * leetcode.cn has no `submissionDetails` query; its `mySubmissionDetail` query returns the
+ * verdict, runtime and memory as display text without percentiles, and problems have a
+ * translated title and description. SITE_QUERIES holds the queries of each site.
+ */
+
+const LEETCODE_GRAPHQL_PATH = '/graphql/';
+const LEETCODE_API_TIMEOUT_MS = 8000;
+// Submissions looked through when searching for the latest accepted one (newest first)
+const SUBMISSION_LIST_PAGE_SIZE = 20;
+const SUBMISSION_LIST_MAX_PAGES = 5;
+
+// Labels of the submission status codes LeetCode returns
+const SUBMISSION_STATUS_LABELS = {
+  10: 'Accepted',
+  11: 'Wrong Answer',
+  12: 'Memory Limit Exceeded',
+  13: 'Output Limit Exceeded',
+  14: 'Time Limit Exceeded',
+  15: 'Runtime Error',
+  16: 'Internal Error',
+  20: 'Compile Error',
+  21: 'Unknown Error',
+  30: 'Timeout'
+};
+
+const SUBMISSION_DETAILS_QUERY = `
+  query submissionDetails($submissionId: Int!) {
+    submissionDetails(submissionId: $submissionId) {
+      code
+      timestamp
+      statusCode
+      runtimeDisplay
+      runtimePercentile
+      memoryDisplay
+      memoryPercentile
+      lang {
+        name
+        verboseName
+      }
+      question {
+        questionId
+        title
+        titleSlug
+      }
+    }
+  }
+`;
+
+const QUESTION_CONTENT_QUERY = `
+  query questionContent($titleSlug: String!) {
+    question(titleSlug: $titleSlug) {
+      content
+    }
+  }
+`;
+
+const SUBMISSION_LIST_QUERY = `
+  query submissionList($offset: Int!, $limit: Int!, $lastKey: String, $questionSlug: String!) {
+    questionSubmissionList(offset: $offset, limit: $limit, lastKey: $lastKey, questionSlug: $questionSlug) {
+      lastKey
+      hasNext
+      submissions {
+        id
+        statusDisplay
+        timestamp
+      }
+    }
+  }
+`;
+
+const CN_SUBMISSION_DETAIL_QUERY = `
+  query mySubmissionDetail($id: ID!) {
+    mySubmissionDetail(id: $id) {
+      code
+      timestamp
+      statusDisplay
+      runtime
+      memory
+      lang
+      question {
+        questionId
+        title
+        translatedTitle
+        titleSlug
+      }
+    }
+  }
+`;
+
+const CN_QUESTION_CONTENT_QUERY = `
+  query questionContent($titleSlug: String!) {
+    question(titleSlug: $titleSlug) {
+      content
+      translatedContent
+    }
+  }
+`;
+
+const CN_SUBMISSION_LIST_QUERY = `
+  query submissionList($offset: Int!, $limit: Int!, $lastKey: String, $questionSlug: String!) {
+    submissionList(offset: $offset, limit: $limit, lastKey: $lastKey, questionSlug: $questionSlug) {
+      lastKey
+      hasNext
+      submissions {
+        id
+        statusDisplay
+        timestamp
+      }
+    }
+  }
+`;
+
+// Queries of each site (keyed by LEETCODE_SITES id) and how to read their responses
+const SITE_QUERIES = {
+  global: {
+    submission: {
+      query: SUBMISSION_DETAILS_QUERY,
+      variables: id => ({ submissionId: id }),
+      field: 'submissionDetails',
+      normalize: normalizeSubmissionDetails
+    },
+    question: {
+      query: QUESTION_CONTENT_QUERY,
+      content: question => question.content
+    },
+    submissionList: {
+      query: SUBMISSION_LIST_QUERY,
+      field: 'questionSubmissionList'
+    }
+  },
+  cn: {
+    submission: {
+      query: CN_SUBMISSION_DETAIL_QUERY,
+      variables: id => ({ id: String(id) }),
+      field: 'mySubmissionDetail',
+      normalize: normalizeCnSubmissionDetail
+    },
+    question: {
+      query: CN_QUESTION_CONTENT_QUERY,
+      content: question => question.translatedContent || question.content
+    },
+    submissionList: {
+      query: CN_SUBMISSION_LIST_QUERY,
+      field: 'submissionList'
+    }
+  }
+};
+
+/**
+ * Get the GraphQL endpoint of the site the page belongs to
+ * @returns {string} Endpoint URL, e.g. "https://leetcode.com/graphql/"
+ */
+function getDefaultGraphqlEndpoint() {
+  return `${window.location.origin}${LEETCODE_GRAPHQL_PATH}`;
+}
+
+/**
+ * Read LeetCode's CSRF token from the page cookies
+ * LeetCode rejects GraphQL POSTs without it
+ * @returns {string|null} Token, or null if the cookie is missing
+ */
+function readCsrfToken() {
+  const match = document.cookie.match(/(?:^|;\s*)csrftoken=([^;]+)/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Send a GraphQL query to LeetCode
+ * @param {string} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @param {Object} [options] - Request options
+ * @param {string} [options.endpoint] - GraphQL endpoint (defaults to the current site's)
+ * @param {function} [options.fetchImpl] - fetch implementation
+ * @param {string|null} [options.csrfToken] - CSRF token (defaults to the page cookie)
+ * @param {number} [options.timeoutMs] - Give up after this long
+ * @returns {Promise<Object>} The response's `data` object
+ * @throws {Error} If the request fails, times out or returns GraphQL errors
+ */
+async function queryLeetCodeGraphql(query, variables, {
+  endpoint = getDefaultGraphqlEndpoint(),
+  fetchImpl = fetch,
+  csrfToken = readCsrfToken(),
+  timeoutMs = LEETCODE_API_TIMEOUT_MS
+} = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (csrfToken) {
+    headers['x-csrftoken'] = csrfToken;
+  }
+  
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  
+  let response;
+  try {
+    response = await fetchImpl(endpoint, {
+      method: 'POST',
+      headers,
+      credentials: 'include',
+      body: JSON.stringify({ query, variables }),
+      signal: controller.signal
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`LeetCode API did not respond within ${timeoutMs / 1000} seconds`);
+    }
+    throw new Error(`LeetCode API request failed: ${error.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+  
+  if (!response.ok) {
+    throw new Error(`LeetCode API request failed: HTTP ${response.status}`);
+  }
+  
+  let body;
+  try {
+    body = await response.json();
+  } catch (error) {
+    throw new Error('LeetCode API returned a response that is not JSON');
+  }
+  
+  if (Array.isArray(body.errors) && body.errors.length > 0) {
+    throw new Error(`LeetCode API error: ${body.errors[0].message}`);
+  }
+  
+  if (!body.data) {
+    throw new Error('LeetCode API returned no data');
+  }
+  
+  return body.data;
+}
+
+/**
+ * Fetch a submission's details
+ * @param {string|number} submissionId - Submission ID
+ * @param {Object} [options] - Request options (see queryLeetCodeGraphql)
+ * @param {Object} [options.site] - Site whose API is queried (defaults to the current page's)
+ * @returns {Promise<Object>} Submission {code, language, languageName, title, slug, questionId, result}
+ *   where `language` is LeetCode's language code (e.g. "python3"), `languageName` its display name
+ *   and `result` is {status, runtime, runtimePercentile, memory, memoryPercentile, submittedAt}
+ * @throws {Error} If the submission can't be fetched or is incomplete
+ */
+async function fetchSubmissionDetails(submissionId, { site = getCurrentLeetCodeSite(), ...options } = {}) {
+  const id = Number(submissionId);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new Error(`Invalid submission ID: ${submissionId}`);
+  }
+  
+  const request = SITE_QUERIES[site.id].submission;
+  const data = await queryLeetCodeGraphql(request.query, request.variables(id), options);
+  const details = data[request.field];
+  
+  // LeetCode answers null for submissions of other users or when signed out
+  if (!details) {
+    throw new Error('LeetCode API returned no details for this submission. Are you signed in to the account that submitted it?');
+  }
+  
+  return request.normalize(details, site);
+}
+
+/**
+ * Turn a `submissionDetails` response into a flat submission
+ * @param {Object} details - submissionDetails object from the API
+ * @returns {Object} Submission (see fetchSubmissionDetails)
+ * @throws {Error} If code, language or title are missing
+ */
+function normalizeSubmissionDetails(details) {
+  const question = details.question || {};
+  const lang = details.lang || {};
+  
+  if (typeof details.code !== 'string' || details.code.trim().length === 0) {
+    throw new Error('LeetCode API returned a submission without code');
+  }
+  if (!lang.name) {
+    throw new Error('LeetCode API returned a submission without a language');
+  }
+  if (!question.title) {
+    throw new Error('LeetCode API returned a submission without a problem title');
+  }
+  
+  // timestamp is in seconds
+  const timestamp = Number(details.timestamp);
+  const toPercentile = value => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+  
+  return {
+    code: details.code,
+    language: lang.name,
+    languageName: lang.verboseName || lang.name,
+    title: question.title,
+    slug: question.titleSlug || null,
+    questionId: question.questionId || null,
+    result: {
+      status: SUBMISSION_STATUS_LABELS[details.statusCode] || null,
+      runtime: details.runtimeDisplay || null,
+      runtimePercentile: toPercentile(details.runtimePercentile),
+      memory: details.memoryDisplay || null,
+      memoryPercentile: toPercentile(details.memoryPercentile),
+      submittedAt: Number.isFinite(timestamp) && timestamp > 0 ? new Date(timestamp * 1000).toISOString() : null
+    }
+  };
+}
+
+/**
+ * Turn a leetcode.cn `mySubmissionDetail` response into a flat submission
+ * The problem title is the translated one shown on leetcode.cn
+ * @param {Object} details - mySubmissionDetail object from the API
+ * @param {Object} site - Site the submission belongs to
+ * @returns {Object} Submission (see fetchSubmissionDetails); percentiles are always null
+ * @throws {Error} If code, language or title are missing
+ */
+function normalizeCnSubmissionDetail(details, site) {
+  const question = details.question || {};
+  
+  if (typeof details.code !== 'string' || details.code.trim().length === 0) {
+    throw new Error('LeetCode API returned a submission without code');
+  }
+  if (!details.lang) {
+    throw new Error('LeetCode API returned a submission without a language');
+  }
+  if (!question.translatedTitle && !question.title) {
+    throw new Error('LeetCode API returned a submission without a problem title');
+  }
+  
+  const timestamp = Number(details.timestamp);
+  
+  return {
+    code: details.code,
+    language: details.lang,
+    languageName: details.lang,
+    title: question.translatedTitle || question.title,
+    slug: question.titleSlug || null,
+    questionId: question.questionId || null,
+    result: {
+      status: normalizeSiteStatus(site, details.statusDisplay || null),
+      runtime: details.runtime || null,
+      runtimePercentile: null,
+      memory: details.memory || null,
+      memoryPercentile: null,
+      submittedAt: Number.isFinite(timestamp) && timestamp > 0 ? new Date(timestamp * 1000).toISOString() : null
+    }
+  };
+}
+
+/**
+ * Fetch a problem's description as HTML
+ * On leetcode.cn the translated description is preferred
+ * @param {string} slug - Problem slug, e.g. "two-sum"
+ * @param {Object} [options] - Request options (see queryLeetCodeGraphql)
+ * @param {Object} [options.site] - Site whose API is queried (defaults to the current page's)
+ * @returns {Promise<string>} Description HTML (statement, examples and constraints)
+ * @throws {Error} If the description can't be fetched, e.g. for premium problems
+ */
+async function fetchQuestionContent(slug, { site = getCurrentLeetCodeSite(), ...options } = {}) {
+  if (!slug) {
+    throw new Error('A problem slug is required to fetch its description');
+  }
+  
+  const request = SITE_QUERIES[site.id].question;
+  const data = await queryLeetCodeGraphql(request.query, { titleSlug: slug }, options);
+  const content = data.question && request.content(data.question);
+  
+  if (typeof content !== 'string' || content.trim().length === 0) {
+    throw new Error(`LeetCode API returned no description for "${slug}"`);
+  }
+  
+  return content;
+}
+
+/**
+ * Find the signed-in user's latest accepted submission of a problem
+ * Looks through the newest SUBMISSION_LIST_MAX_PAGES pages of the problem's submissions
+ * @param {string} slug - Problem slug, e.g. "two-sum"
+ * @param {Object} [options] - Request options (see queryLeetCodeGraphql)
+ * @param {Object} [options.site] - Site whose API is queried (defaults to the current page's)
+ * @returns {Promise<string|null>} Submission ID, or null if no accepted submission was found
+ * @throws {Error} If the submission list can't be fetched, e.g. when signed out
+ */
+async function fetchLatestAcceptedSubmissionId(slug, { site = getCurrentLeetCodeSite(), ...options } = {}) {
+  if (!slug) {
+    throw new Error('A problem slug is required to find its submissions');
+  }
+  
+  const request = SITE_QUERIES[site.id].submissionList;
+  let lastKey = null;
+  
+  for (let page = 0; page < SUBMISSION_LIST_MAX_PAGES; page++) {
+    const variables = {
+      offset: page * SUBMISSION_LIST_PAGE_SIZE,
+      limit: SUBMISSION_LIST_PAGE_SIZE,
+      lastKey,
+      questionSlug: slug
+    };
+    const data = await queryLeetCodeGraphql(request.query, variables, options);
+    const list = data[request.field];
+    
+    // LeetCode answers null when signed out
+    if (!list) {
+      throw new Error('LeetCode API returned no submission list. Are you signed in?');
+    }
+    
+    const accepted = (list.submissions || [])
+      .find(submission => normalizeSiteStatus(site, submission.statusDisplay) === 'Accepted');
+    if (accepted) {
+      return String(accepted.id);
+    }
+    
+    if (!list.hasNext) break;
+    lastKey = list.lastKey || null;
+  }
+  
+  return null;
+}
@@ -0,0 +1,179 @@
+/**
+ * LeetCode Sites for LeetCode Documentation Generator
+ * Describes the LeetCode sites the extension supports (leetcode.com and leetcode.cn)
+ *
+ * Shared by the content scripts, the popup and the background service worker, so URL
+ * checks, submission links and the localized labels of the result panel come from one
+ * place. Both sites use the same paths:
+ * - /problems/{slug}/submissions/{id}/
+ * - /submissions/detail/{id}/
+ */
+
+const LEETCODE_SITES = [
+  {
+    id: 'global',
+    hostname: 'leetcode.com',
+    origin: 'https://leetcode.com',
+    name: 'LeetCode',
+    // Labels of the runtime and memory panels and the "Beats x%" prefix
+    resultLabels: {
+      runtime: ['Runtime'],
+      memory: ['Memory'],
+      beats: 'Beats'
+    },
+    // Verdicts shown on the page that differ from the English labels
+    statusLabels: {}
+  },
+  {
+    id: 'cn',
+    hostname: 'leetcode.cn',
+    origin: 'https://leetcode.cn',
+    name: 'LeetCode China',
+    resultLabels: {
+      runtime: ['执行用时', 'Runtime'],
+      memory: ['消耗内存', '内存消耗', 'Memory'],
+      beats: '击败'
+    },
+    statusLabels: {
+      '通过': 'Accepted',
+      '解答错误': 'Wrong Answer',
+      '超出内存限制': 'Memory Limit Exceeded',
+      '超出输出限制': 'Output Limit Exceeded',
+      '超出时间限制': 'Time Limit Exceeded',
+      '执行出错': 'Runtime Error',
+      '内部出错': 'Internal Error',
+      '编译出错': 'Compile Error',
+      '未知错误': 'Unknown Error',
+      '超时': 'Timeout'
+    }
+  }
+];
+
+/**
+ * Find the LeetCode site a URL belongs to
+ * Subdomains such as www.leetcode.com belong to their site
+ * @param {string} url - Absolute URL
+ * @returns {Object|null} Site from LEETCODE_SITES, or null for other sites and invalid URLs
+ */
+function getLeetCodeSite(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch (error) {
+    return null;
+  }
+  
+  return LEETCODE_SITES.find(site =>
+    hostname === site.hostname || hostname.endsWith(`.${site.hostname}`)
+  ) || null;
+}
+
+/**
+ * Get the LeetCode site of the current page
+ * Only meaningful in the content scripts; pages of unknown sites are treated as leetcode.com
+ * @returns {Object} Site from LEETCODE_SITES
+ */
+function getCurrentLeetCodeSite() {
+  return getLeetCodeSite(window.location.href) || LEETCODE_SITES[0];
+}
+
+/**
+ * Get the hostnames of the supported sites, for messages
+ * @returns {Array<string>} e.g. ["leetcode.com", "leetcode.cn"]
+ */
+function getLeetCodeHostnames() {
+  return LEETCODE_SITES.map(site => site.hostname);
+}
+
+/**
+ * Check whether a URL is a LeetCode page a problem can be captured from
+ * @param {string} url - Absolute URL
+ * @returns {boolean} True for /problems/... and /submissions/detail/... pages of a supported site
+ */
+function isLeetCodeCaptureUrl(url) {
+  if (!getLeetCodeSite(url)) return false;
+  return /^\/(?:problems|submissions\/detail)\//.test(new URL(url).pathname);
+}
+
+/**
+ * Check whether a URL is a submission page of a supported site
+ * @param {string} url - Absolute URL
+ * @returns {boolean} True for /problems/{slug}/submissions/{id}/ and /submissions/detail/{id}/ pages
+ */
+function isLeetCodeSubmissionUrl(url) {
+  if (!getLeetCodeSite(url)) return false;
+  return /^\/(?:problems\/[^\/]+\/submissions|submissions\/detail)\/\d+/.test(new URL(url).pathname);
+}
+
+/**
+ * Check whether a URL is a LeetCode page the content script runs on
+ * @param {string} url - Absolute URL
+ * @returns {boolean} True for /problems/... and /submissions/... pages of a supported site
+ */
+function hasLeetCodeContentScript(url) {
+  if (!getLeetCodeSite(url)) return false;
+  return /^\/(?:problems|submissions)\//.test(new URL(url).pathname);
+}
+
+/**
+ * Get the problem slug of a LeetCode problem or submission URL
+ * @param {string} url - Absolute URL
+ * @returns {string|null} Slug, e.g. "two-sum", or null for other URLs
+ */
+function getLeetCodeProblemSlug(url) {
+  if (!getLeetCodeSite(url)) return null;
+  const match = new URL(url).pathname.match(/^\/problems\/([a-z0-9-]+)/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Check whether a URL is a detail-only submission page (/submissions/detail/{id}/)
+ * @param {string} url - Absolute URL
+ * @returns {boolean} True if the page is redirected to the problem's submission URL before capturing
+ */
+function isLeetCodeDetailOnlyUrl(url) {
+  if (!getLeetCodeSite(url)) return false;
+  return /^\/submissions\/detail\/\d+/.test(new URL(url).pathname);
+}
+
+/**
+ * Build the link to a submission on its site
+ * @param {Object} site - Site from LEETCODE_SITES
+ * @param {string} submissionId - Submission ID
+ * @returns {string} e.g. "https://leetcode.cn/submissions/detail/1886581454/"
+ */
+function buildSubmissionLink(site, submissionId) {
+  return `${site.origin}/submissions/detail/${submissionId}/`;
+}
+
+/**
+ * Build the URL of a problem
+ * @param {Object} site - Site from LEETCODE_SITES
+ * @param {string} slug - Problem slug
+ * @returns {string} e.g. "https://leetcode.com/problems/two-sum/"
+ */
+function buildProblemUrl(site, slug) {
+  return `${site.origin}/problems/${slug}/`;
+}
+
+/**
+ * Build the URL of a submission under its problem
+ * @param {Object} site - Site from LEETCODE_SITES
+ * @param {string} slug - Problem slug
+ * @param {string} submissionId - Submission ID
+ * @returns {string} e.g. "https://leetcode.cn/problems/two-sum/submissions/1886581454/"
+ */
+function buildProblemSubmissionUrl(site, slug, submissionId) {
+  return `${site.origin}/problems/${slug}/submissions/${submissionId}/`;
+}
+
+/**
+ * Translate a verdict shown on a site into its English label
+ * @param {Object} site - Site from LEETCODE_SITES
+ * @param {string|null} status - Verdict text, e.g. "通过"
+ * @returns {string|null} English verdict, e.g. "Accepted"; unknown verdicts are returned unchanged
+ */
+function normalizeSiteStatus(site, status) {
+  if (!status) return null;
+  return site.statusLabels[status] || status;
+}
@@ -0,0 +1,223 @@
+/**
+ * Storage Schema Migrations for LeetCode Documentation Generator
+ * Upgrades data written by older versions of the extension to the current schema
+ *
+ * Each migration runs once, in order; the last applied version is stored under
+ * SCHEMA_VERSION_KEY. Migrations must be safe to run on a fresh install where
+ * there is nothing to move. Depends on problemStore.js and storage.js being loaded first.
+ */
+
+const SCHEMA_VERSION_KEY = 'schemaVersion';
+const UNMIGRATED_PROBLEMS_KEY = 'unmigratedProblems';
+const LEGACY_TRASH_KEY = 'trash';
+
+/**
+ * Ordered list of schema migrations
+ * @type {Array<{version: number, description: string, migrate: function(): Promise<void>}>}
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Move the single currentProblemSet into the problem set workspace',
+    migrate: migrateLegacyProblemSet
+  },
+  {
+    version: 2,
+    description: 'Move problems saved under the top-level "problems" key into the active set',
+    migrate: migrateStrayProblems
+  },
+  {
+    version: 3,
+    description: 'Turn single code snapshots into per-problem submission histories',
+    migrate: migrateSubmissionHistories
+  },
+  {
+    version: 4,
+    description: 'Move problems and trash entries from chrome.storage.local into IndexedDB',
+    migrate: migrateToProblemStore
+  }
+];
+
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Check whether a problem set has neither info nor problems
+ * @param {Object} setData - Problem set data {info, problems}
+ * @returns {boolean} True if the set is empty
+ */
+function isEmptyProblemSet(setData) {
+  const info = setData.info || {};
+  return !info.title && !info.submittedBy && setData.problems.length === 0;
+}
+
+/**
+ * v1: Adopt the data stored under the legacy `currentProblemSet` key as a workspace set
+ * Reuses the active set if it is still empty, otherwise adds a new active set
+ * @returns {Promise<void>}
+ */
+async function migrateLegacyProblemSet() {
+  const legacyKey = 'currentProblemSet';
+  const data = await chrome.storage.local.get(legacyKey);
+  const legacyData = data[legacyKey];
+  
+  if (!legacyData) return;
+  
+  const problems = Array.isArray(legacyData.problems) ? legacyData.problems : [];
+  const info = legacyData.info || {};
+  const name = info.title || DEFAULT_PROBLEM_SET_NAME;
+  
+  const workspace = await getWorkspace();
+  const activeData = await readProblemSetData(workspace.activeSetId);
+  
+  if (isEmptyProblemSet(activeData)) {
+    await writeProblemSetData(workspace.activeSetId, { info, problems });
+    await renameProblemSet(workspace.activeSetId, name);
+  } else {
+    const newSet = await createProblemSet(name);
+    await writeProblemSetData(newSet.id, { info, problems });
+  }
+  
+  await chrome.storage.local.remove(legacyKey);
+  console.log(`Migrated legacy problem set with ${problems.length} problems`);
+}
+
+/**
+ * v2: Move captures that the background worker saved under a top-level `problems` key
+ * Records that fail validation are kept under UNMIGRATED_PROBLEMS_KEY instead of being dropped
+ * @returns {Promise<void>}
+ */
+async function migrateStrayProblems() {
+  const data = await chrome.storage.local.get(['problems', UNMIGRATED_PROBLEMS_KEY]);
+  const strayProblems = data.problems;
+  
+  if (!Array.isArray(strayProblems) || strayProblems.length === 0) {
+    await chrome.storage.local.remove('problems');
+    return;
+  }
+  
+  const setId = await getActiveProblemSetId();
+  const setData = await readProblemSetData(setId);
+  const unmigrated = data[UNMIGRATED_PROBLEMS_KEY] || [];
+  let movedCount = 0;
+  
+  for (const stray of strayProblems) {
+    // The popup may have saved the same capture while it was open. Stored records keep
+    // their submissions in submissions[] since v3, so they are compared submission by submission
+    const histories = setData.problems.map(toSubmissionHistory);
+    const match = findDuplicateProblem(histories, stray);
+    const alreadySaved = (match && match.reason === 'submission') || histories.some(p =>
+      p.submissions.some(s => s.submissionLink === stray.submissionLink && s.code === stray.code)
+    );
+    if (alreadySaved) continue;
+    
+    try {
+      const record = buildProblemRecord(stray, setData.problems.length);
+      record.capturedAt = stray.timestamp || stray.capturedAt || record.capturedAt;
+      setData.problems.push(record);
+      movedCount++;
+    } catch (error) {
+      console.warn('Could not migrate stray problem:', error.message, stray);
+      unmigrated.push(stray);
+    }
+  }
+  
+  await writeProblemSetData(setId, setData);
+  
+  if (unmigrated.length > 0) {
+    await chrome.storage.local.set({ [UNMIGRATED_PROBLEMS_KEY]: unmigrated });
+  }
+  await chrome.storage.local.remove('problems');
+  
+  console.log(`Moved ${movedCount} stray problem(s) into the active set`);
+}
+
+/**
+ * v3: Give every problem a submission history
+ * Alternative solutions (records with `alternativeOf`) join the history of the problem
+ * they were an alternative of
+ * @returns {Promise<void>}
+ */
+async function migrateSubmissionHistories() {
+  const workspace = await getWorkspace();
+  
+  for (const set of workspace.sets) {
+    const setData = await readProblemSetData(set.id);
+    const records = [...setData.problems].sort((a, b) => (a.order || 0) - (b.order || 0));
+    const problems = [];
+    
+    for (const record of records) {
+      const { alternativeOf, ...rest } = record;
+      const converted = toSubmissionHistory(rest);
+      const parent = alternativeOf && problems.find(p => p.id === alternativeOf);
+      
+      if (parent) {
+        parent.submissions.push(...converted.submissions);
+      } else {
+        problems.push(converted);
+      }
+    }
+    
+    problems.forEach((problem, index) => {
+      problem.order = index;
+    });
+    
+    await writeProblemSetData(set.id, { ...setData, problems });
+    console.log(`Converted ${records.length} record(s) in "${set.name}" to ${problems.length} problem(s) with submission histories`);
+  }
+}
+
+/**
+ * v4: Move every set's problems and the trash into the IndexedDB problem store
+ * readProblemSetData moves a set's inline problems when it first reads them
+ * @returns {Promise<void>}
+ */
+async function migrateToProblemStore() {
+  const workspace = await getWorkspace();
+  
+  for (const set of workspace.sets) {
+    const setData = await readProblemSetData(set.id);
+    console.log(`Moved ${setData.problems.length} problem(s) of "${set.name}" to IndexedDB`);
+  }
+  
+  const data = await chrome.storage.local.get(LEGACY_TRASH_KEY);
+  const trash = filterExpiredTrash(data[LEGACY_TRASH_KEY] || []);
+  
+  for (const entry of trash) {
+    await putTrashEntry({ ...entry, problems: (entry.problems || []).map(toSubmissionHistory) });
+  }
+  
+  await chrome.storage.local.remove(LEGACY_TRASH_KEY);
+  console.log(`Moved ${trash.length} trash entr${trash.length === 1 ? 'y' : 'ies'} to IndexedDB`);
+}
+
+/**
+ * Run every migration newer than the stored schema version
+ * The version is saved after each step so a failed migration is retried next time
+ * @returns {Promise<number>} Schema version after migrating
+ */
+async function runMigrations() {
+  const data = await chrome.storage.local.get(SCHEMA_VERSION_KEY);
+  let version = data[SCHEMA_VERSION_KEY] || 0;
+  
+  if (version > CURRENT_SCHEMA_VERSION) {
+    console.warn(`Storage schema v${version} is newer than this version of the extension (v${CURRENT_SCHEMA_VERSION})`);
+    return version;
+  }
+  
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= version) continue;
+    
+    console.log(`Running storage migration v${migration.version}: ${migration.description}`);
+    try {
+      await migration.migrate();
+    } catch (error) {
+      console.error(`Storage migration v${migration.version} failed:`, error);
+      throw new Error(`Storage migration v${migration.version} failed: ${error.message}`);
+    }
+    
+    version = migration.version;
+    await chrome.storage.local.set({ [SCHEMA_VERSION_KEY]: version });
+  }
+  
+  return version;
+}
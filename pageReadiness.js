@@ -0,0 +1,77 @@
+/**
+ * Page Readiness for LeetCode Documentation Generator
+ * Waits for LeetCode's client-side rendering instead of sleeping a fixed time
+ *
+ * A MutationObserver re-checks a list of requirements (e.g. "the code is rendered") as the
+ * page changes and resolves as soon as all of them are met. If the page isn't ready in
+ * time, the error names the requirements that were never met. content.js defines the
+ * requirements of each page.
+ */
+
+// How long to wait for a page before giving up
+const PAGE_READY_TIMEOUT_MS = 10000;
+// Checks run at most this often while the page keeps changing
+const PAGE_READY_CHECK_INTERVAL_MS = 100;
+
+/**
+ * Wait until the page meets every requirement
+ * @param {Array<Object>} requirements - Requirements {name, check}; check returns true once met,
+ *   and name says what is missing, e.g. "submission code"
+ * @param {Object} [options] - {timeoutMs = PAGE_READY_TIMEOUT_MS, root = document.documentElement}
+ * @returns {Promise<void>} Resolves right away if the page is already ready
+ * @throws {Error} If a requirement is still unmet after timeoutMs, naming it
+ */
+function waitForPageReady(requirements, { timeoutMs = PAGE_READY_TIMEOUT_MS, root = document.documentElement } = {}) {
+  const startedAt = Date.now();
+  const findMissing = () => requirements.filter(requirement => {
+    try {
+      return !requirement.check();
+    } catch (error) {
+      return true;
+    }
+  });
+  
+  return new Promise((resolve, reject) => {
+    if (findMissing().length === 0) {
+      resolve();
+      return;
+    }
+    
+    let checkTimer = null;
+    
+    const finish = error => {
+      observer.disconnect();
+      clearTimeout(checkTimer);
+      clearTimeout(timeoutTimer);
+      if (error) {
+        reject(error);
+      } else {
+        console.log(`Page ready after ${Date.now() - startedAt} ms`);
+        resolve();
+      }
+    };
+    
+    const check = () => {
+      checkTimer = null;
+      if (findMissing().length === 0) finish();
+    };
+    
+    const observer = new MutationObserver(() => {
+      if (!checkTimer) {
+        checkTimer = setTimeout(check, PAGE_READY_CHECK_INTERVAL_MS);
+      }
+    });
+    
+    const timeoutTimer = setTimeout(() => {
+      const missing = findMissing().map(requirement => requirement.name);
+      if (missing.length === 0) {
+        finish();
+        return;
+      }
+      const what = missing.length === 1 ? `the ${missing[0]} never appeared` : `these never appeared: ${missing.join(', ')}`;
+      finish(new Error(`The page did not finish loading within ${timeoutMs / 1000} s (${what}). Please reload the page and try again.`));
+    }, timeoutMs);
+    
+    observer.observe(root, { childList: true, subtree: true, characterData: true });
+  });
+}
@@ -4,61 +4,156 @@
  */
 
 // DOM Elements
+let problemSetSelect;
+let renameSetButton;
+let duplicateSetButton;
+let archiveSetButton;
 let problemSetTitleInput;
 let studentNameInput;
+let metadataFieldsContainer;
 let saveProblemSetInfoButton;
 let captureButton;
+let blockNotAcceptedCheckbox;
 let statusMessage;
+let duplicatePrompt;
+let duplicatePromptMessage;
+let codeChoicePrompt;
+let codeChoiceMessage;
+let batchInput;
+let batchPickButton;
+let batchStartButton;
+let batchJob;
+let batchSummary;
+let batchProgress;
+let batchCancelButton;
+let batchRetryButton;
+let batchCopyReportButton;
+let batchReport;
 let problemsList;
 let problemCount;
+let problemFilters;
+let problemSearchInput;
+let languageFilterSelect;
+let tagFilterSelect;
+let capturedFromInput;
+let capturedToInput;
+let clearFiltersButton;
 let clearAllButton;
+let trashButton;
+let trashCount;
+let trashCard;
+let trashList;
+let emptyTrashButton;
+let statsButton;
+let statsCard;
+let statsContent;
+let undoToast;
+let undoToastMessage;
+let undoToastButton;
 let generateDocButton;
+let includePreviousAttemptsCheckbox;
+let annotateTagsCheckbox;
+let groupByTagCheckbox;
+let includeSummaryCheckbox;
+let includeStatementCheckbox;
+let showSubmissionResultCheckbox;
 let startNewButton;
+let exportSetButton;
+let importSetButton;
+let importModeSelect;
+let importFileInput;
+let storageUsage;
+let syncEnabledCheckbox;
+let syncStatusLabel;
+let syncNowButton;
 
 // State
+let currentProblemSets = [];
+let activeProblemSetId = null;
 let currentProblems = [];
-let currentProblemSetInfo = { title: '', submittedBy: '' };
+let currentProblemSetInfo = { title: '', submittedBy: '', metadata: {} };
+let currentTrash = [];
+let currentSettings = { ...DEFAULT_SETTINGS };
+let undoToastTimer = null;
+let undoTrashEntryId = null;
+let pendingDuplicateCapture = null;
+// Capture waiting for the user to pick between two readings of its code: {data, alternative}
+let pendingCodeChoice = null;
+// Search box and quick filters, as passed to filterProblems (search.js)
+let activeFilters = { query: '', language: '', tagFilter: '', from: '', to: '' };
+// Stats view capture timeline: 'day' or 'week'
+let statsPeriod = 'week';
+
+// How long the Undo toast stays visible after a destructive action
+const UNDO_TOAST_DURATION = 8000;
+
+// Descriptions of CODE_EXTRACTION_METHODS (validation.js) for the language badge tooltip
+const EXTRACTION_METHOD_LABELS = {
+  'api': 'Code from LeetCode\'s API, exactly as submitted',
+  'editor': 'Code from the problem page\'s editor',
+  'line-nodes': 'Code rebuilt from the page\'s code lines',
+  'text': 'Code read from the page',
+  'regex': 'Line numbers removed by pattern matching; check the code'
+};
+
+// Names of the code extraction strategies (extractorRegistry.js) for the code choice prompt
+const CODE_EXTRACTOR_LABELS = {
+  'api': 'LeetCode API',
+  'highlighter': 'Syntax highlighter',
+  'monaco': 'Monaco editor',
+  'pre': 'Code block'
+};
+
+// Lines of each reading shown in the code choice prompt
+const CODE_CHOICE_PREVIEW_LINES = 8;
 
 /**
- * Listen for auto-extracted data from content script
+ * Listen for captures saved by the background capture service
+ * The list refreshes from the storage change below; captures requested by this popup
+ * report their status from the CAPTURE_PROBLEM response instead
  */
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.type === 'AUTO_EXTRACTED_DATA') {
-    console.log('Received auto-extracted data:', message.data);
-    handleAutoExtractedData(message.data);
+  if (message.type !== 'PROBLEM_ADDED') return;
+  
+  console.log('Problem added by capture service:', message.status, message.name);
+  
+  // A replaced capture went to the trash
+  if (message.status === 'replaced') {
+    loadTrash();
+  }
+  
+  // Batch captures report their progress in the Batch Capture card
+  if (message.source === 'auto') {
+    showStatus(`Auto-captured: ${message.name}`, 'success');
   }
 });
 
 /**
- * Handle auto-extracted data from content script
+ * Reload the problems list when the active set changes in storage
+ * (e.g. a capture saved by the background worker)
  */
-async function handleAutoExtractedData(data) {
-  try {
-    console.log('Processing auto-extracted data...');
-    showStatus('Auto-extracting data...', 'success');
-    
-    // Validate captured data
-    const validation = validateProblemData(data);
-    if (!validation.valid) {
-      showStatus(`Validation error: ${validation.error}`, 'error');
-      return;
-    }
-    console.log('✓ Data validation passed');
-    
-    // Add problem to storage
-    await addProblem(data);
-    console.log('✓ Problem saved to storage');
-    
-    // Reload problems list
-    await loadProblems();
-    console.log('✓ Problems list reloaded');
-    
-    showStatus(`Auto-captured: ${data.name}`, 'success');
-  } catch (error) {
-    console.error('Error handling auto-extracted data:', error);
-    showStatus('Error processing auto-extracted data', 'error');
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  
+  if (changes[BATCH_CAPTURE_KEY]) {
+    displayBatchCapture(changes[BATCH_CAPTURE_KEY].newValue || null);
   }
-}
+  
+  if (changes[SYNC_STATUS_KEY]) {
+    displaySyncStatus(changes[SYNC_STATUS_KEY].newValue || { state: 'off' });
+  }
+  
+  // Sets pulled from another device appear in the set picker
+  if (changes[WORKSPACE_KEY]) {
+    loadProblemSets();
+  }
+  
+  if (activeProblemSetId && changes[getProblemSetKey(activeProblemSetId)]) {
+    console.log('Active problem set changed in storage, reloading problems');
+    loadProblems();
+    loadStorageUsage();
+  }
+});
 
 /**
  * Initialize popup when DOM is ready
@@ -67,19 +162,72 @@ document.addEventListener('DOMContentLoaded', async () => {
   console.log('Popup initialized');
   
   // Get DOM elements
+  problemSetSelect = document.getElementById('problemSetSelect');
+  renameSetButton = document.getElementById('renameSetButton');
+  duplicateSetButton = document.getElementById('duplicateSetButton');
+  archiveSetButton = document.getElementById('archiveSetButton');
   problemSetTitleInput = document.getElementById('problemSetTitle');
   studentNameInput = document.getElementById('studentName');
+  metadataFieldsContainer = document.getElementById('metadataFields');
   saveProblemSetInfoButton = document.getElementById('saveProblemSetInfo');
   captureButton = document.getElementById('captureButton');
+  blockNotAcceptedCheckbox = document.getElementById('blockNotAccepted');
   statusMessage = document.getElementById('statusMessage');
+  duplicatePrompt = document.getElementById('duplicatePrompt');
+  duplicatePromptMessage = document.getElementById('duplicatePromptMessage');
+  codeChoicePrompt = document.getElementById('codeChoicePrompt');
+  codeChoiceMessage = document.getElementById('codeChoiceMessage');
+  batchInput = document.getElementById('batchInput');
+  batchPickButton = document.getElementById('batchPickButton');
+  batchStartButton = document.getElementById('batchStartButton');
+  batchJob = document.getElementById('batchJob');
+  batchSummary = document.getElementById('batchSummary');
+  batchProgress = document.getElementById('batchProgress');
+  batchCancelButton = document.getElementById('batchCancelButton');
+  batchRetryButton = document.getElementById('batchRetryButton');
+  batchCopyReportButton = document.getElementById('batchCopyReportButton');
+  batchReport = document.getElementById('batchReport');
   problemsList = document.getElementById('problemsList');
   problemCount = document.getElementById('problemCount');
+  problemFilters = document.getElementById('problemFilters');
+  problemSearchInput = document.getElementById('problemSearch');
+  languageFilterSelect = document.getElementById('languageFilter');
+  tagFilterSelect = document.getElementById('tagFilter');
+  capturedFromInput = document.getElementById('capturedFrom');
+  capturedToInput = document.getElementById('capturedTo');
+  clearFiltersButton = document.getElementById('clearFiltersButton');
   clearAllButton = document.getElementById('clearAllButton');
+  trashButton = document.getElementById('trashButton');
+  trashCount = document.getElementById('trashCount');
+  trashCard = document.getElementById('trashCard');
+  trashList = document.getElementById('trashList');
+  emptyTrashButton = document.getElementById('emptyTrashButton');
+  statsButton = document.getElementById('statsButton');
+  statsCard = document.getElementById('statsCard');
+  statsContent = document.getElementById('statsContent');
+  undoToast = document.getElementById('undoToast');
+  undoToastMessage = document.getElementById('undoToastMessage');
+  undoToastButton = document.getElementById('undoToastButton');
   generateDocButton = document.getElementById('generateDocButton');
+  includePreviousAttemptsCheckbox = document.getElementById('includePreviousAttempts');
+  annotateTagsCheckbox = document.getElementById('annotateTags');
+  groupByTagCheckbox = document.getElementById('groupByTag');
+  includeSummaryCheckbox = document.getElementById('includeSummary');
+  includeStatementCheckbox = document.getElementById('includeStatement');
+  showSubmissionResultCheckbox = document.getElementById('showSubmissionResult');
   startNewButton = document.getElementById('startNewButton');
+  exportSetButton = document.getElementById('exportSetButton');
+  importSetButton = document.getElementById('importSetButton');
+  importModeSelect = document.getElementById('importMode');
+  importFileInput = document.getElementById('importFileInput');
+  storageUsage = document.getElementById('storageUsage');
+  syncEnabledCheckbox = document.getElementById('syncEnabled');
+  syncStatusLabel = document.getElementById('syncStatus');
+  syncNowButton = document.getElementById('syncNowButton');
   
   // Debug: Check if elements were found
   console.log('DOM Elements:', {
+    problemSetSelect: !!problemSetSelect,
     problemSetTitleInput: !!problemSetTitleInput,
     studentNameInput: !!studentNameInput,
     saveProblemSetInfoButton: !!saveProblemSetInfoButton,
@@ -89,10 +237,24 @@ document.addEventListener('DOMContentLoaded', async () => {
     problemCount: !!problemCount,
     clearAllButton: !!clearAllButton,
     generateDocButton: !!generateDocButton,
-    startNewButton: !!startNewButton
+    startNewButton: !!startNewButton,
+    exportSetButton: !!exportSetButton,
+    importSetButton: !!importSetButton
   });
   
   // Set up event listeners
+  if (problemSetSelect) {
+    problemSetSelect.addEventListener('change', handleSwitchProblemSet);
+  }
+  if (renameSetButton) {
+    renameSetButton.addEventListener('click', handleRenameProblemSet);
+  }
+  if (duplicateSetButton) {
+    duplicateSetButton.addEventListener('click', handleDuplicateProblemSet);
+  }
+  if (archiveSetButton) {
+    archiveSetButton.addEventListener('click', handleArchiveProblemSet);
+  }
   if (saveProblemSetInfoButton) {
     saveProblemSetInfoButton.addEventListener('click', handleSaveProblemSetInfo);
     console.log('Save button listener added');
@@ -101,10 +263,113 @@ document.addEventListener('DOMContentLoaded', async () => {
     captureButton.addEventListener('click', handleCaptureFromCurrentPage);
     console.log('Capture button listener added');
   }
+  if (blockNotAcceptedCheckbox) {
+    blockNotAcceptedCheckbox.addEventListener('change', handleToggleBlockNotAccepted);
+  }
+  if (duplicatePrompt) {
+    duplicatePrompt.querySelectorAll('button[data-policy]').forEach(button => {
+      button.addEventListener('click', () => handleResolveDuplicate(button.dataset.policy));
+    });
+  }
+  if (codeChoicePrompt) {
+    codeChoicePrompt.querySelectorAll('button[data-choice]').forEach(button => {
+      button.addEventListener('click', () => handleResolveCodeChoice(button.dataset.choice));
+    });
+  }
+  if (batchPickButton) {
+    batchPickButton.addEventListener('click', handlePickBatchFromPage);
+  }
+  if (batchStartButton) {
+    batchStartButton.addEventListener('click', handleStartBatchCapture);
+  }
+  if (batchCancelButton) {
+    batchCancelButton.addEventListener('click', handleCancelBatchCapture);
+  }
+  if (batchRetryButton) {
+    batchRetryButton.addEventListener('click', handleRetryBatchCapture);
+  }
+  if (batchCopyReportButton) {
+    batchCopyReportButton.addEventListener('click', handleCopyBatchReport);
+  }
+  if (problemSearchInput) {
+    problemSearchInput.addEventListener('input', () => {
+      activeFilters.query = problemSearchInput.value;
+      displayProblems();
+    });
+  }
+  if (languageFilterSelect) {
+    languageFilterSelect.addEventListener('change', () => {
+      activeFilters.language = languageFilterSelect.value;
+      displayProblems();
+    });
+  }
+  if (tagFilterSelect) {
+    tagFilterSelect.addEventListener('change', () => {
+      activeFilters.tagFilter = tagFilterSelect.value;
+      displayProblems();
+    });
+  }
+  if (capturedFromInput) {
+    capturedFromInput.addEventListener('change', () => {
+      activeFilters.from = capturedFromInput.value;
+      displayProblems();
+    });
+  }
+  if (capturedToInput) {
+    capturedToInput.addEventListener('change', () => {
+      activeFilters.to = capturedToInput.value;
+      displayProblems();
+    });
+  }
+  if (clearFiltersButton) {
+    clearFiltersButton.addEventListener('click', handleClearFilters);
+  }
   if (clearAllButton) {
     clearAllButton.addEventListener('click', handleClearAll);
     console.log('Clear all button listener added');
   }
+  if (trashButton) {
+    trashButton.addEventListener('click', handleToggleTrash);
+  }
+  if (emptyTrashButton) {
+    emptyTrashButton.addEventListener('click', handleEmptyTrash);
+  }
+  if (statsButton) {
+    statsButton.addEventListener('click', handleToggleStats);
+  }
+  if (undoToastButton) {
+    undoToastButton.addEventListener('click', handleUndo);
+  }
+  if (includePreviousAttemptsCheckbox) {
+    includePreviousAttemptsCheckbox.addEventListener('change', () => {
+      handleDocumentOptionChange('includePreviousAttempts', includePreviousAttemptsCheckbox.checked);
+    });
+  }
+  if (annotateTagsCheckbox) {
+    annotateTagsCheckbox.addEventListener('change', () => {
+      handleDocumentOptionChange('annotateTags', annotateTagsCheckbox.checked);
+    });
+  }
+  if (groupByTagCheckbox) {
+    groupByTagCheckbox.addEventListener('change', () => {
+      handleDocumentOptionChange('groupByTag', groupByTagCheckbox.checked);
+    });
+  }
+  if (showSubmissionResultCheckbox) {
+    showSubmissionResultCheckbox.addEventListener('change', () => {
+      handleDocumentOptionChange('showSubmissionResult', showSubmissionResultCheckbox.checked);
+    });
+  }
+  if (includeStatementCheckbox) {
+    includeStatementCheckbox.addEventListener('change', () => {
+      handleDocumentOptionChange('includeStatement', includeStatementCheckbox.checked);
+    });
+  }
+  if (includeSummaryCheckbox) {
+    includeSummaryCheckbox.addEventListener('change', () => {
+      handleDocumentOptionChange('includeSummary', includeSummaryCheckbox.checked);
+    });
+  }
   if (generateDocButton) {
     generateDocButton.addEventListener('click', handleGenerateDocument);
     console.log('Generate doc button listener added');
@@ -113,23 +378,109 @@ document.addEventListener('DOMContentLoaded', async () => {
     startNewButton.addEventListener('click', handleStartNewProblemSet);
     console.log('Start new button listener added');
   }
+  if (exportSetButton) {
+    exportSetButton.addEventListener('click', handleExportProblemSet);
+  }
+  if (syncEnabledCheckbox) {
+    syncEnabledCheckbox.addEventListener('change', handleToggleSync);
+  }
+  if (syncNowButton) {
+    syncNowButton.addEventListener('click', handleSyncNow);
+  }
+  if (importSetButton && importFileInput) {
+    importSetButton.addEventListener('click', () => importFileInput.click());
+    importFileInput.addEventListener('change', handleImportProblemSet);
+  }
+  
+  createMetadataInputs();
   
   // Load data from storage
-  await loadProblemSetInfo();
-  await loadProblems();
+  await loadSettings();
+  await loadActiveProblemSet();
+  await loadTrash();
+  await loadSyncStatus();
+  await loadBatchCapture();
   
-  // Auto-trigger capture when popup opens (for keyboard shortcut)
+  // Auto-trigger capture when popup opens on a submission page (for keyboard shortcut)
+  // Editor captures on problem pages are only made when the user clicks Capture
   // Small delay to ensure popup is fully loaded
-  setTimeout(() => {
-    if (captureButton && !captureButton.disabled) {
-      console.log('Auto-triggering capture after popup load');
-      captureButton.click();
-    }
-  }, 200);
+  const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (activeTab && activeTab.url && isLeetCodeSubmissionUrl(activeTab.url)) {
+    setTimeout(() => {
+      if (captureButton && !captureButton.disabled) {
+        console.log('Auto-triggering capture after popup load');
+        captureButton.click();
+      }
+    }, 200);
+  }
   
   console.log('Popup initialization complete');
 });
 
+/**
+ * Load the workspace's problem sets and the active set's info and problems
+ */
+async function loadActiveProblemSet() {
+  await loadProblemSets();
+  await loadProblemSetInfo();
+  await loadProblems();
+}
+
+/**
+ * Load the list of problem sets and populate the set picker
+ */
+async function loadProblemSets() {
+  try {
+    currentProblemSets = await listProblemSets();
+    activeProblemSetId = await getActiveProblemSetId();
+    displayProblemSets();
+  } catch (error) {
+    console.error('Error loading problem sets:', error);
+    showStatus('Error loading problem sets. Please refresh the extension.', 'error');
+  }
+}
+
+/**
+ * Display problem sets in the set picker, archived sets in their own group
+ */
+function displayProblemSets() {
+  problemSetSelect.innerHTML = '';
+  
+  const activeSets = currentProblemSets.filter(set => !set.archived);
+  const archivedSets = currentProblemSets.filter(set => set.archived);
+  
+  activeSets.forEach(set => {
+    problemSetSelect.appendChild(createProblemSetOption(set));
+  });
+  
+  if (archivedSets.length > 0) {
+    const group = document.createElement('optgroup');
+    group.label = 'Archived';
+    archivedSets.forEach(set => group.appendChild(createProblemSetOption(set)));
+    problemSetSelect.appendChild(group);
+  }
+  
+  problemSetSelect.value = activeProblemSetId;
+  
+  // The archive button restores the set when an archived set is active
+  const activeSet = currentProblemSets.find(set => set.id === activeProblemSetId);
+  const isArchived = !!(activeSet && activeSet.archived);
+  archiveSetButton.title = isArchived ? 'Restore set' : 'Archive set';
+  archiveSetButton.innerHTML = isArchived
+    ? '<i class="fas fa-box-open"></i>'
+    : '<i class="fas fa-box-archive"></i>';
+}
+
+/**
+ * Create a set picker option element
+ */
+function createProblemSetOption(set) {
+  const option = document.createElement('option');
+  option.value = set.id;
+  option.textContent = set.name;
+  return option;
+}
+
 /**
  * Load problem set info from storage and populate form
  */
@@ -139,19 +490,78 @@ async function loadProblemSetInfo() {
     
     // Handle edge case where info might be null or undefined
     if (!currentProblemSetInfo) {
-      currentProblemSetInfo = { title: '', submittedBy: '' };
+      currentProblemSetInfo = { title: '', submittedBy: '', metadata: {} };
     }
     
     problemSetTitleInput.value = currentProblemSetInfo.title || '';
     studentNameInput.value = currentProblemSetInfo.submittedBy || '';
+    setMetadataInputValues(currentProblemSetInfo.metadata || {});
   } catch (error) {
     console.error('Error loading problem set info:', error);
     showStatus('Error loading problem set info. Please refresh the extension.', 'error');
     // Set defaults so the extension can still function
-    currentProblemSetInfo = { title: '', submittedBy: '' };
+    currentProblemSetInfo = { title: '', submittedBy: '', metadata: {} };
   }
 }
 
+/**
+ * Create an input for each field in PROBLEM_SET_METADATA_FIELDS
+ */
+function createMetadataInputs() {
+  if (!metadataFieldsContainer) return;
+  
+  metadataFieldsContainer.innerHTML = '';
+  PROBLEM_SET_METADATA_FIELDS.forEach(field => {
+    const input = document.createElement('input');
+    input.type = field.type;
+    input.maxLength = field.maxLength;
+    input.placeholder = field.placeholder;
+    input.dataset.metadataKey = field.key;
+    
+    // Date inputs show their own format instead of a placeholder, so they get a label
+    if (field.type === 'date') {
+      const label = document.createElement('label');
+      label.className = 'metadata-field';
+      label.textContent = field.label;
+      label.appendChild(input);
+      metadataFieldsContainer.appendChild(label);
+    } else {
+      input.title = field.label;
+      metadataFieldsContainer.appendChild(input);
+    }
+  });
+}
+
+/**
+ * Fill the metadata inputs from stored metadata
+ * @param {Object} metadata - Metadata values keyed by field key
+ */
+function setMetadataInputValues(metadata) {
+  if (!metadataFieldsContainer) return;
+  
+  metadataFieldsContainer.querySelectorAll('[data-metadata-key]').forEach(input => {
+    input.value = metadata[input.dataset.metadataKey] || '';
+  });
+}
+
+/**
+ * Read the metadata inputs
+ * @returns {Object} Trimmed metadata values keyed by field key (empty fields left out)
+ */
+function getMetadataInputValues() {
+  const metadata = {};
+  if (!metadataFieldsContainer) return metadata;
+  
+  metadataFieldsContainer.querySelectorAll('[data-metadata-key]').forEach(input => {
+    const value = input.value.trim();
+    if (value) {
+      metadata[input.dataset.metadataKey] = value;
+    }
+  });
+  
+  return metadata;
+}
+
 /**
  * Load problems from storage and display them
  */
@@ -181,12 +591,23 @@ async function loadProblems() {
 function displayProblems() {
   console.log('displayProblems called with', currentProblems.length, 'problems');
   
+  displayTagFilter();
+  displayLanguageFilter();
+  displayStats();
+  
   // Update problem count
   const count = currentProblems.length;
-  problemCount.textContent = `${count} problem${count !== 1 ? 's' : ''}`;
+  const visibleProblems = filterProblems(currentProblems, activeFilters);
+  const searchTerms = getSearchTerms(activeFilters.query);
+  problemCount.textContent = hasActiveFilters(activeFilters)
+    ? `${visibleProblems.length} of ${count} problem${count !== 1 ? 's' : ''}`
+    : `${count} problem${count !== 1 ? 's' : ''}`;
   
-  // Show/hide clear all button
+  // Show/hide clear all button and the search filters
   clearAllButton.style.display = count > 0 ? 'block' : 'none';
+  if (problemFilters) {
+    problemFilters.hidden = count === 0;
+  }
   
   // Clear current list
   problemsList.innerHTML = '';
@@ -197,59 +618,291 @@ function displayProblems() {
     return;
   }
   
-  // Display each problem
-  currentProblems.forEach((problem, index) => {
+  if (visibleProblems.length === 0) {
+    problemsList.innerHTML = '<div class="empty-state">No problems match your search.</div>';
+    return;
+  }
+  
+  // Display each problem, numbered by its position in the full set
+  visibleProblems.forEach(problem => {
+    const index = currentProblems.indexOf(problem);
     console.log(`  ${index + 1}. ${problem.name} (${problem.language})`);
-    const problemItem = createProblemItem(problem, index);
+    const problemItem = createProblemItem(problem, index, searchTerms);
     problemsList.appendChild(problemItem);
   });
   
   console.log('✓ Problems displayed in UI');
 }
 
+/**
+ * Fill the tag filter with the difficulties and tags used in the set
+ * A filter that no longer matches anything is reset
+ */
+function displayTagFilter() {
+  if (!tagFilterSelect) return;
+  
+  const tags = collectProblemTags(currentProblems);
+  const difficulties = PROBLEM_DIFFICULTIES.filter(d => currentProblems.some(p => p.difficulty === d));
+  
+  tagFilterSelect.innerHTML = '<option value="">All problems</option>';
+  if (difficulties.length > 0) {
+    tagFilterSelect.appendChild(createFilterGroup('Difficulty', difficulties, 'difficulty'));
+  }
+  if (tags.length > 0) {
+    tagFilterSelect.appendChild(createFilterGroup('Tags', tags, 'tag'));
+  }
+  
+  const values = [...tagFilterSelect.options].map(option => option.value);
+  if (!values.includes(activeFilters.tagFilter)) {
+    activeFilters.tagFilter = '';
+  }
+  tagFilterSelect.value = activeFilters.tagFilter;
+  tagFilterSelect.hidden = tags.length === 0 && difficulties.length === 0;
+}
+
+/**
+ * Fill the language filter with the languages used in the set
+ * A language that no problem uses any more is reset
+ */
+function displayLanguageFilter() {
+  if (!languageFilterSelect) return;
+  
+  const languages = collectProblemLanguages(currentProblems);
+  
+  languageFilterSelect.innerHTML = '<option value="">All languages</option>';
+  languages.forEach(language => {
+    const option = document.createElement('option');
+    option.value = language;
+    option.textContent = language;
+    languageFilterSelect.appendChild(option);
+  });
+  
+  if (!languages.includes(activeFilters.language)) {
+    activeFilters.language = '';
+  }
+  languageFilterSelect.value = activeFilters.language;
+}
+
+/**
+ * Handle clearing the search box and every quick filter
+ */
+function handleClearFilters() {
+  activeFilters = { query: '', language: '', tagFilter: '', from: '', to: '' };
+  problemSearchInput.value = '';
+  capturedFromInput.value = '';
+  capturedToInput.value = '';
+  displayProblems();
+}
+
+/**
+ * Append text to an element, wrapping the parts that match the search in <mark>
+ * @param {HTMLElement} element - Element to append to
+ * @param {string} text - Text to show
+ * @param {Array<string>} terms - Search terms
+ */
+function appendHighlightedText(element, text, terms) {
+  splitSearchMatches(text, terms).forEach(part => {
+    if (part.match) {
+      const mark = document.createElement('mark');
+      mark.textContent = part.text;
+      element.appendChild(mark);
+    } else {
+      element.appendChild(document.createTextNode(part.text));
+    }
+  });
+}
+
+/**
+ * Create an option group for the tag filter
+ * @param {string} label - Group label
+ * @param {Array<string>} values - Tags or difficulties
+ * @param {string} kind - 'tag' or 'difficulty'
+ * @returns {HTMLOptGroupElement} Option group
+ */
+function createFilterGroup(label, values, kind) {
+  const group = document.createElement('optgroup');
+  group.label = label;
+  
+  values.forEach(value => {
+    const option = document.createElement('option');
+    option.value = `${kind}:${value}`;
+    option.textContent = value;
+    group.appendChild(option);
+  });
+  
+  return group;
+}
+
 /**
  * Create a problem item element
+ * Parts of the name, language and tags that match the search are highlighted, and a
+ * matching code line is shown when the code is what matched
  */
-function createProblemItem(problem, index) {
+function createProblemItem(problem, index, searchTerms = []) {
   const item = document.createElement('div');
   item.className = 'problem-card';
+  // Dropping onto a card moves the problem next to it in the full list, so a
+  // filtered list can be reordered without disturbing the hidden problems
   item.draggable = true;
   item.dataset.problemId = problem.id;
-
+  
+  const hasNotes = Object.keys(problem.notes || {}).length > 0;
+  const notAccepted = isNotAcceptedResult(problem.result);
+  if (notAccepted) {
+    item.classList.add('flagged');
+  }
+  
   item.innerHTML = `
     <div class="problem-header">
       <div class="problem-title">
         <span class="problem-index">${index + 1}.</span>
-        <span class="problem-name">${escapeHtml(problem.name)}</span>
+        <span class="problem-name"></span>
+        ${notAccepted ? '<i class="fas fa-flag flag-icon"></i>' : ''}
       </div>
-
+      
       <div class="problem-actions">
+        <i class="fas fa-tags tags-icon" title="Tags & difficulty"></i>
+        <i class="fas fa-note-sticky notes-icon${hasNotes ? ' has-notes' : ''}" title="Notes"></i>
         <i class="fas fa-pen edit-icon" title="Edit"></i>
         <i class="fas fa-trash delete-icon" title="Delete"></i>
       </div>
     </div>
-
+    
     <div class="problem-meta">
-      <span class="language-badge">${escapeHtml(problem.language)}</span>
+      <span class="language-badge"></span>
     </div>
   `;
-
+  
+  appendHighlightedText(item.querySelector('.problem-name'), problem.name, searchTerms);
+  if (notAccepted) {
+    item.querySelector('.flag-icon').title = `Documented submission was not accepted (${problem.result.status})`;
+  }
+  appendHighlightedText(item.querySelector('.language-badge'), problem.language, searchTerms);
+  if (problem.extractionMethod) {
+    item.querySelector('.language-badge').title = EXTRACTION_METHOD_LABELS[problem.extractionMethod] || '';
+  }
+  
+  const meta = item.querySelector('.problem-meta');
+  if (problem.difficulty) {
+    const badge = document.createElement('span');
+    badge.className = `difficulty-badge ${problem.difficulty.toLowerCase()}`;
+    badge.textContent = problem.difficulty;
+    meta.appendChild(badge);
+  }
+  if (problem.submitted === false) {
+    const badge = document.createElement('span');
+    badge.className = 'result-badge not-submitted';
+    badge.textContent = 'Not submitted';
+    badge.title = 'Captured from the code editor without submitting';
+    meta.appendChild(badge);
+  } else if (problem.result) {
+    meta.appendChild(createResultBadge(problem.result));
+  }
+  (problem.tags || []).forEach(tag => {
+    const chip = document.createElement('span');
+    chip.className = 'tag-chip';
+    appendHighlightedText(chip, tag, searchTerms);
+    meta.appendChild(chip);
+  });
+  
+  const snippet = findCodeSnippet(problem, searchTerms);
+  if (snippet) {
+    const snippetElement = document.createElement('div');
+    snippetElement.className = 'code-snippet';
+    snippetElement.title = 'Matching code';
+    appendHighlightedText(snippetElement, snippet, searchTerms);
+    item.appendChild(snippetElement);
+  }
+  
+  // Problems with several captured submissions let the user pick the documented one
+  const submissions = problem.submissions || [];
+  if (submissions.length > 1) {
+    item.querySelector('.problem-meta').appendChild(createAttemptSelect(problem));
+  }
+  
   // Icon listeners
+  item.querySelector('.tags-icon')
+      .addEventListener('click', () => handleEditTags(problem.id));
+  
+  item.querySelector('.notes-icon')
+      .addEventListener('click', () => toggleNotesEditor(item, problem));
+  
   item.querySelector('.edit-icon')
       .addEventListener('click', () => handleEditProblem(problem.id));
-
+  
   item.querySelector('.delete-icon')
       .addEventListener('click', () => handleDeleteProblem(problem.id));
-
+  
   // Drag & drop (keep existing logic)
   item.addEventListener('dragstart', handleDragStart);
   item.addEventListener('dragover', handleDragOver);
   item.addEventListener('drop', handleDrop);
   item.addEventListener('dragend', handleDragEnd);
-
+  
   return item;
 }
 
+/**
+ * Create the badge showing a submission's status, runtime and memory
+ * The full result line and submission time are in the tooltip
+ * @param {Object} result - Submission result
+ * @returns {HTMLElement} Badge element
+ */
+function createResultBadge(result) {
+  const badge = document.createElement('span');
+  badge.className = 'result-badge';
+  if (result.status) {
+    badge.classList.add(result.status === 'Accepted' ? 'accepted' : 'rejected');
+  }
+  badge.textContent = [result.status, result.runtime, result.memory].filter(Boolean).join(' · ');
+  
+  const submitted = result.submittedAt ? `\nSubmitted ${new Date(result.submittedAt).toLocaleString()}` : '';
+  badge.title = `${formatSubmissionResult(result)}${submitted}`;
+  
+  return badge;
+}
+
+/**
+ * Create the attempt picker for a problem with several submissions
+ * The selected attempt is the primary one that goes into the document
+ */
+function createAttemptSelect(problem) {
+  const select = document.createElement('select');
+  select.className = 'attempt-select';
+  select.title = 'Attempt used in the document';
+  
+  problem.submissions.forEach((submission, index) => {
+    const option = document.createElement('option');
+    option.value = submission.id;
+    const notSubmitted = submission.submitted === false ? ' · not submitted' : '';
+    option.textContent = `Attempt ${index + 1} · ${submission.language} · ${new Date(submission.capturedAt).toLocaleDateString()}${notSubmitted}`;
+    select.appendChild(option);
+  });
+  
+  const primary = getPrimarySubmission(problem);
+  select.value = primary ? primary.id : '';
+  
+  select.addEventListener('change', () => handleSetPrimarySubmission(problem.id, select.value));
+  // Keep the select usable inside a draggable card
+  select.addEventListener('mousedown', e => e.stopPropagation());
+  
+  return select;
+}
+
+/**
+ * Handle choosing the primary attempt of a problem
+ */
+async function handleSetPrimarySubmission(problemId, submissionEntryId) {
+  try {
+    await setPrimarySubmission(problemId, submissionEntryId);
+    await loadProblems();
+    showStatus('Primary attempt updated', 'success');
+  } catch (error) {
+    console.error('Error setting primary attempt:', error);
+    showStatus(`Error updating attempt: ${error.message}`, 'error');
+  }
+}
+
 /**
  * Validate problem set info fields
  * @param {string} title - Problem set title
@@ -283,64 +936,13 @@ function validateProblemSetInfo(title, submittedBy) {
   return { valid: true, error: null };
 }
 
-/**
- * Validate captured problem data before saving
- * @param {Object} problemData - Problem data {name, submissionLink, code, language}
- * @returns {Object} {valid: boolean, error: string|null}
- */
-function validateProblemData(problemData) {
-  // Check if required fields exist
-  if (!problemData) {
-    return { valid: false, error: 'No problem data provided' };
-  }
-  
-  // Validate problem name
-  if (!problemData.name || typeof problemData.name !== 'string' || problemData.name.trim().length === 0) {
-    return { valid: false, error: 'Problem name is required and cannot be empty' };
-  }
-  
-  if (problemData.name.length > 300) {
-    return { valid: false, error: 'Problem name is too long (maximum 300 characters)' };
-  }
-  
-  // Validate submission link
-  if (!problemData.submissionLink || typeof problemData.submissionLink !== 'string' || problemData.submissionLink.trim().length === 0) {
-    return { valid: false, error: 'Submission link is required and cannot be empty' };
-  }
-  
-  // Check if submission link is a valid URL
-  try {
-    const url = new URL(problemData.submissionLink);
-    if (!url.hostname.includes('leetcode.com')) {
-      return { valid: false, error: 'Submission link must be from leetcode.com' };
-    }
-  } catch (e) {
-    return { valid: false, error: 'Submission link is not a valid URL' };
-  }
-  
-  // Validate code
-  if (!problemData.code || typeof problemData.code !== 'string' || problemData.code.trim().length === 0) {
-    return { valid: false, error: 'Code is required and cannot be empty' };
-  }
-  
-  if (problemData.code.length > 100000) {
-    return { valid: false, error: 'Code is too long (maximum 100,000 characters)' };
-  }
-  
-  // Validate language
-  if (!problemData.language || typeof problemData.language !== 'string' || problemData.language.trim().length === 0) {
-    return { valid: false, error: 'Programming language is required and cannot be empty' };
-  }
-  
-  return { valid: true, error: null };
-}
-
 /**
  * Handle save problem set info button click
  */
 async function handleSaveProblemSetInfo() {
   const title = problemSetTitleInput.value.trim();
   const submittedBy = studentNameInput.value.trim();
+  const metadata = getMetadataInputValues();
   
   // Validate input
   const validation = validateProblemSetInfo(title, submittedBy);
@@ -349,9 +951,15 @@ async function handleSaveProblemSetInfo() {
     return;
   }
   
+  const metadataValidation = validateProblemSetMetadata(metadata);
+  if (!metadataValidation.valid) {
+    showStatus(metadataValidation.error, 'error');
+    return;
+  }
+  
   try {
-    await saveProblemSetInfo({ title, submittedBy });
-    currentProblemSetInfo = { title, submittedBy };
+    await saveProblemSetInfo({ title, submittedBy, metadata });
+    currentProblemSetInfo = { title, submittedBy, metadata };
     showStatus('Problem set info saved!', 'success');
   } catch (error) {
     console.error('Error saving problem set info:', error);
@@ -439,8 +1047,8 @@ async function handleCaptureFromCurrentPage() {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     
     // Check if it's a LeetCode submission page
-    if (!tab.url || (!tab.url.includes('leetcode.com/problems/') && !tab.url.includes('leetcode.com/submissions/detail/'))) {
-      showStatus('Please navigate to a LeetCode submission page', 'error');
+    if (!tab.url || !isLeetCodeCaptureUrl(tab.url)) {
+      showStatus('Please navigate to a LeetCode problem or submission page', 'error');
       return;
     }
     
@@ -503,24 +1111,18 @@ async function handleCaptureFromCurrentPage() {
         console.log('  - Code length:', response.data.code?.length);
         console.log('  - Submission link:', response.data.submissionLink);
         
-        // Validate captured data before saving
-        const validation = validateProblemData(response.data);
-        if (!validation.valid) {
-          showStatus(`Validation error: ${validation.error}`, 'error');
+        if (!confirmCaptureVerdict(response.data)) return;
+        if (!confirmEditorCapture(response.data)) return;
+        
+        // A low-confidence reading comes with the runner-up for the user to choose from
+        const { alternative, ...data } = response.data;
+        if (alternative) {
+          showCodeChoicePrompt(data, alternative);
           return;
         }
-        console.log('✓ Data validation passed');
-        
-        // Add problem to storage (includes code)
-        await addProblem(response.data);
-        console.log('✓ Problem saved to storage');
         
-        // Reload problems list
-        await loadProblems();
-        console.log('✓ Problems list reloaded');
-        console.log('  - Total problems:', currentProblems.length);
-        
-        showStatus(`Captured: ${response.data.name}`, 'success');
+        // The background capture service validates and saves the problem
+        await saveCapturedProblem(data);
       } else {
         const errorMsg = response?.error || 'Failed to capture problem';
         console.error('✗ Capture failed:', errorMsg);
@@ -529,7 +1131,7 @@ async function handleCaptureFromCurrentPage() {
     } catch (messageError) {
       console.error('✗ Message error after refresh:', messageError);
       // Check if we're on a detail-only URL that might be redirecting
-      if (tab.url && tab.url.includes('leetcode.com/submissions/detail/')) {
+      if (tab.url && isLeetCodeDetailOnlyUrl(tab.url)) {
         showStatus('Redirecting to proper URL format...', 'success');
       } else {
         showStatus('Error: Content script still not responding. Please try refreshing manually.', 'error');
@@ -545,24 +1147,402 @@ async function handleCaptureFromCurrentPage() {
 }
 
 /**
- * Show status message
+ * Send a captured problem to the background capture service,
+ * asking how to handle it if it is a duplicate
+ * The problems list reloads from the storage change the service causes
+ * @param {Object} data - Captured problem data
+ * @param {string} [onDuplicate] - Duplicate policy chosen by the user ('skip', 'replace', 'keep')
  */
-function showStatus(message, type) {
-  statusMessage.className = `status-message ${type}`;
-  
-  if (type === 'refreshing') {
-    // Add spinner for refreshing status
-    statusMessage.innerHTML = `<div class="spinner"></div>${message}`;
-  } else {
-    statusMessage.textContent = message;
+async function saveCapturedProblem(data, onDuplicate) {
+  // confirmCaptureVerdict has already let the user decide about a submission that was not accepted
+  const response = await chrome.runtime.sendMessage({ type: 'CAPTURE_PROBLEM', data, onDuplicate, allowNotAccepted: true });
+  if (!response || !response.success) {
+    showStatus(response?.error || 'Failed to save capture', 'error');
+    return;
   }
   
-  statusMessage.style.display = type === 'refreshing' ? 'flex' : 'block';
+  const result = response.result;
+  console.log('✓ Capture handled:', result.status);
   
-  // Auto-hide after 3 seconds (except for refreshing status)
-  if (type !== 'refreshing') {
-    setTimeout(() => {
-      statusMessage.style.display = 'none';
+  if (result.status === 'duplicate') {
+    showDuplicatePrompt(data, result.duplicate);
+    return;
+  }
+  
+  showStatus(describeCaptureResult(data, result), 'success');
+}
+
+/**
+ * Describe what happened to a capture for the status message
+ * @param {Object} data - Captured problem data
+ * @param {Object} result - Result from the capture service
+ * @returns {string} Status message
+ */
+function describeCaptureResult(data, result) {
+  if (result.status === 'skipped') {
+    return `Skipped: "${result.duplicate.name}" is already in this set`;
+  }
+  
+  if (result.status === 'replaced') {
+    return `Replaced the earlier capture of "${result.duplicate.name}"`;
+  }
+  
+  const source = data.submitted === false ? ' from the editor (not submitted)' : '';
+  const check = data.extractionMethod === 'regex' ? '. Line numbers were removed by pattern matching; please check the code' : '';
+  
+  if (result.duplicate) {
+    return `Captured${source}: ${data.name} (added as another attempt of "${result.duplicate.name}")${check}`;
+  }
+  
+  return `Captured${source}: ${data.name}${check}`;
+}
+
+/**
+ * Check a capture's verdict before saving it
+ * Submissions that were not accepted are refused when the blockNotAccepted setting is on;
+ * otherwise the user has to confirm them
+ * @param {Object} data - Captured problem data
+ * @returns {boolean} True if the capture may be saved
+ */
+function confirmCaptureVerdict(data) {
+  if (!isNotAcceptedResult(data.result)) return true;
+  
+  const status = data.result.status;
+  if (currentSettings.blockNotAccepted) {
+    showStatus(`Not captured: the verdict is "${status}", not Accepted`, 'error');
+    return false;
+  }
+  
+  const confirmed = confirm(`"${data.name}" was not accepted (${status}).\n\nCapture it anyway? It will be flagged in the list.`);
+  if (!confirmed) {
+    showStatus('Capture cancelled', 'error');
+  }
+  return confirmed;
+}
+
+/**
+ * Ask before saving code from the problem page's editor, which may be the untouched starter template
+ * @param {Object} data - Captured problem data
+ * @returns {boolean} True if the capture may be saved
+ */
+function confirmEditorCapture(data) {
+  if (data.submitted !== false) return true;
+  
+  const lineCount = data.code.split('\n').length;
+  const confirmed = confirm(`Capture the code in the editor of "${data.name}" (${data.language}, ${lineCount} line${lineCount === 1 ? '' : 's'})?\n\nIt has not been submitted and will be marked "Not submitted".`);
+  if (!confirmed) {
+    showStatus('Capture cancelled', 'error');
+  }
+  return confirmed;
+}
+
+/**
+ * Explain a duplicate capture and offer skip / replace / keep both
+ * @param {Object} data - Captured problem data
+ * @param {Object} duplicate - Earlier capture {id, name, reason, capturedAt}
+ */
+function showDuplicatePrompt(data, duplicate) {
+  pendingDuplicateCapture = data;
+  
+  const capturedOn = duplicate.capturedAt ? new Date(duplicate.capturedAt).toLocaleString() : 'earlier';
+  duplicatePromptMessage.textContent = duplicate.reason === 'submission'
+    ? `This submission of "${duplicate.name}" was already captured (${capturedOn}).`
+    : `"${duplicate.name}" is already in this set from a different submission (captured ${capturedOn}). "Keep both" adds this one to its attempts.`;
+  
+  duplicatePrompt.hidden = false;
+}
+
+/**
+ * Handle a choice in the duplicate prompt
+ * @param {string} policy - 'skip', 'replace' or 'keep'
+ */
+async function handleResolveDuplicate(policy) {
+  const data = pendingDuplicateCapture;
+  pendingDuplicateCapture = null;
+  duplicatePrompt.hidden = true;
+  if (!data) return;
+  
+  try {
+    await saveCapturedProblem(data, policy);
+  } catch (error) {
+    console.error('Error saving duplicate capture:', error);
+    showStatus(`Error saving capture: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Show the two most confident readings of a capture's code and let the user pick one
+ * @param {Object} data - Captured problem data, with the most confident reading
+ * @param {Object} alternative - Runner-up reading {code, language, extractionMethod, extractor, confidence}
+ */
+function showCodeChoicePrompt(data, alternative) {
+  pendingCodeChoice = { data, alternative };
+  
+  const describe = reading =>
+    `${CODE_EXTRACTOR_LABELS[reading.extractor] || reading.extractor} · ${reading.language} · ${Math.round(reading.confidence * 100)}% confident`;
+  const preview = code => code.split('\n').slice(0, CODE_CHOICE_PREVIEW_LINES).join('\n');
+  
+  codeChoiceMessage.textContent = `The code of "${data.name}" could not be read reliably. Which one is your submission?`;
+  document.getElementById('codeChoiceBestLabel').textContent = `1. ${describe({ ...data, confidence: data.extractionConfidence })}`;
+  document.getElementById('codeChoiceBest').textContent = preview(data.code);
+  document.getElementById('codeChoiceAlternativeLabel').textContent = `2. ${describe(alternative)}`;
+  document.getElementById('codeChoiceAlternative').textContent = preview(alternative.code);
+  
+  codeChoicePrompt.hidden = false;
+}
+
+/**
+ * Handle a choice in the code choice prompt
+ * @param {string} choice - 'best', 'alternative' or 'cancel'
+ */
+async function handleResolveCodeChoice(choice) {
+  const pending = pendingCodeChoice;
+  pendingCodeChoice = null;
+  codeChoicePrompt.hidden = true;
+  if (!pending) return;
+  
+  if (choice === 'cancel') {
+    showStatus('Capture cancelled', 'error');
+    return;
+  }
+  
+  const { data, alternative } = pending;
+  const chosen = choice === 'alternative'
+    ? {
+      ...data,
+      code: alternative.code,
+      language: alternative.language,
+      extractionMethod: alternative.extractionMethod,
+      extractor: alternative.extractor,
+      extractionConfidence: alternative.confidence
+    }
+    : data;
+  
+  try {
+    await saveCapturedProblem(chosen);
+  } catch (error) {
+    console.error('Error saving capture:', error);
+    showStatus(`Error saving capture: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Get the active tab if a batch can use it to look problems up
+ * Shows an error and returns null otherwise
+ * @returns {Promise<Object|null>} Tab
+ */
+async function getBatchCaptureTab() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  
+  if (!tab || !tab.url || !hasLeetCodeContentScript(tab.url)) {
+    showStatus('Open a LeetCode problem or submissions page in this tab first', 'error');
+    return null;
+  }
+  
+  if (!(await checkContentScriptReady(tab.id, 3))) {
+    showStatus('The LeetCode page is not ready. Reload it and try again.', 'error');
+    return null;
+  }
+  
+  return tab;
+}
+
+/**
+ * Handle "Pick from Page": add the problems linked from the current LeetCode page to the batch box
+ */
+async function handlePickBatchFromPage() {
+  try {
+    const tab = await getBatchCaptureTab();
+    if (!tab) return;
+    
+    const response = await chrome.tabs.sendMessage(tab.id, { type: 'COLLECT_PROBLEM_SLUGS' });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response from the page');
+    }
+    
+    const existing = parseBatchCaptureInput(batchInput.value).slugs;
+    const added = response.slugs.filter(slug => !existing.includes(slug));
+    if (added.length === 0) {
+      showStatus('No new problems found on this page', 'error');
+      return;
+    }
+    
+    batchInput.value = [...existing, ...added].join('\n');
+    showStatus(`Added ${added.length} problem${added.length === 1 ? '' : 's'} from the page`, 'success');
+  } catch (error) {
+    console.error('Error picking problems from page:', error);
+    showStatus(`Error reading the page: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Handle "Capture All": start a batch capture of the problems in the batch box
+ */
+async function handleStartBatchCapture() {
+  const { slugs, invalid } = parseBatchCaptureInput(batchInput.value);
+  
+  if (invalid.length > 0) {
+    showStatus(`Not a problem slug or URL: ${invalid.slice(0, 3).join(', ')}`, 'error');
+    return;
+  }
+  if (slugs.length === 0) {
+    showStatus('Add problem slugs or URLs, or pick them from a LeetCode page', 'error');
+    return;
+  }
+  
+  try {
+    const tab = await getBatchCaptureTab();
+    if (!tab) return;
+    
+    const response = await chrome.runtime.sendMessage({ type: 'START_BATCH_CAPTURE', slugs, tabId: tab.id });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response from background worker');
+    }
+    
+    displayBatchCapture(response.job);
+    showStatus(`Capturing ${slugs.length} problem${slugs.length === 1 ? '' : 's'}. Keep the LeetCode tab open.`, 'success');
+  } catch (error) {
+    console.error('Error starting batch capture:', error);
+    showStatus(`Error starting batch capture: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Handle "Retry Failed"
+ */
+async function handleRetryBatchCapture() {
+  try {
+    const tab = await getBatchCaptureTab();
+    if (!tab) return;
+    
+    const response = await chrome.runtime.sendMessage({ type: 'RETRY_BATCH_CAPTURE', tabId: tab.id });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response from background worker');
+    }
+    
+    displayBatchCapture(response.job);
+  } catch (error) {
+    console.error('Error retrying batch capture:', error);
+    showStatus(`Error retrying: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Handle "Cancel": the batch stops after the problem being captured
+ */
+async function handleCancelBatchCapture() {
+  try {
+    batchCancelButton.disabled = true;
+    await chrome.runtime.sendMessage({ type: 'CANCEL_BATCH_CAPTURE' });
+    showStatus('Stopping after the current problem...', 'success');
+  } catch (error) {
+    console.error('Error cancelling batch capture:', error);
+    batchCancelButton.disabled = false;
+    showStatus(`Error cancelling: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Handle "Copy Report"
+ */
+async function handleCopyBatchReport() {
+  try {
+    await navigator.clipboard.writeText(batchReport.textContent);
+    showStatus('Report copied', 'success');
+  } catch (error) {
+    console.error('Error copying report:', error);
+    showStatus('Could not copy the report', 'error');
+  }
+}
+
+/**
+ * Load the last batch capture job and show it
+ */
+async function loadBatchCapture() {
+  try {
+    displayBatchCapture(await getBatchCaptureJob());
+  } catch (error) {
+    console.error('Error loading batch capture:', error);
+  }
+}
+
+/**
+ * Show a batch capture job's progress, and its report once it has stopped
+ * @param {Object|null} job - Job from getBatchCaptureJob
+ */
+function displayBatchCapture(job) {
+  if (!batchJob) return;
+  
+  batchJob.hidden = !job;
+  if (!job) return;
+  
+  const running = job.status === 'running';
+  const summary = summarizeBatchCapture(job);
+  const done = summary.total - summary.pending;
+  
+  batchSummary.textContent = running
+    ? `Capturing ${Math.min(done + 1, summary.total)} of ${summary.total}...`
+    : `${job.status === 'cancelled' ? 'Cancelled' : 'Finished'}: ${summary.captured} captured, ${summary.skipped} already in set, ${summary.failed} failed`;
+  
+  const icons = {
+    pending: 'fa-regular fa-circle',
+    capturing: 'fas fa-spinner fa-spin',
+    captured: 'fas fa-check',
+    skipped: 'fas fa-check',
+    failed: 'fas fa-xmark'
+  };
+  
+  batchProgress.innerHTML = '';
+  job.items.forEach(item => {
+    const row = document.createElement('li');
+    row.className = `batch-item ${item.status}`;
+    
+    const icon = document.createElement('i');
+    icon.className = icons[item.status] || icons.pending;
+    row.appendChild(icon);
+    
+    const name = document.createElement('span');
+    name.textContent = item.name || item.slug;
+    row.appendChild(name);
+    
+    if (item.message) {
+      const message = document.createElement('span');
+      message.className = 'batch-item-message';
+      message.textContent = item.message;
+      row.appendChild(message);
+    }
+    
+    batchProgress.appendChild(row);
+  });
+  
+  batchStartButton.disabled = running;
+  batchCancelButton.hidden = !running;
+  batchCancelButton.disabled = false;
+  batchRetryButton.hidden = running || summary.failed + summary.pending === 0;
+  batchCopyReportButton.hidden = running;
+  batchReport.hidden = running;
+  batchReport.textContent = running ? '' : formatBatchCaptureReport(job);
+}
+
+/**
+ * Show status message
+ */
+function showStatus(message, type) {
+  statusMessage.className = `status-message ${type}`;
+  
+  if (type === 'refreshing') {
+    // Add spinner for refreshing status
+    statusMessage.innerHTML = `<div class="spinner"></div>${message}`;
+  } else {
+    statusMessage.textContent = message;
+  }
+  
+  statusMessage.style.display = type === 'refreshing' ? 'flex' : 'block';
+  
+  // Auto-hide after 3 seconds (except for refreshing status)
+  if (type !== 'refreshing') {
+    setTimeout(() => {
+      statusMessage.style.display = 'none';
     }, 3000);
   }
 }
@@ -674,6 +1654,117 @@ async function handleEditProblem(id) {
   }
 }
 
+/**
+ * Handle editing a problem's tags and difficulty
+ */
+async function handleEditTags(id) {
+  const problem = currentProblems.find(p => p.id === id);
+  if (!problem) {
+    showStatus('Problem not found', 'error');
+    return;
+  }
+  
+  const newTags = prompt('Tags (comma-separated, e.g. Two Pointers, DP):', (problem.tags || []).join(', '));
+  if (newTags === null) return; // User cancelled
+  
+  const newDifficulty = prompt(`Difficulty (${PROBLEM_DIFFICULTIES.join(', ')} or leave empty):`, problem.difficulty || '');
+  if (newDifficulty === null) return;
+  
+  try {
+    await updateProblem(id, { tags: newTags, difficulty: newDifficulty.trim() });
+    
+    await loadProblems();
+    showStatus('Tags updated', 'success');
+  } catch (error) {
+    console.error('Error updating tags:', error);
+    showStatus(error.message.includes('Invalid') ? error.message : `Error updating tags: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Show or hide the inline notes editor of a problem card
+ * @param {HTMLElement} item - Problem card
+ * @param {Object} problem - Problem shown in the card
+ */
+function toggleNotesEditor(item, problem) {
+  const openEditor = item.querySelector('.notes-editor');
+  if (openEditor) {
+    openEditor.remove();
+    item.draggable = true;
+    return;
+  }
+  
+  item.appendChild(createNotesEditor(item, problem));
+  // Selecting text in the editor would start dragging the card otherwise
+  item.draggable = false;
+  item.querySelector('.notes-editor [data-note-key]').focus();
+}
+
+/**
+ * Create the inline editor for a problem's approach, complexity and edge case notes
+ * @param {HTMLElement} item - Problem card
+ * @param {Object} problem - Problem shown in the card
+ * @returns {HTMLElement} Editor element
+ */
+function createNotesEditor(item, problem) {
+  const editor = document.createElement('div');
+  editor.className = 'notes-editor';
+  const notes = problem.notes || {};
+  
+  PROBLEM_NOTE_FIELDS.forEach(field => {
+    const label = document.createElement('label');
+    label.className = 'notes-field';
+    label.textContent = field.label;
+    
+    const input = document.createElement(field.multiline ? 'textarea' : 'input');
+    if (field.multiline) {
+      input.rows = 3;
+    } else {
+      input.type = 'text';
+    }
+    input.dataset.noteKey = field.key;
+    input.placeholder = field.placeholder;
+    input.value = notes[field.key] || '';
+    
+    label.appendChild(input);
+    editor.appendChild(label);
+  });
+  
+  const actions = document.createElement('div');
+  actions.className = 'notes-editor-actions';
+  actions.innerHTML = `
+    <button class="primary-button notes-save">Save Notes</button>
+    <button class="secondary-button notes-cancel">Cancel</button>
+  `;
+  actions.querySelector('.notes-save').addEventListener('click', () => handleSaveNotes(problem.id, editor));
+  actions.querySelector('.notes-cancel').addEventListener('click', () => toggleNotesEditor(item, problem));
+  editor.appendChild(actions);
+  
+  return editor;
+}
+
+/**
+ * Handle saving the notes typed into an inline notes editor
+ * @param {string} id - Problem ID
+ * @param {HTMLElement} editor - Notes editor element
+ */
+async function handleSaveNotes(id, editor) {
+  const notes = {};
+  editor.querySelectorAll('[data-note-key]').forEach(input => {
+    notes[input.dataset.noteKey] = input.value;
+  });
+  
+  try {
+    await updateProblem(id, { notes });
+    
+    await loadProblems();
+    showStatus('Notes saved', 'success');
+  } catch (error) {
+    console.error('Error saving notes:', error);
+    showStatus(error.message.includes('Invalid') ? error.message : `Error saving notes: ${error.message}`, 'error');
+  }
+}
+
 /**
  * Handle deleting a problem
  */
@@ -684,18 +1775,19 @@ async function handleDeleteProblem(id) {
     return;
   }
   
-  if (!confirm(`Delete "${problem.name}"?`)) return;
-  
   try {
     console.log('Deleting problem:', problem.name, 'ID:', id);
-    await deleteProblem(id);
-    console.log('✓ Problem deleted from storage');
+    const trashEntryId = await deleteProblem(id);
+    console.log('✓ Problem moved to trash');
     
     await loadProblems();
+    await loadTrash();
     const remaining = currentProblems.length;
     console.log('✓ Problems list reloaded, remaining:', remaining);
     
-    showStatus(`Deleted. ${remaining} problem${remaining !== 1 ? 's' : ''} remaining`, 'success');
+    if (trashEntryId) {
+      showUndoToast(`Deleted "${problem.name}". ${remaining} problem${remaining !== 1 ? 's' : ''} remaining`, trashEntryId);
+    }
   } catch (error) {
     console.error('✗ Error deleting problem:', error);
     
@@ -715,22 +1807,21 @@ async function handleDeleteProblem(id) {
  */
 async function handleClearAll() {
   const totalCount = currentProblems.length;
-  if (!confirm(`Delete all ${totalCount} problem${totalCount !== 1 ? 's' : ''}? This cannot be undone.`)) return;
+  if (!confirm(`Delete all ${totalCount} problem${totalCount !== 1 ? 's' : ''}? They can be restored from the trash for ${TRASH_RETENTION_DAYS} days.`)) return;
   
   try {
     console.log('Clearing all problems, current count:', totalCount);
     
-    // Delete each problem
-    for (const problem of currentProblems) {
-      await deleteProblem(problem.id);
-    }
-    
-    console.log('✓ All problems deleted from storage');
+    const trashEntryId = await clearProblems();
+    console.log('✓ All problems moved to trash');
     
     await loadProblems();
+    await loadTrash();
     console.log('✓ Problems list reloaded, count:', currentProblems.length);
     
-    showStatus(`All ${totalCount} problem${totalCount !== 1 ? 's' : ''} cleared`, 'success');
+    if (trashEntryId) {
+      showUndoToast(`All ${totalCount} problem${totalCount !== 1 ? 's' : ''} cleared`, trashEntryId);
+    }
   } catch (error) {
     console.error('✗ Error clearing problems:', error);
     showStatus('Error clearing problems', 'error');
@@ -842,50 +1933,120 @@ function handleDragEnd(e) {
 
 /**
  * Handle start new problem set button
+ * Creates a new set alongside the existing ones instead of clearing the current set
  */
 async function handleStartNewProblemSet() {
-  const problemCount = currentProblems.length;
-  const hasInfo = currentProblemSetInfo.title || currentProblemSetInfo.submittedBy;
-  
-  // Show confirmation dialog
-  const confirmed = confirm(
-    'Start a new problem set?\n\n' +
-    'This will clear all current problems and problem set information. ' +
-    'Make sure you have generated and saved your document first.\n\n' +
-    'This action cannot be undone.'
-  );
-  
-  if (!confirmed) return;
+  const name = prompt('Name for the new problem set:', `Problem Set ${currentProblemSets.length + 1}`);
+  if (name === null) return; // User cancelled
   
   try {
     console.log('Starting new problem set...');
-    console.log('  - Current problems:', problemCount);
-    console.log('  - Has problem set info:', hasInfo);
+    const newSet = await createProblemSet(name);
+    console.log('✓ Problem set created:', newSet.id);
     
-    // Clear all data from storage (problems + problem set info)
-    await clearAll();
-    console.log('✓ All data cleared from storage');
-    
-    // Reset state
-    currentProblems = [];
-    currentProblemSetInfo = { title: '', submittedBy: '' };
-    
-    // Reset UI
-    problemSetTitleInput.value = '';
-    studentNameInput.value = '';
-    problemsList.innerHTML = '<div class="empty-state">No problems captured yet.<br>Click "Capture from Current Page" on a LeetCode submission page.</div>';
-    problemCount.textContent = '0 problems';
-    clearAllButton.style.display = 'none';
-    
-    console.log('✓ UI reset complete');
+    await loadActiveProblemSet();
     
     // Focus on problem set title input
     problemSetTitleInput.focus();
     
-    showStatus('Started new problem set - all data cleared', 'success');
+    showStatus(`Started new problem set "${newSet.name}"`, 'success');
   } catch (error) {
     console.error('✗ Error starting new problem set:', error);
-    showStatus('Error starting new problem set', 'error');
+    const errorMessage = error.message.includes('Invalid') ? error.message : 'Error starting new problem set';
+    showStatus(errorMessage, 'error');
+  }
+}
+
+/**
+ * Handle switching the active problem set from the picker
+ */
+async function handleSwitchProblemSet() {
+  const setId = problemSetSelect.value;
+  if (!setId || setId === activeProblemSetId) return;
+  
+  try {
+    await switchProblemSet(setId);
+    await loadActiveProblemSet();
+    
+    const set = currentProblemSets.find(s => s.id === setId);
+    showStatus(`Switched to "${set ? set.name : 'problem set'}"`, 'success');
+  } catch (error) {
+    console.error('Error switching problem set:', error);
+    showStatus(`Error switching problem set: ${error.message}`, 'error');
+    problemSetSelect.value = activeProblemSetId;
+  }
+}
+
+/**
+ * Handle renaming the active problem set
+ */
+async function handleRenameProblemSet() {
+  const set = currentProblemSets.find(s => s.id === activeProblemSetId);
+  if (!set) return;
+  
+  const newName = prompt('Problem set name:', set.name);
+  if (newName === null) return; // User cancelled
+  
+  try {
+    await renameProblemSet(set.id, newName);
+    await loadProblemSets();
+    showStatus('Problem set renamed', 'success');
+  } catch (error) {
+    console.error('Error renaming problem set:', error);
+    const errorMessage = error.message.includes('Invalid') ? error.message : `Error renaming: ${error.message}`;
+    showStatus(errorMessage, 'error');
+  }
+}
+
+/**
+ * Handle duplicating the active problem set
+ */
+async function handleDuplicateProblemSet() {
+  const set = currentProblemSets.find(s => s.id === activeProblemSetId);
+  if (!set) return;
+  
+  const name = prompt('Name for the copy:', `${set.name} (copy)`);
+  if (name === null) return; // User cancelled
+  
+  try {
+    const copy = await duplicateProblemSet(set.id, name);
+    await loadActiveProblemSet();
+    showStatus(`Duplicated as "${copy.name}"`, 'success');
+  } catch (error) {
+    console.error('Error duplicating problem set:', error);
+    const errorMessage = error.message.includes('Invalid') ? error.message : `Error duplicating: ${error.message}`;
+    showStatus(errorMessage, 'error');
+  }
+}
+
+/**
+ * Handle archiving the active problem set, or restoring it if already archived
+ */
+async function handleArchiveProblemSet() {
+  const set = currentProblemSets.find(s => s.id === activeProblemSetId);
+  if (!set) return;
+  
+  if (set.archived) {
+    try {
+      await archiveProblemSet(set.id, false);
+      await loadProblemSets();
+      showStatus(`Restored "${set.name}"`, 'success');
+    } catch (error) {
+      console.error('Error restoring problem set:', error);
+      showStatus(`Error restoring: ${error.message}`, 'error');
+    }
+    return;
+  }
+  
+  if (!confirm(`Archive "${set.name}"?\n\nArchived sets keep their problems and can be restored from the picker.`)) return;
+  
+  try {
+    await archiveProblemSet(set.id, true);
+    await loadActiveProblemSet();
+    showStatus(`Archived "${set.name}"`, 'success');
+  } catch (error) {
+    console.error('Error archiving problem set:', error);
+    showStatus(`Error archiving: ${error.message}`, 'error');
   }
 }
 
@@ -911,6 +2072,20 @@ async function handleGenerateDocument() {
     return;
   }
   
+  // Problems documented with a submission that was not accepted need a go-ahead
+  const flagged = currentProblems.filter(problem => isNotAcceptedResult(problem.result));
+  if (flagged.length > 0) {
+    const names = flagged.map(problem => `• ${problem.name} (${problem.result.status})`).join('\n');
+    const proceed = confirm(
+      `${flagged.length} problem${flagged.length !== 1 ? 's are' : ' is'} documented with a submission that was not accepted:\n\n` +
+      `${names}\n\nGenerate the document anyway?`
+    );
+    if (!proceed) {
+      showStatus('Document generation cancelled', 'error');
+      return;
+    }
+  }
+  
   try {
     showStatus('Generating document...', 'success');
     generateDocButton.disabled = true;
@@ -918,7 +2093,15 @@ async function handleGenerateDocument() {
     // Prepare document data
     const documentData = {
       problemSetInfo: currentProblemSetInfo,
-      problems: currentProblems
+      problems: currentProblems,
+      options: {
+        includePreviousAttempts: currentSettings.includePreviousAttempts,
+        annotateTags: currentSettings.annotateTags,
+        groupByTag: currentSettings.groupByTag,
+        includeSummary: currentSettings.includeSummary,
+        includeStatement: currentSettings.includeStatement,
+        showSubmissionResult: currentSettings.showSubmissionResult
+      }
     };
     
     // Validate that docx library is loaded
@@ -945,19 +2128,21 @@ async function handleGenerateDocument() {
     // Generate filename using the global function from docxGenerator.js
     const filename = generateFilename(currentProblemSetInfo);
     
-    // Trigger download
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    
-    // Cleanup
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    downloadBlob(blob, filename);
     
-    showStatus('Document generated successfully!', 'success');
+    // Problems synced from another device without their statement have none to show
+    const withoutStatement = currentSettings.includeStatement
+      ? currentProblems.filter(problem => !Array.isArray(problem.statement) || problem.statement.length === 0)
+      : [];
+    if (withoutStatement.length > 0) {
+      showStatus(
+        `Document generated. ${withoutStatement.length} problem${withoutStatement.length !== 1 ? 's have' : ' has'} no problem statement ` +
+        `(${withoutStatement.map(problem => problem.name).join(', ')}); capture ${withoutStatement.length !== 1 ? 'them' : 'it'} again on this device to add it`,
+        'success'
+      );
+    } else {
+      showStatus('Document generated successfully!', 'success');
+    }
   } catch (error) {
     console.error('Error generating document:', error);
     
@@ -976,3 +2161,552 @@ async function handleGenerateDocument() {
     generateDocButton.disabled = false;
   }
 }
+
+/**
+ * Trigger a browser download of a blob
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Download filename
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  
+  // Cleanup
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Handle export button - downloads the active set as a JSON bundle
+ */
+async function handleExportProblemSet() {
+  try {
+    const bundle = await exportProblemSet(activeProblemSetId);
+    const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+    
+    // Format: "Set Name - backup.json"
+    const filename = `${bundle.set.name} - backup.json`.replace(/[<>:"/\\|?*]/g, '');
+    downloadBlob(blob, filename);
+    
+    const count = bundle.problems.length;
+    showStatus(`Exported ${count} problem${count !== 1 ? 's' : ''}`, 'success');
+  } catch (error) {
+    console.error('Error exporting problem set:', error);
+    showStatus(`Error exporting: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Handle import file selection - merges or replaces the active set from a JSON bundle
+ */
+async function handleImportProblemSet() {
+  const file = importFileInput.files[0];
+  // Reset so choosing the same file again still fires "change"
+  importFileInput.value = '';
+  if (!file) return;
+  
+  const mode = importModeSelect.value;
+  
+  try {
+    let bundle;
+    try {
+      bundle = JSON.parse(await file.text());
+    } catch (parseError) {
+      showStatus('Import failed: file is not valid JSON', 'error');
+      return;
+    }
+    
+    if (mode === 'replace' && hasProblemSetContents({ info: currentProblemSetInfo, problems: currentProblems })) {
+      const set = currentProblemSets.find(s => s.id === activeProblemSetId);
+      const contents = currentProblems.length > 0
+        ? `Its ${currentProblems.length} current problem${currentProblems.length !== 1 ? 's' : ''} and set info`
+        : 'Its set info';
+      const confirmed = confirm(
+        `Replace "${set ? set.name : 'this set'}" with the imported problems?\n\n` +
+        `${contents} will be moved to the trash.`
+      );
+      if (!confirmed) return;
+    }
+    
+    const result = await importProblemSet(bundle, { mode });
+    console.log('Import result:', result);
+    
+    await loadProblemSetInfo();
+    await loadProblems();
+    
+    let message = `Imported ${result.imported} problem${result.imported !== 1 ? 's' : ''}`;
+    if (result.skipped > 0) {
+      message += `, ${result.skipped} already in set`;
+    }
+    if (result.rejected.length > 0) {
+      message += `, ${result.rejected.length} invalid (${result.rejected.map(r => `${r.name}: ${r.error}`).join('; ')})`;
+    }
+    if (result.droppedInfo.length > 0) {
+      message += `. Set info left out: ${result.droppedInfo.join('; ')}`;
+    }
+    showStatus(message, result.rejected.length > 0 || result.droppedInfo.length > 0 ? 'error' : 'success');
+    
+    if (result.trashEntryId) {
+      await loadTrash();
+      showUndoToast('Previous set contents moved to trash', result.trashEntryId);
+    }
+  } catch (error) {
+    console.error('Error importing problem set:', error);
+    const errorMessage = error.message.includes('Invalid') ? error.message : `Error importing: ${error.message}`;
+    showStatus(errorMessage, 'error');
+  }
+}
+
+/**
+ * Show the Undo toast after a destructive action
+ * @param {string} message - What happened
+ * @param {string} trashEntryId - Trash entry to restore on Undo
+ */
+function showUndoToast(message, trashEntryId) {
+  clearTimeout(undoToastTimer);
+  
+  undoTrashEntryId = trashEntryId;
+  undoToastMessage.textContent = message;
+  undoToast.hidden = false;
+  
+  undoToastTimer = setTimeout(hideUndoToast, UNDO_TOAST_DURATION);
+}
+
+/**
+ * Hide the Undo toast
+ */
+function hideUndoToast() {
+  clearTimeout(undoToastTimer);
+  undoToast.hidden = true;
+  undoTrashEntryId = null;
+}
+
+/**
+ * Handle the Undo toast button - restores the last trashed entry
+ */
+async function handleUndo() {
+  const entryId = undoTrashEntryId;
+  hideUndoToast();
+  if (!entryId) return;
+  
+  await handleRestoreTrashEntry(entryId);
+}
+
+/**
+ * Load trash entries from storage and update the trash view
+ */
+async function loadTrash() {
+  try {
+    currentTrash = await getTrash();
+  } catch (error) {
+    console.error('Error loading trash:', error);
+    currentTrash = [];
+  }
+  
+  displayTrash();
+  // Emptying or restoring the trash changes how much space is in use
+  await loadStorageUsage();
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Number of bytes
+ * @returns {string} Human-readable size (e.g. "1.2 MB")
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+}
+
+/**
+ * Show how much storage the extension uses, with a warning close to the quota
+ */
+async function loadStorageUsage() {
+  if (!storageUsage) return;
+  
+  try {
+    const usage = await getStorageUsage();
+    const percent = Math.round(usage.ratio * 100);
+    
+    storageUsage.textContent = `Storage: ${formatBytes(usage.database.usedBytes)} of problems, ` +
+      `${formatBytes(usage.local.usedBytes)} of settings (${percent}% of quota)`;
+    if (usage.nearQuota) {
+      storageUsage.textContent += ' — running low, export and delete old sets or empty the trash';
+    }
+    storageUsage.classList.toggle('warning', usage.nearQuota);
+  } catch (error) {
+    console.error('Error reading storage usage:', error);
+    storageUsage.textContent = '';
+  }
+}
+
+/**
+ * Display trash entries in the trash view
+ */
+function displayTrash() {
+  trashCount.textContent = currentTrash.length;
+  trashList.innerHTML = '';
+  emptyTrashButton.style.display = currentTrash.length > 0 ? 'block' : 'none';
+  
+  if (currentTrash.length === 0) {
+    trashList.innerHTML = `<div class="empty-state">Trash is empty.<br>Deleted problems are kept here for ${TRASH_RETENTION_DAYS} days.</div>`;
+    return;
+  }
+  
+  currentTrash.forEach(entry => {
+    trashList.appendChild(createTrashItem(entry));
+  });
+}
+
+/**
+ * Create a trash entry element
+ */
+function createTrashItem(entry) {
+  const item = document.createElement('div');
+  item.className = 'trash-item';
+  
+  const count = entry.problems.length;
+  const title = entry.kind === 'problem'
+    ? entry.problems[0].name
+    : `${count} problem${count !== 1 ? 's' : ''}${entry.info ? ' and set info' : ''}${entry.replaced ? ' (replaced)' : ''}`;
+  const daysLeft = Math.max(1, Math.ceil((entry.expiresAt - Date.now()) / (24 * 60 * 60 * 1000)));
+  
+  item.innerHTML = `
+    <div class="trash-item-details">
+      <span class="trash-item-title">${escapeHtml(title)}</span>
+      <span class="trash-item-meta">
+        From "${escapeHtml(entry.setName)}" · ${new Date(entry.deletedAt).toLocaleString()} · ${daysLeft} day${daysLeft !== 1 ? 's' : ''} left
+      </span>
+    </div>
+    <div class="trash-item-actions">
+      <button class="secondary-button restore-button" title="Restore">
+        <i class="fas fa-rotate-left"></i> Restore
+      </button>
+      <button class="ghost-button purge-button" title="Delete forever">
+        <i class="fas fa-xmark"></i>
+      </button>
+    </div>
+  `;
+  
+  item.querySelector('.restore-button')
+      .addEventListener('click', () => handleRestoreTrashEntry(entry.id));
+  
+  item.querySelector('.purge-button')
+      .addEventListener('click', () => handlePurgeTrashEntry(entry.id));
+  
+  return item;
+}
+
+/**
+ * Handle trash button - shows or hides the trash view
+ */
+async function handleToggleTrash() {
+  trashCard.hidden = !trashCard.hidden;
+  
+  if (!trashCard.hidden) {
+    await loadTrash();
+  }
+}
+
+/**
+ * Handle showing or hiding the statistics card
+ */
+function handleToggleStats() {
+  statsCard.hidden = !statsCard.hidden;
+  displayStats();
+}
+
+/**
+ * Show the statistics of the active set in the stats card
+ * Only rendered while the card is open; displayProblems calls this on every change
+ */
+function displayStats() {
+  if (!statsCard || statsCard.hidden) return;
+  
+  statsContent.innerHTML = '';
+  
+  if (currentProblems.length === 0) {
+    statsContent.innerHTML = '<div class="empty-state">No problems captured yet.</div>';
+    return;
+  }
+  
+  const stats = computeProblemStats(currentProblems);
+  
+  const figures = document.createElement('div');
+  figures.className = 'stats-figures';
+  figures.appendChild(createStatsFigure('Problems', String(stats.problemCount)));
+  figures.appendChild(createStatsFigure('Captures', String(stats.captureCount)));
+  figures.appendChild(createStatsFigure('Avg. length', `${stats.averageLines} line${stats.averageLines !== 1 ? 's' : ''}`));
+  figures.appendChild(createStatsFigure('Avg. size', `${stats.averageCharacters} chars`));
+  figures.appendChild(createStatsFigure('Oldest', formatStatsCapture(stats.oldestCapture)));
+  figures.appendChild(createStatsFigure('Newest', formatStatsCapture(stats.newestCapture)));
+  statsContent.appendChild(figures);
+  
+  statsContent.appendChild(createStatsBars('Languages', stats.byLanguage));
+  statsContent.appendChild(createStatsBars('Difficulty', stats.byDifficulty));
+  
+  const timeline = statsPeriod === 'day'
+    ? createStatsBars('Captures per day', stats.capturesPerDay, formatStatsDay)
+    : createStatsBars('Captures per week', stats.capturesPerWeek, key => `Week of ${formatStatsDay(key)}`);
+  
+  const periodSelect = document.createElement('select');
+  periodSelect.className = 'stats-period';
+  periodSelect.innerHTML = '<option value="day">By day</option><option value="week">By week</option>';
+  periodSelect.value = statsPeriod;
+  periodSelect.addEventListener('change', () => {
+    statsPeriod = periodSelect.value;
+    displayStats();
+  });
+  timeline.querySelector('.stats-heading').appendChild(periodSelect);
+  statsContent.appendChild(timeline);
+}
+
+/**
+ * Create a labelled figure for the stats card
+ * @param {string} label - What the figure is
+ * @param {string} value - Figure to show
+ * @returns {HTMLElement} Figure element
+ */
+function createStatsFigure(label, value) {
+  const figure = document.createElement('div');
+  figure.className = 'stats-figure';
+  
+  const labelElement = document.createElement('span');
+  labelElement.className = 'stats-label';
+  labelElement.textContent = label;
+  
+  const valueElement = document.createElement('span');
+  valueElement.className = 'stats-value';
+  valueElement.textContent = value;
+  valueElement.title = value;
+  
+  figure.appendChild(labelElement);
+  figure.appendChild(valueElement);
+  return figure;
+}
+
+/**
+ * Create a bar chart of counts for the stats card
+ * @param {string} title - Chart heading
+ * @param {Array<{label: string, count: number}>} counts - Counts from computeProblemStats
+ * @param {function(string): string} [formatLabel] - Turns a label into display text
+ * @returns {HTMLElement} Chart element
+ */
+function createStatsBars(title, counts, formatLabel = label => label) {
+  const chart = document.createElement('div');
+  chart.className = 'stats-chart';
+  
+  const heading = document.createElement('div');
+  heading.className = 'stats-heading';
+  heading.textContent = title;
+  chart.appendChild(heading);
+  
+  const max = Math.max(...counts.map(entry => entry.count), 1);
+  
+  counts.forEach(({ label, count }) => {
+    const row = document.createElement('div');
+    row.className = 'stats-bar-row';
+    row.innerHTML = `
+      <span class="stats-bar-label"></span>
+      <span class="stats-bar"><span class="stats-bar-fill"></span></span>
+      <span class="stats-bar-count">${count}</span>
+    `;
+    row.querySelector('.stats-bar-label').textContent = formatLabel(label);
+    row.querySelector('.stats-bar-fill').style.width = `${Math.round((count / max) * 100)}%`;
+    chart.appendChild(row);
+  });
+  
+  return chart;
+}
+
+/**
+ * Restore a trash entry and switch to the set it was restored into
+ */
+async function handleRestoreTrashEntry(entryId) {
+  try {
+    const result = await restoreFromTrash(entryId);
+    
+    if (result.setId !== activeProblemSetId) {
+      await switchProblemSet(result.setId);
+    }
+    
+    await loadActiveProblemSet();
+    await loadTrash();
+    
+    let message = `Restored ${result.restored} problem${result.restored !== 1 ? 's' : ''}`;
+    if (result.replacedEntryId) {
+      message += '; the contents they replaced were moved to the trash';
+    }
+    showStatus(message, 'success');
+  } catch (error) {
+    console.error('Error restoring from trash:', error);
+    showStatus(`Error restoring: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Permanently delete a trash entry
+ */
+async function handlePurgeTrashEntry(entryId) {
+  if (!confirm('Delete this item forever? This cannot be undone.')) return;
+  
+  try {
+    await purgeTrashEntry(entryId);
+    await loadTrash();
+  } catch (error) {
+    console.error('Error purging trash entry:', error);
+    showStatus(`Error deleting: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Permanently delete everything in the trash
+ */
+async function handleEmptyTrash() {
+  if (!confirm(`Permanently delete all ${currentTrash.length} item${currentTrash.length !== 1 ? 's' : ''} in the trash? This cannot be undone.`)) return;
+  
+  try {
+    await emptyTrash();
+    hideUndoToast();
+    await loadTrash();
+    showStatus('Trash emptied', 'success');
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    showStatus(`Error emptying trash: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Load user settings and reflect them in the document options
+ */
+async function loadSettings() {
+  try {
+    currentSettings = await getSettings();
+  } catch (error) {
+    console.error('Error loading settings:', error);
+    currentSettings = { ...DEFAULT_SETTINGS };
+  }
+  
+  includePreviousAttemptsCheckbox.checked = !!currentSettings.includePreviousAttempts;
+  annotateTagsCheckbox.checked = !!currentSettings.annotateTags;
+  groupByTagCheckbox.checked = !!currentSettings.groupByTag;
+  includeSummaryCheckbox.checked = !!currentSettings.includeSummary;
+  includeStatementCheckbox.checked = !!currentSettings.includeStatement;
+  showSubmissionResultCheckbox.checked = !!currentSettings.showSubmissionResult;
+  syncEnabledCheckbox.checked = !!currentSettings.syncEnabled;
+  blockNotAcceptedCheckbox.checked = !!currentSettings.blockNotAccepted;
+}
+
+/**
+ * Load the sync status and show it in the Sync card
+ */
+async function loadSyncStatus() {
+  try {
+    displaySyncStatus(await getSyncStatus());
+  } catch (error) {
+    console.error('Error loading sync status:', error);
+  }
+}
+
+/**
+ * Show a sync status in the Sync card
+ * @param {Object} status - Status from getSyncStatus
+ */
+function displaySyncStatus(status) {
+  if (!syncStatusLabel) return;
+  
+  const enabled = !!currentSettings.syncEnabled;
+  syncNowButton.hidden = !enabled;
+  syncStatusLabel.classList.toggle('error', enabled && status.state === 'error');
+  
+  if (!enabled) {
+    syncStatusLabel.textContent = 'Sync is off. Problem sets are kept on this device only.';
+    return;
+  }
+  
+  const lastSynced = status.lastSyncedAt ? new Date(status.lastSyncedAt).toLocaleString() : 'never';
+  const notice = status.notice ? ` · ${status.notice}` : '';
+  if (status.state === 'syncing') {
+    syncStatusLabel.textContent = 'Syncing...';
+  } else if (status.state === 'error') {
+    syncStatusLabel.textContent = `Sync failed: ${status.error} (last synced ${lastSynced})${notice}`;
+  } else if (status.state === 'synced') {
+    const pending = status.pending ? ` · ${status.pending} still arriving` : '';
+    syncStatusLabel.textContent = `Synced ${lastSynced}${pending}${notice}`;
+  } else {
+    syncStatusLabel.textContent = 'Waiting for the first sync...';
+  }
+}
+
+/**
+ * Handle turning sync on or off
+ * The background worker starts syncing when the setting changes
+ */
+async function handleToggleSync() {
+  const enabled = syncEnabledCheckbox.checked;
+  
+  try {
+    currentSettings = await saveSettings({ syncEnabled: enabled });
+    await loadSyncStatus();
+    showStatus(enabled ? 'Sync turned on' : 'Sync turned off. Data already synced stays in your Chrome account.', 'success');
+  } catch (error) {
+    console.error('Error changing sync setting:', error);
+    syncEnabledCheckbox.checked = !enabled;
+    showStatus(`Error changing sync: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Handle turning refusal of submissions that were not accepted on or off
+ */
+async function handleToggleBlockNotAccepted() {
+  const enabled = blockNotAcceptedCheckbox.checked;
+  
+  try {
+    currentSettings = await saveSettings({ blockNotAccepted: enabled });
+  } catch (error) {
+    console.error('Error changing capture setting:', error);
+    blockNotAcceptedCheckbox.checked = !enabled;
+    showStatus(`Error saving option: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Handle "Sync now"
+ */
+async function handleSyncNow() {
+  syncNowButton.disabled = true;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'SYNC_NOW' });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response from background worker');
+    }
+    displaySyncStatus(response.status);
+  } catch (error) {
+    console.error('Error syncing:', error);
+    showStatus(`Error syncing: ${error.message}`, 'error');
+  } finally {
+    syncNowButton.disabled = false;
+  }
+}
+
+/**
+ * Persist a changed document option
+ * @param {string} key - Settings key
+ * @param {*} value - New value
+ */
+async function handleDocumentOptionChange(key, value) {
+  try {
+    currentSettings = await saveSettings({ [key]: value });
+  } catch (error) {
+    console.error('Error saving document option:', error);
+    showStatus(`Error saving option: ${error.message}`, 'error');
+  }
+}
@@ -0,0 +1,281 @@
+/**
+ * IndexedDB Problem Store for LeetCode Documentation Generator
+ * Keeps problem records and trash entries in IndexedDB, one record per problem,
+ * so large sets don't have to be rewritten as a whole or fit chrome.storage.local
+ *
+ * Object stores:
+ * - problems: keyPath "id", indexes "setId", "setOrder" ([setId, order]) and "capturedAt"
+ * - trash: keyPath "id", index "deletedAt"
+ */
+
+const PROBLEM_DB_NAME = 'leetcode-doc-generator';
+const PROBLEM_DB_VERSION = 1;
+const PROBLEMS_STORE = 'problems';
+const TRASH_STORE = 'trash';
+
+let problemDatabasePromise = null;
+
+/**
+ * Open (and on first use create) the problem database
+ * The connection is shared by every call in this context
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openProblemDatabase() {
+  if (problemDatabasePromise) return problemDatabasePromise;
+  
+  problemDatabasePromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(PROBLEM_DB_NAME, PROBLEM_DB_VERSION);
+    
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      
+      if (!db.objectStoreNames.contains(PROBLEMS_STORE)) {
+        const problems = db.createObjectStore(PROBLEMS_STORE, { keyPath: 'id' });
+        problems.createIndex('setId', 'setId');
+        problems.createIndex('setOrder', ['setId', 'order']);
+        problems.createIndex('capturedAt', 'capturedAt');
+      }
+      
+      if (!db.objectStoreNames.contains(TRASH_STORE)) {
+        const trash = db.createObjectStore(TRASH_STORE, { keyPath: 'id' });
+        trash.createIndex('deletedAt', 'deletedAt');
+      }
+    };
+    
+    request.onsuccess = () => {
+      const db = request.result;
+      // Another context upgraded the database; reopen on next use
+      db.onversionchange = () => {
+        db.close();
+        problemDatabasePromise = null;
+      };
+      resolve(db);
+    };
+    
+    request.onerror = () => {
+      problemDatabasePromise = null;
+      reject(new Error(`Failed to open problem database: ${request.error && request.error.message}`));
+    };
+  });
+  
+  return problemDatabasePromise;
+}
+
+/**
+ * Turn an IndexedDB error into an Error with a readable message
+ * @param {DOMException|null} error - Error from a request or transaction
+ * @returns {Error} Error to throw
+ */
+function toStoreError(error) {
+  if (error && error.name === 'QuotaExceededError') {
+    return new Error('Storage quota exceeded. Delete old problem sets or empty the trash to free space.');
+  }
+  return new Error(`Problem database error: ${error ? error.message : 'unknown error'}`);
+}
+
+/**
+ * Run work inside a transaction and resolve once it has committed
+ * @param {Array<string>|string} storeNames - Object stores to use
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {function(IDBTransaction): *} work - Issues requests; its return value (or the
+ *   result of a returned request) is resolved after commit
+ * @returns {Promise<*>} Result of the work
+ */
+async function runProblemTransaction(storeNames, mode, work) {
+  const db = await openProblemDatabase();
+  
+  return new Promise((resolve, reject) => {
+    let transaction;
+    try {
+      transaction = db.transaction(storeNames, mode);
+    } catch (error) {
+      reject(toStoreError(error));
+      return;
+    }
+    
+    let result;
+    transaction.oncomplete = () => {
+      resolve(result instanceof IDBRequest ? result.result : result);
+    };
+    transaction.onerror = () => reject(toStoreError(transaction.error));
+    transaction.onabort = () => reject(toStoreError(transaction.error));
+    
+    result = work(transaction);
+  });
+}
+
+/**
+ * Get all problem records of a set, sorted by order
+ * @param {string} setId - Problem set ID
+ * @returns {Promise<Array>} Problem records
+ */
+async function getProblemsBySet(setId) {
+  return runProblemTransaction(PROBLEMS_STORE, 'readonly', (transaction) => {
+    const range = IDBKeyRange.bound([setId, -Infinity], [setId, Infinity]);
+    return transaction.objectStore(PROBLEMS_STORE).index('setOrder').getAll(range);
+  });
+}
+
+/**
+ * Count the problem records of a set
+ * @param {string} setId - Problem set ID
+ * @returns {Promise<number>} Number of problems
+ */
+async function countProblemsBySet(setId) {
+  return runProblemTransaction(PROBLEMS_STORE, 'readonly', (transaction) => {
+    return transaction.objectStore(PROBLEMS_STORE).index('setId').count(setId);
+  });
+}
+
+/**
+ * Get a single problem record
+ * @param {string} id - Problem ID
+ * @returns {Promise<Object|undefined>} Problem record
+ */
+async function getProblemRecord(id) {
+  return runProblemTransaction(PROBLEMS_STORE, 'readonly', (transaction) => {
+    return transaction.objectStore(PROBLEMS_STORE).get(id);
+  });
+}
+
+/**
+ * Prepare a problem record for the store
+ * Records without a numeric order would be missing from the setOrder index
+ * @param {Object} record - Problem record
+ * @param {string} setId - Problem set ID
+ * @param {number} index - Fallback order
+ * @returns {Object} Record to store
+ */
+function toStoredProblem(record, setId, index) {
+  const order = typeof record.order === 'number' ? record.order : index;
+  return { ...record, setId, order };
+}
+
+/**
+ * Insert or overwrite problem records of a set
+ * @param {string} setId - Problem set ID the records belong to
+ * @param {Array} records - Problem records
+ * @returns {Promise<void>}
+ */
+async function putProblemRecords(setId, records) {
+  if (records.length === 0) return;
+  
+  await runProblemTransaction(PROBLEMS_STORE, 'readwrite', (transaction) => {
+    const store = transaction.objectStore(PROBLEMS_STORE);
+    records.forEach((record, index) => store.put(toStoredProblem(record, setId, index)));
+  });
+}
+
+/**
+ * Delete problem records
+ * @param {Array<string>} ids - Problem IDs
+ * @returns {Promise<void>}
+ */
+async function deleteProblemRecords(ids) {
+  if (ids.length === 0) return;
+  
+  await runProblemTransaction(PROBLEMS_STORE, 'readwrite', (transaction) => {
+    const store = transaction.objectStore(PROBLEMS_STORE);
+    ids.forEach(id => store.delete(id));
+  });
+}
+
+/**
+ * Read a set's problem records and write the changes made from them in one transaction
+ * Writers of the same set wait for each other, so e.g. two captures can't both miss the
+ * other's problem when checking for duplicates
+ * @param {string} setId - Problem set ID
+ * @param {function(Array): Object} change - Gets the set's records sorted by order and returns
+ *   {put, remove, trash, result}: records to write, problem IDs to delete, trash entries to add
+ *   and the value to resolve with. It runs inside the transaction, so it must not await
+ * @returns {Promise<*>} The change's result, once committed
+ * @throws {Error} If the change throws (nothing is written) or the transaction fails
+ */
+async function changeProblemsForSet(setId, change) {
+  const outcome = {};
+  
+  try {
+    await runProblemTransaction([PROBLEMS_STORE, TRASH_STORE], 'readwrite', (transaction) => {
+      const store = transaction.objectStore(PROBLEMS_STORE);
+      const range = IDBKeyRange.bound([setId, -Infinity], [setId, Infinity]);
+      const request = store.index('setOrder').getAll(range);
+      
+      request.onsuccess = () => {
+        let changes;
+        try {
+          changes = change(request.result);
+        } catch (error) {
+          outcome.error = error;
+          transaction.abort();
+          return;
+        }
+        
+        const { put = [], remove = [], trash = [] } = changes;
+        remove.forEach(id => store.delete(id));
+        put.forEach((record, index) => store.put(toStoredProblem(record, setId, index)));
+        trash.forEach(entry => transaction.objectStore(TRASH_STORE).put(entry));
+        outcome.result = changes.result;
+      };
+    });
+  } catch (error) {
+    throw outcome.error || error;
+  }
+  
+  return outcome.result;
+}
+
+/**
+ * Get all trash entries
+ * @returns {Promise<Array>} Trash entries, oldest first
+ */
+async function getTrashEntries() {
+  return runProblemTransaction(TRASH_STORE, 'readonly', (transaction) => {
+    return transaction.objectStore(TRASH_STORE).index('deletedAt').getAll();
+  });
+}
+
+/**
+ * Get a single trash entry
+ * @param {string} id - Trash entry ID
+ * @returns {Promise<Object|undefined>} Trash entry
+ */
+async function getTrashEntry(id) {
+  return runProblemTransaction(TRASH_STORE, 'readonly', (transaction) => {
+    return transaction.objectStore(TRASH_STORE).get(id);
+  });
+}
+
+/**
+ * Insert or overwrite a trash entry
+ * @param {Object} entry - Trash entry
+ * @returns {Promise<void>}
+ */
+async function putTrashEntry(entry) {
+  await runProblemTransaction(TRASH_STORE, 'readwrite', (transaction) => {
+    transaction.objectStore(TRASH_STORE).put(entry);
+  });
+}
+
+/**
+ * Delete trash entries
+ * @param {Array<string>} ids - Trash entry IDs
+ * @returns {Promise<void>}
+ */
+async function deleteTrashEntries(ids) {
+  if (ids.length === 0) return;
+  
+  await runProblemTransaction(TRASH_STORE, 'readwrite', (transaction) => {
+    const store = transaction.objectStore(TRASH_STORE);
+    ids.forEach(id => store.delete(id));
+  });
+}
+
+/**
+ * Delete every trash entry
+ * @returns {Promise<void>}
+ */
+async function clearTrashEntries() {
+  await runProblemTransaction(TRASH_STORE, 'readwrite', (transaction) => {
+    transaction.objectStore(TRASH_STORE).clear();
+  });
+}
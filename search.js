@@ -0,0 +1,194 @@
+/**
+ * Problem Search for LeetCode Documentation Generator
+ * Matches captured problems against the popup's search box and quick filters
+ *
+ * A query is split into whitespace-separated terms; a problem matches when every term
+ * appears (case-insensitively) in its name, language, tags or the code of any of its
+ * submissions.
+ */
+
+// Longest code line shown as a match snippet; longer lines are cut around the match
+const SEARCH_SNIPPET_LENGTH = 80;
+
+/**
+ * Split a search query into lowercase terms
+ * @param {string} query - Text typed into the search box
+ * @returns {Array<string>} Search terms, empty for a blank query
+ */
+function getSearchTerms(query) {
+  return String(query || '')
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(term => term.length > 0);
+}
+
+/**
+ * Get the code of every submission of a problem
+ * @param {Object} problem - Problem with a submission history
+ * @returns {Array<string>} Code bodies, primary submission first
+ */
+function getSearchableCode(problem) {
+  const codes = [problem.code, ...(problem.submissions || []).map(s => s.code)];
+  return [...new Set(codes.filter(code => typeof code === 'string' && code.length > 0))];
+}
+
+/**
+ * Check whether a problem contains every search term
+ * @param {Object} problem - Problem
+ * @param {Array<string>} terms - Terms from getSearchTerms
+ * @returns {boolean} True if each term is found somewhere in the problem
+ */
+function problemMatchesSearch(problem, terms) {
+  if (terms.length === 0) return true;
+  
+  const fields = [
+    problem.name || '',
+    problem.language || '',
+    ...(problem.tags || []),
+    ...getSearchableCode(problem)
+  ].map(field => field.toLowerCase());
+  
+  return terms.every(term => fields.some(field => field.includes(term)));
+}
+
+/**
+ * Check whether a problem passes the tag filter
+ * @param {Object} problem - Problem
+ * @param {string} filter - '' for all, 'tag:<tag>' or 'difficulty:<difficulty>'
+ * @returns {boolean} True if the problem should be shown
+ */
+function problemMatchesTagFilter(problem, filter) {
+  if (!filter) return true;
+  
+  const [kind, ...rest] = filter.split(':');
+  const value = rest.join(':');
+  
+  if (kind === 'difficulty') {
+    return problem.difficulty === value;
+  }
+  
+  return (problem.tags || []).some(tag => tag.toLowerCase() === value.toLowerCase());
+}
+
+/**
+ * Check whether a problem was captured within a date range
+ * A problem counts as captured on the day of any of its submissions
+ * @param {Object} problem - Problem
+ * @param {string} from - First day (YYYY-MM-DD, local time) or '' for no lower bound
+ * @param {string} to - Last day (YYYY-MM-DD, local time) or '' for no upper bound
+ * @returns {boolean} True if a capture falls inside the range
+ */
+function problemCapturedInRange(problem, from, to) {
+  if (!from && !to) return true;
+  
+  const start = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+  const end = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+  const times = (problem.submissions || []).map(s => s.capturedAt);
+  if (times.length === 0) {
+    times.push(problem.capturedAt);
+  }
+  
+  return times.some(time => {
+    const captured = new Date(time).getTime();
+    return captured >= start && captured <= end;
+  });
+}
+
+/**
+ * Filter problems by search query and quick filters
+ * @param {Array} problems - Problems in set order
+ * @param {Object} criteria - Filter criteria
+ * @param {string} [criteria.query] - Search box text
+ * @param {string} [criteria.language] - Only problems documented in this language
+ * @param {string} [criteria.tagFilter] - Tag or difficulty filter (see problemMatchesTagFilter)
+ * @param {string} [criteria.from] - Captured on or after this day (YYYY-MM-DD)
+ * @param {string} [criteria.to] - Captured on or before this day (YYYY-MM-DD)
+ * @returns {Array} Matching problems, in their original order
+ */
+function filterProblems(problems, { query = '', language = '', tagFilter = '', from = '', to = '' } = {}) {
+  const terms = getSearchTerms(query);
+  
+  return problems.filter(problem =>
+    (!language || problem.language === language) &&
+    problemMatchesTagFilter(problem, tagFilter) &&
+    problemCapturedInRange(problem, from, to) &&
+    problemMatchesSearch(problem, terms)
+  );
+}
+
+/**
+ * Check whether any filter criterion is set
+ * @param {Object} criteria - Criteria as passed to filterProblems
+ * @returns {boolean} True if filterProblems may hide problems
+ */
+function hasActiveFilters(criteria) {
+  return getSearchTerms(criteria.query).length > 0 ||
+    Boolean(criteria.language || criteria.tagFilter || criteria.from || criteria.to);
+}
+
+/**
+ * Get the languages used by a list of problems
+ * @param {Array} problems - Problems
+ * @returns {Array<string>} Languages, sorted
+ */
+function collectProblemLanguages(problems) {
+  const languages = new Set(problems.map(p => p.language).filter(Boolean));
+  return [...languages].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Split text into plain and matching parts for highlighting
+ * @param {string} text - Text to split
+ * @param {Array<string>} terms - Terms from getSearchTerms
+ * @returns {Array<{text: string, match: boolean}>} Parts in order; joined they give back the text
+ */
+function splitSearchMatches(text, terms) {
+  const value = String(text || '');
+  if (terms.length === 0 || value.length === 0) {
+    return [{ text: value, match: false }];
+  }
+  
+  // Longest terms first so a term contained in another doesn't cut its match short
+  const pattern = [...terms]
+    .sort((a, b) => b.length - a.length)
+    .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('|');
+  
+  return value
+    .split(new RegExp(`(${pattern})`, 'gi'))
+    .filter(part => part.length > 0)
+    .map(part => ({ text: part, match: terms.includes(part.toLowerCase()) }));
+}
+
+/**
+ * Find the first code line that contains a search term
+ * Only terms that the name, language and tags don't already explain are looked for,
+ * so a snippet is shown when the code is the reason a problem matched
+ * @param {Object} problem - Problem
+ * @param {Array<string>} terms - Terms from getSearchTerms
+ * @returns {string|null} Trimmed code line, cut to SEARCH_SNIPPET_LENGTH, or null
+ */
+function findCodeSnippet(problem, terms) {
+  const described = [problem.name || '', problem.language || '', ...(problem.tags || [])]
+    .map(field => field.toLowerCase());
+  const codeTerms = terms.filter(term => !described.some(field => field.includes(term)));
+  if (codeTerms.length === 0) return null;
+  
+  for (const code of getSearchableCode(problem)) {
+    for (const rawLine of code.split('\n')) {
+      const line = rawLine.trim();
+      const lower = line.toLowerCase();
+      const term = codeTerms.find(t => lower.includes(t));
+      if (!term) continue;
+      
+      if (line.length <= SEARCH_SNIPPET_LENGTH) return line;
+      
+      const matchIndex = lower.indexOf(term);
+      const start = Math.max(0, Math.min(matchIndex - 20, line.length - SEARCH_SNIPPET_LENGTH));
+      const snippet = line.slice(start, start + SEARCH_SNIPPET_LENGTH);
+      return `${start > 0 ? '…' : ''}${snippet}${start + SEARCH_SNIPPET_LENGTH < line.length ? '…' : ''}`;
+    }
+  }
+  
+  return null;
+}
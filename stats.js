@@ -0,0 +1,130 @@
+/**
+ * Problem Statistics for LeetCode Documentation Generator
+ * Summarises a problem set for the popup's stats view and the document's Summary section
+ *
+ * Problems are counted by their documented (primary) submission; captures count every
+ * submission in each problem's history. Days and weeks are in local time, and a week
+ * starts on Monday.
+ */
+
+const UNRATED_DIFFICULTY_LABEL = 'Unrated';
+
+/**
+ * Format a date as a local YYYY-MM-DD key
+ * @param {Date} date - Date
+ * @returns {string} Day key
+ */
+function toDayKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Get the key of the week (its Monday) a date falls in
+ * @param {Date} date - Date
+ * @returns {string} Day key of the Monday
+ */
+function toWeekKey(date) {
+  const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  return toDayKey(monday);
+}
+
+/**
+ * Count values and sort the counts
+ * @param {Array<string>} values - Values to count
+ * @param {function(Object, Object): number} compare - Sort order of the {label, count} entries
+ * @returns {Array<{label: string, count: number}>} Counts
+ */
+function countValues(values, compare) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts].map(([label, count]) => ({ label, count })).sort(compare);
+}
+
+/**
+ * Get every capture of a list of problems
+ * @param {Array} problems - Problems with submission histories
+ * @returns {Array<{name: string, date: Date}>} Captures with a valid time
+ */
+function collectCaptures(problems) {
+  const captures = [];
+  
+  problems.forEach(problem => {
+    const submissions = problem.submissions && problem.submissions.length > 0
+      ? problem.submissions
+      : [{ capturedAt: problem.capturedAt }];
+    
+    submissions.forEach(submission => {
+      const date = new Date(submission.capturedAt);
+      if (!isNaN(date.getTime())) {
+        captures.push({ name: problem.name, date });
+      }
+    });
+  });
+  
+  return captures.sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Compute the statistics of a problem set
+ * @param {Array} problems - Problems with their primary submission applied (getAllProblems)
+ * @returns {Object} Stats {problemCount, captureCount, byLanguage, byDifficulty, capturesPerDay,
+ *   capturesPerWeek, averageLines, averageCharacters, oldestCapture, newestCapture}; the count
+ *   lists are [{label, count}] and the captures {name, capturedAt} or null
+ */
+function computeProblemStats(problems) {
+  const byCount = (a, b) => b.count - a.count || a.label.localeCompare(b.label);
+  const byLabel = (a, b) => a.label.localeCompare(b.label);
+  const difficultyOrder = [...PROBLEM_DIFFICULTIES, UNRATED_DIFFICULTY_LABEL];
+  
+  const captures = collectCaptures(problems);
+  const codes = problems.map(problem => problem.code || '');
+  const totalLines = codes.reduce((sum, code) => sum + (code ? code.split('\n').length : 0), 0);
+  const totalCharacters = codes.reduce((sum, code) => sum + code.length, 0);
+  
+  const toCapture = capture => capture
+    ? { name: capture.name, capturedAt: capture.date.toISOString() }
+    : null;
+  
+  return {
+    problemCount: problems.length,
+    captureCount: captures.length,
+    byLanguage: countValues(problems.map(p => p.language || 'Unknown'), byCount),
+    byDifficulty: countValues(
+      problems.map(p => p.difficulty || UNRATED_DIFFICULTY_LABEL),
+      (a, b) => difficultyOrder.indexOf(a.label) - difficultyOrder.indexOf(b.label)
+    ),
+    capturesPerDay: countValues(captures.map(c => toDayKey(c.date)), byLabel),
+    capturesPerWeek: countValues(captures.map(c => toWeekKey(c.date)), byLabel),
+    averageLines: problems.length > 0 ? Math.round(totalLines / problems.length) : 0,
+    averageCharacters: problems.length > 0 ? Math.round(totalCharacters / problems.length) : 0,
+    oldestCapture: toCapture(captures[0]),
+    newestCapture: toCapture(captures[captures.length - 1])
+  };
+}
+
+/**
+ * Format a day key for display
+ * @param {string} key - Day key (YYYY-MM-DD)
+ * @returns {string} Date such as "Oct 5, 2026"
+ */
+function formatStatsDay(key) {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+}
+
+/**
+ * Format a capture for display
+ * @param {Object|null} capture - {name, capturedAt} from computeProblemStats
+ * @returns {string} e.g. "Two Sum (Oct 5, 2026)", or an empty string
+ */
+function formatStatsCapture(capture) {
+  if (!capture) return '';
+  return `${capture.name} (${formatStatsDay(toDayKey(new Date(capture.capturedAt)))})`;
+}
@@ -1,13 +1,427 @@
 /**
  * Storage Manager for LeetCode Documentation Generator
  * Handles all Chrome storage operations for problem sets and problems
+ *
+ * Problem sets live in a workspace: the workspace record lists every set and
+ * remembers which one is active, while each set's info is stored under its own key.
+ * Problems and trash entries are kept in IndexedDB (see problemStore.js).
+ * All problem CRUD functions operate on the active set.
  */
 
-const STORAGE_KEY = 'currentProblemSet';
+const WORKSPACE_KEY = 'workspace';
+const PROBLEM_SET_KEY_PREFIX = 'problemSet:';
+const DEFAULT_PROBLEM_SET_NAME = 'Problem Set 1';
+const TRASH_RETENTION_DAYS = 30;
+const DUPLICATE_POLICIES = ['skip', 'replace', 'keep'];
+const SETTINGS_KEY = 'settings';
+const STORAGE_WARNING_RATIO = 0.8;
 
 /**
- * Save problem set information (title and student name)
- * @param {Object} info - Problem set info {title: string, submittedBy: string}
+ * Defaults for user settings stored under SETTINGS_KEY
+ */
+const DEFAULT_SETTINGS = {
+  // Document generation
+  includePreviousAttempts: false,
+  annotateTags: true,
+  groupByTag: false,
+  includeSummary: false,
+  includeStatement: false,
+  showSubmissionResult: false,
+  // Capture: refuse submissions whose verdict is not Accepted instead of asking
+  blockNotAccepted: false,
+  // Mirror problem sets to chrome.storage.sync (see syncManager.js)
+  syncEnabled: false
+};
+
+/**
+ * Generate a unique identifier for stored records
+ * @returns {string} Unique ID
+ */
+function generateId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Get the storage key that holds a problem set's data
+ * @param {string} setId - Problem set ID
+ * @returns {string} Storage key
+ */
+function getProblemSetKey(setId) {
+  return `${PROBLEM_SET_KEY_PREFIX}${setId}`;
+}
+
+/**
+ * Load the workspace, creating it with a single empty set on first use
+ * Data from older storage layouts is moved in by migrations.js
+ * @returns {Promise<Object>} Workspace {activeSetId: string, sets: Array}
+ */
+async function getWorkspace() {
+  const data = await chrome.storage.local.get(WORKSPACE_KEY);
+  const workspace = data[WORKSPACE_KEY];
+  
+  if (workspace && Array.isArray(workspace.sets) && workspace.sets.length > 0) {
+    return workspace;
+  }
+  
+  const now = Date.now();
+  const firstSet = {
+    id: generateId(),
+    name: DEFAULT_PROBLEM_SET_NAME,
+    createdAt: now,
+    updatedAt: now,
+    archived: false
+  };
+  const newWorkspace = { activeSetId: firstSet.id, sets: [firstSet] };
+  
+  await chrome.storage.local.set({
+    [WORKSPACE_KEY]: newWorkspace,
+    [getProblemSetKey(firstSet.id)]: { info: {}, updatedAt: now }
+  });
+  
+  return newWorkspace;
+}
+
+/**
+ * Get the ID of the active problem set
+ * @returns {Promise<string>} Active problem set ID
+ */
+async function getActiveProblemSetId() {
+  const workspace = await getWorkspace();
+  return workspace.activeSetId;
+}
+
+/**
+ * Read a problem set's data (info and problems)
+ * Info lives in chrome.storage.local, problems in the IndexedDB problem store
+ * @param {string} setId - Problem set ID
+ * @returns {Promise<Object>} Problem set data {info: Object, problems: Array}
+ */
+async function readProblemSetData(setId) {
+  const key = getProblemSetKey(setId);
+  const data = await chrome.storage.local.get(key);
+  const stored = data[key] || {};
+  const info = stored.info || {};
+  
+  // Sets saved before problems moved to IndexedDB still hold them inline; move them on first read
+  if (Array.isArray(stored.problems)) {
+    await writeProblemSetData(setId, { info, problems: stored.problems });
+    return { info, problems: stored.problems };
+  }
+  
+  const problems = await getProblemsBySet(setId);
+  return { info, problems };
+}
+
+/**
+ * Write a problem set's data (info and problems)
+ * Problems missing from setData.problems are deleted from the problem store; changed
+ * problems get a new updatedAt, and changed info touches the set (see touchProblemSet).
+ * The problems are compared and written in one transaction (see changeProblemsForSet)
+ * @param {string} setId - Problem set ID
+ * @param {Object} setData - Problem set data {info: Object, problems: Array}
+ * @returns {Promise<void>}
+ */
+async function writeProblemSetData(setId, setData) {
+  const key = getProblemSetKey(setId);
+  const data = await chrome.storage.local.get(key);
+  const storedInfo = (data[key] || {}).info || {};
+  
+  await changeProblemsForSet(setId, stored => {
+    const problems = stampChangedProblems(stored, setData.problems || []);
+    const keepIds = new Set(problems.map(problem => problem.id));
+    return { put: problems, remove: stored.filter(problem => !keepIds.has(problem.id)).map(problem => problem.id) };
+  });
+  
+  if (JSON.stringify(storedInfo) !== JSON.stringify(setData.info || {})) {
+    await touchProblemSet(setId);
+  }
+  await markProblemSetChanged(setId, setData.info);
+}
+
+/**
+ * Give problems whose content differs from the stored record a new updatedAt
+ * Sync uses updatedAt to decide which device's copy of a problem wins
+ * @param {Array} storedProblems - The set's stored problem records
+ * @param {Array} problems - Problems about to be written
+ * @returns {Array} Problems with updatedAt set where they changed
+ */
+function stampChangedProblems(storedProblems, problems) {
+  const stored = new Map(storedProblems.map(p => [p.id, p]));
+  const now = Date.now();
+  
+  return problems.map(problem => {
+    const previous = stored.get(problem.id);
+    return previous && isSameProblemContent(previous, problem) ? problem : { ...problem, updatedAt: now };
+  });
+}
+
+/**
+ * Compare two problem records, ignoring where and when they were stored
+ * @param {Object} a - Problem record
+ * @param {Object} b - Problem record
+ * @returns {boolean} True if the records hold the same content
+ */
+function isSameProblemContent(a, b) {
+  const { setId: setIdA, updatedAt: updatedAtA, ...contentA } = a;
+  const { setId: setIdB, updatedAt: updatedAtB, ...contentB } = b;
+  return JSON.stringify(contentA) === JSON.stringify(contentB);
+}
+
+/**
+ * Mark a set's name, archived flag or info as changed by bumping its updatedAt
+ * Does nothing for sets that are not in the workspace (yet)
+ * @param {string} setId - Problem set ID
+ * @returns {Promise<void>}
+ */
+async function touchProblemSet(setId) {
+  const workspace = await getWorkspace();
+  const set = workspace.sets.find(s => s.id === setId);
+  if (!set) return;
+  
+  set.updatedAt = Date.now();
+  await chrome.storage.local.set({ [WORKSPACE_KEY]: workspace });
+}
+
+/**
+ * Save a problem set's info and stamp it with the time of the change
+ * Problem records change in IndexedDB, which has no change events; writing this key
+ * after every change lets chrome.storage.onChanged listeners reload the set
+ * @param {string} setId - Problem set ID
+ * @param {Object} info - Problem set info
+ * @returns {Promise<void>}
+ */
+async function markProblemSetChanged(setId, info) {
+  await chrome.storage.local.set({
+    [getProblemSetKey(setId)]: { info: info || {}, updatedAt: Date.now() }
+  });
+}
+
+/**
+ * Validate and normalize a problem set name
+ * @param {string} name - Proposed name
+ * @returns {string} Trimmed name
+ * @throws {Error} If the name is invalid
+ */
+function normalizeProblemSetName(name) {
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    throw new Error('Invalid problem set name: name is required');
+  }
+  
+  if (name.trim().length > 100) {
+    throw new Error('Invalid problem set name: name is too long (maximum 100 characters)');
+  }
+  
+  return name.trim();
+}
+
+/**
+ * List all problem sets in the workspace
+ * @param {Object} [options] - List options
+ * @param {boolean} [options.includeArchived=true] - Include archived sets
+ * @returns {Promise<Array>} Problem set summaries {id, name, createdAt, updatedAt, archived}
+ */
+async function listProblemSets({ includeArchived = true } = {}) {
+  const workspace = await getWorkspace();
+  return workspace.sets.filter(set => includeArchived || !set.archived);
+}
+
+/**
+ * Create a new, empty problem set and make it active
+ * @param {string} name - Problem set name
+ * @returns {Promise<Object>} The created problem set summary
+ * @throws {Error} If the name is invalid
+ */
+async function createProblemSet(name) {
+  const setName = normalizeProblemSetName(name);
+  const workspace = await getWorkspace();
+  const now = Date.now();
+  
+  const newSet = {
+    id: generateId(),
+    name: setName,
+    createdAt: now,
+    updatedAt: now,
+    archived: false
+  };
+  
+  workspace.sets.push(newSet);
+  workspace.activeSetId = newSet.id;
+  
+  await chrome.storage.local.set({
+    [WORKSPACE_KEY]: workspace,
+    [getProblemSetKey(newSet.id)]: { info: {}, updatedAt: now }
+  });
+  
+  return newSet;
+}
+
+/**
+ * Make a problem set the active one
+ * @param {string} setId - Problem set ID
+ * @returns {Promise<void>}
+ * @throws {Error} If the set does not exist
+ */
+async function switchProblemSet(setId) {
+  const workspace = await getWorkspace();
+  
+  if (!workspace.sets.some(set => set.id === setId)) {
+    throw new Error(`Problem set with id ${setId} not found`);
+  }
+  
+  workspace.activeSetId = setId;
+  await chrome.storage.local.set({ [WORKSPACE_KEY]: workspace });
+}
+
+/**
+ * Rename a problem set
+ * @param {string} setId - Problem set ID
+ * @param {string} name - New name
+ * @returns {Promise<void>}
+ * @throws {Error} If the set does not exist or the name is invalid
+ */
+async function renameProblemSet(setId, name) {
+  const setName = normalizeProblemSetName(name);
+  const workspace = await getWorkspace();
+  
+  const set = workspace.sets.find(s => s.id === setId);
+  if (!set) {
+    throw new Error(`Problem set with id ${setId} not found`);
+  }
+  
+  set.name = setName;
+  set.updatedAt = Date.now();
+  await chrome.storage.local.set({ [WORKSPACE_KEY]: workspace });
+}
+
+/**
+ * Duplicate a problem set (info and problems) and make the copy active
+ * @param {string} setId - Problem set ID to copy
+ * @param {string} [name] - Name for the copy (defaults to "<name> (copy)")
+ * @returns {Promise<Object>} The created problem set summary
+ * @throws {Error} If the set does not exist
+ */
+async function duplicateProblemSet(setId, name) {
+  const workspace = await getWorkspace();
+  
+  const source = workspace.sets.find(s => s.id === setId);
+  if (!source) {
+    throw new Error(`Problem set with id ${setId} not found`);
+  }
+  
+  const sourceData = await readProblemSetData(setId);
+  const now = Date.now();
+  const copy = {
+    id: generateId(),
+    name: normalizeProblemSetName(name || `${source.name} (copy)`),
+    createdAt: now,
+    updatedAt: now,
+    archived: false
+  };
+  
+  // Problems get fresh IDs so the two sets never share records
+  await writeProblemSetData(copy.id, {
+    info: { ...sourceData.info },
+    problems: sourceData.problems.map(problem => ({ ...problem, id: generateId() }))
+  });
+  
+  workspace.sets.push(copy);
+  workspace.activeSetId = copy.id;
+  
+  await chrome.storage.local.set({ [WORKSPACE_KEY]: workspace });
+  
+  return copy;
+}
+
+/**
+ * Archive or restore a problem set
+ * Archiving the active set activates the next unarchived set, creating one if needed
+ * @param {string} setId - Problem set ID
+ * @param {boolean} [archived=true] - true to archive, false to restore
+ * @returns {Promise<void>}
+ * @throws {Error} If the set does not exist
+ */
+async function archiveProblemSet(setId, archived = true) {
+  const workspace = await getWorkspace();
+  
+  const set = workspace.sets.find(s => s.id === setId);
+  if (!set) {
+    throw new Error(`Problem set with id ${setId} not found`);
+  }
+  
+  set.archived = archived;
+  set.updatedAt = Date.now();
+  
+  const updates = {};
+  if (archived && workspace.activeSetId === setId) {
+    let nextSet = workspace.sets.find(s => !s.archived);
+    
+    if (!nextSet) {
+      const now = Date.now();
+      nextSet = {
+        id: generateId(),
+        name: DEFAULT_PROBLEM_SET_NAME,
+        createdAt: now,
+        updatedAt: now,
+        archived: false
+      };
+      workspace.sets.push(nextSet);
+      updates[getProblemSetKey(nextSet.id)] = { info: {}, updatedAt: now };
+    }
+    
+    workspace.activeSetId = nextSet.id;
+  }
+  
+  updates[WORKSPACE_KEY] = workspace;
+  await chrome.storage.local.set(updates);
+}
+
+/**
+ * Get user settings, filled in with defaults
+ * @returns {Promise<Object>} Settings (see DEFAULT_SETTINGS)
+ */
+async function getSettings() {
+  const data = await chrome.storage.local.get(SETTINGS_KEY);
+  return { ...DEFAULT_SETTINGS, ...(data[SETTINGS_KEY] || {}) };
+}
+
+/**
+ * Save changes to user settings
+ * @param {Object} updates - Settings to change
+ * @returns {Promise<Object>} Updated settings
+ */
+async function saveSettings(updates) {
+  const settings = { ...(await getSettings()), ...updates };
+  await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+  return settings;
+}
+
+/**
+ * Validate and normalize problem set metadata
+ * Only fields in PROBLEM_SET_METADATA_FIELDS are kept; empty fields are dropped
+ * @param {Object} [metadata] - Metadata values keyed by field key
+ * @returns {Object} Normalized metadata (empty object if there is none)
+ * @throws {Error} If a value is invalid
+ */
+function normalizeProblemSetMetadata(metadata) {
+  const validation = validateProblemSetMetadata(metadata);
+  if (!validation.valid) {
+    throw new Error(`Invalid problem set info: ${validation.error}`);
+  }
+  
+  const normalized = {};
+  PROBLEM_SET_METADATA_FIELDS.forEach(field => {
+    const value = metadata ? metadata[field.key] : undefined;
+    if (typeof value === 'string' && value.trim()) {
+      normalized[field.key] = value.trim();
+    }
+  });
+  
+  return normalized;
+}
+
+/**
+ * Save problem set information (title, student name and assignment metadata)
+ * @param {Object} info - Problem set info {title: string, submittedBy: string, metadata?: Object}
  * @returns {Promise<void>}
  * @throws {Error} If info data is invalid
  */
@@ -25,31 +439,39 @@ async function saveProblemSetInfo(info) {
     throw new Error('Invalid problem set info: submittedBy is required');
   }
   
-  const data = await chrome.storage.local.get(STORAGE_KEY);
-  const currentData = data[STORAGE_KEY] || { info: {}, problems: [] };
+  const setId = await getActiveProblemSetId();
+  const currentData = await readProblemSetData(setId);
+  
+  const metadata = normalizeProblemSetMetadata(info.metadata);
   
   currentData.info = {
     title: info.title.trim(),
     submittedBy: info.submittedBy.trim()
   };
+  if (Object.keys(metadata).length > 0) {
+    currentData.info.metadata = metadata;
+  }
   
-  await chrome.storage.local.set({ [STORAGE_KEY]: currentData });
+  // Problem records are untouched; only the info key is rewritten
+  await touchProblemSet(setId);
+  await markProblemSetChanged(setId, currentData.info);
 }
 
 /**
  * Get problem set information
- * @returns {Promise<Object>} Problem set info {title: string, submittedBy: string}
+ * @returns {Promise<Object>} Problem set info {title: string, submittedBy: string, metadata: Object}
  */
 async function getProblemSetInfo() {
   try {
-    const data = await chrome.storage.local.get(STORAGE_KEY);
-    const currentData = data[STORAGE_KEY] || { info: {}, problems: [] };
+    const setId = await getActiveProblemSetId();
+    const currentData = await readProblemSetData(setId);
     
     // Ensure we return a valid object
     const info = currentData.info || {};
     return {
       title: info.title || '',
-      submittedBy: info.submittedBy || ''
+      submittedBy: info.submittedBy || '',
+      metadata: { ...info.metadata }
     };
   } catch (error) {
     console.error('Error getting problem set info from storage:', error);
@@ -58,12 +480,325 @@ async function getProblemSetInfo() {
 }
 
 /**
- * Add a new problem to the problem set
- * @param {Object} problem - Problem data {name, submissionLink, code, language}
- * @returns {Promise<void>}
+ * Get the LeetCode submission ID of captured data or a submission entry
+ * Falls back to parsing the submission link for data captured without one
+ * @param {Object} submission - Captured data or submission entry
+ * @returns {string|null} Submission ID or null if unknown
+ */
+function getSubmissionId(submission) {
+  if (submission.submissionId) return String(submission.submissionId);
+  
+  const match = (submission.submissionLink || '').match(/\/submissions\/(?:detail\/)?(\d+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Get the LeetCode problem slug of a problem
+ * Falls back to a slug derived from the name for records captured without one
+ * Example: "Two Sum" -> "two-sum"
+ * @param {Object} problem - Problem data
+ * @returns {string} Problem slug
+ */
+function getProblemSlug(problem) {
+  if (problem.slug) return problem.slug;
+  
+  return (problem.name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Get the submission of a problem that goes into the document
+ * @param {Object} problem - Problem record
+ * @returns {Object|null} Primary submission entry
+ */
+function getPrimarySubmission(problem) {
+  const submissions = problem.submissions || [];
+  return submissions.find(s => s.id === problem.primarySubmissionId) ||
+    submissions[submissions.length - 1] ||
+    null;
+}
+
+/**
+ * Expose the primary submission's code, language and link on a problem record
+ * so readers that only need the documented solution can use them directly
+ * @param {Object} problem - Problem record
+ * @returns {Object} Problem record with {code, language, submissionLink, submissionId, result, submitted, extractionMethod}
+ */
+function withPrimarySubmission(problem) {
+  const primary = getPrimarySubmission(problem);
+  if (!primary) return { ...problem };
+  
+  return {
+    ...problem,
+    code: primary.code,
+    language: primary.language,
+    submissionLink: primary.submissionLink,
+    submissionId: primary.submissionId,
+    result: primary.result || null,
+    submitted: primary.submitted !== false,
+    extractionMethod: primary.extractionMethod || null
+  };
+}
+
+/**
+ * Convert a problem record with a single code snapshot to the submission history shape
+ * Records that already have a submission history are returned unchanged
+ * @param {Object} record - Problem record
+ * @returns {Object} Problem record with {submissions, primarySubmissionId}
+ */
+function toSubmissionHistory(record) {
+  if (Array.isArray(record.submissions)) return record;
+  
+  const { code, language, submissionLink, submissionId, ...rest } = record;
+  const submission = {
+    id: generateId(),
+    submissionId: getSubmissionId(record),
+    submissionLink,
+    code,
+    language,
+    capturedAt: record.capturedAt || Date.now()
+  };
+  
+  return {
+    ...rest,
+    slug: getProblemSlug(record),
+    submissions: [submission],
+    primarySubmissionId: submission.id
+  };
+}
+
+/**
+ * Check whether two submissions are the same LeetCode submission
+ * leetcode.com and leetcode.cn number submissions independently, so the sites must match too
+ * @param {Object} a - Captured data or submission entry
+ * @param {Object} b - Captured data or submission entry
+ * @returns {boolean} True if both have the same submission ID on the same site
+ */
+function isSameSubmission(a, b) {
+  const id = getSubmissionId(a);
+  if (!id || id !== getSubmissionId(b)) return false;
+  
+  const siteOf = submission => getLeetCodeSite(submission.submissionLink || '');
+  return siteOf(a) === siteOf(b);
+}
+
+/**
+ * Find an existing capture of the same submission or the same problem
+ * A matching submission (same ID on the same site) takes precedence over a matching slug
+ * @param {Array} problems - Problem records in the set
+ * @param {Object} problem - Captured problem data
+ * @returns {Object|null} {problem: Object, submission: Object|null, reason: 'submission'|'slug'} or null if not a duplicate
+ */
+function findDuplicateProblem(problems, problem) {
+  if (getSubmissionId(problem)) {
+    for (const existing of problems) {
+      const submission = (existing.submissions || []).find(s => isSameSubmission(s, problem));
+      if (submission) {
+        return { problem: existing, submission, reason: 'submission' };
+      }
+    }
+  }
+  
+  const slug = getProblemSlug(problem);
+  if (slug) {
+    const sameProblem = problems.find(p => getProblemSlug(p) === slug);
+    if (sameProblem) {
+      return { problem: sameProblem, submission: null, reason: 'slug' };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Build a submission entry from captured problem data
+ * Editor captures (submitted: false) link to the problem instead of a submission
+ * @param {Object} problem - Validated problem data {submissionLink, code, language, submissionId?, result?, submitted?, extractionMethod?}
+ * @returns {Object} Submission entry {id, submissionId, submissionLink, code, language, result, submitted, extractionMethod, capturedAt}
+ */
+function buildSubmission(problem) {
+  return {
+    id: generateId(),
+    submissionId: getSubmissionId(problem),
+    submissionLink: problem.submissionLink.trim(),
+    code: problem.code,
+    language: problem.language.trim(),
+    result: normalizeSubmissionResult(problem.result),
+    submitted: problem.submitted !== false,
+    extractionMethod: problem.extractionMethod || null,
+    capturedAt: Date.now()
+  };
+}
+
+/**
+ * Validate and normalize a captured submission result
+ * Only the fields in SUBMISSION_RESULT_FIELDS are kept; missing fields become null
+ * @param {Object} [result] - Result {status?, runtime?, runtimePercentile?, memory?, memoryPercentile?, submittedAt?}
+ * @returns {Object|null} Normalized result, or null if nothing about the result is known
+ * @throws {Error} If a field is invalid
+ */
+function normalizeSubmissionResult(result) {
+  if (result === undefined || result === null) return null;
+  
+  const validation = validateSubmissionResult(result);
+  if (!validation.valid) {
+    throw new Error(`Invalid submission result: ${validation.error}`);
+  }
+  
+  const normalized = {};
+  SUBMISSION_RESULT_FIELDS.forEach(key => {
+    const value = typeof result[key] === 'string' ? result[key].trim() : result[key];
+    normalized[key] = value === undefined || value === '' ? null : value;
+  });
+  
+  return Object.values(normalized).some(value => value !== null) ? normalized : null;
+}
+
+/**
+ * Validate and normalize a problem's tags
+ * Tags are trimmed, inner whitespace is collapsed and repeats (ignoring case) are dropped
+ * @param {Array<string>|string} [tags] - Tags, or a comma-separated string of tags
+ * @returns {Array<string>} Normalized tags
+ * @throws {Error} If the tags are not text, there are too many or one is too long
+ */
+function normalizeProblemTags(tags) {
+  if (tags === undefined || tags === null) return [];
+  
+  const list = typeof tags === 'string' ? tags.split(',') : tags;
+  if (!Array.isArray(list) || list.some(tag => typeof tag !== 'string')) {
+    throw new Error('Invalid tags: tags must be a list of text labels');
+  }
+  
+  const normalized = [];
+  list.forEach(tag => {
+    const clean = tag.trim().replace(/\s+/g, ' ');
+    if (!clean) return;
+    
+    if (clean.length > MAX_TAG_LENGTH) {
+      throw new Error(`Invalid tags: "${clean}" is too long (maximum ${MAX_TAG_LENGTH} characters)`);
+    }
+    
+    if (!normalized.some(t => t.toLowerCase() === clean.toLowerCase())) {
+      normalized.push(clean);
+    }
+  });
+  
+  if (normalized.length > MAX_PROBLEM_TAGS) {
+    throw new Error(`Invalid tags: too many tags (maximum ${MAX_PROBLEM_TAGS})`);
+  }
+  
+  return normalized;
+}
+
+/**
+ * Validate and normalize a problem difficulty
+ * @param {string} [difficulty] - Difficulty in any letter case, or empty for none
+ * @returns {string|null} One of PROBLEM_DIFFICULTIES, or null
+ * @throws {Error} If the difficulty is not recognised
+ */
+function normalizeDifficulty(difficulty) {
+  if (!difficulty) return null;
+  
+  const match = PROBLEM_DIFFICULTIES.find(d => d.toLowerCase() === String(difficulty).trim().toLowerCase());
+  if (!match) {
+    throw new Error(`Invalid difficulty: use one of ${PROBLEM_DIFFICULTIES.join(', ')}`);
+  }
+  
+  return match;
+}
+
+/**
+ * Validate and normalize a problem's solution notes
+ * Only the fields in PROBLEM_NOTE_FIELDS are kept; empty fields are dropped
+ * @param {Object} [notes] - Notes {approach?, timeComplexity?, spaceComplexity?, edgeCases?}
+ * @returns {Object} Normalized notes (empty object if there are none)
+ * @throws {Error} If a note is not text or is too long
+ */
+function normalizeProblemNotes(notes) {
+  if (notes === undefined || notes === null) return {};
+  
+  if (typeof notes !== 'object' || Array.isArray(notes)) {
+    throw new Error('Invalid notes: notes must be an object');
+  }
+  
+  const normalized = {};
+  PROBLEM_NOTE_FIELDS.forEach(field => {
+    const value = notes[field.key];
+    if (value === undefined || value === null) return;
+    
+    if (typeof value !== 'string') {
+      throw new Error(`Invalid notes: ${field.label} must be text`);
+    }
+    
+    // Single-line fields such as complexities don't keep line breaks
+    const clean = field.multiline ? value.trim() : value.trim().replace(/\s+/g, ' ');
+    if (clean.length > MAX_NOTE_LENGTH) {
+      throw new Error(`Invalid notes: ${field.label} is too long (maximum ${MAX_NOTE_LENGTH} characters)`);
+    }
+    
+    if (clean) {
+      normalized[field.key] = clean;
+    }
+  });
+  
+  return normalized;
+}
+
+/**
+ * Validate and normalize a captured problem statement
+ * Runs keep only their text and the styles in STATEMENT_RUN_STYLES that are set
+ * @param {Array} [statement] - Statement blocks (see STATEMENT_BLOCK_TYPES)
+ * @returns {Array} Normalized blocks (empty if there is no statement)
+ * @throws {Error} If the statement is malformed or too long
+ */
+function normalizeProblemStatement(statement) {
+  if (statement === undefined || statement === null) return [];
+  
+  const validation = validateProblemStatement(statement);
+  if (!validation.valid) {
+    throw new Error(`Invalid statement: ${validation.error}`);
+  }
+  
+  const normalizeRuns = runs => runs.map(run => {
+    const clean = { text: run.text };
+    STATEMENT_RUN_STYLES.forEach(style => {
+      if (run[style]) clean[style] = true;
+    });
+    return clean;
+  });
+  
+  return statement.map(block => (block.type === 'list'
+    ? { type: 'list', ordered: !!block.ordered, items: block.items.map(normalizeRuns) }
+    : { type: block.type, runs: normalizeRuns(block.runs) }
+  ));
+}
+
+/**
+ * List every tag used in a set of problems
+ * @param {Array} problems - Problems
+ * @returns {Array<string>} Distinct tags, sorted alphabetically
+ */
+function collectProblemTags(problems) {
+  const tags = new Map();
+  problems.forEach(problem => {
+    (problem.tags || []).forEach(tag => {
+      if (!tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+    });
+  });
+  
+  return [...tags.values()].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Validate captured problem data and build a stored problem record from it
+ * @param {Object} problem - Problem data {name, submissionLink, code, language, submissionId?, slug?, tags?, difficulty?, notes?, statement?}
+ * @param {number} order - Position of the problem in its set
+ * @returns {Object} Problem record
  * @throws {Error} If problem data is invalid
  */
-async function addProblem(problem) {
+function buildProblemRecord(problem, order) {
   // Validate required fields
   if (!problem || typeof problem !== 'object') {
     throw new Error('Invalid problem data: problem must be an object');
@@ -85,83 +820,256 @@ async function addProblem(problem) {
     throw new Error('Invalid problem data: language is required');
   }
   
-  const data = await chrome.storage.local.get(STORAGE_KEY);
-  const currentData = data[STORAGE_KEY] || { info: {}, problems: [] };
+  const submission = buildSubmission(problem);
   
-  const newProblem = {
-    id: Date.now().toString(),
+  return {
+    id: generateId(),
     name: problem.name.trim(),
-    submissionLink: problem.submissionLink.trim(),
-    code: problem.code,
-    language: problem.language.trim(),
-    capturedAt: Date.now(),
-    order: currentData.problems.length
+    slug: getProblemSlug(problem),
+    tags: normalizeProblemTags(problem.tags),
+    difficulty: normalizeDifficulty(problem.difficulty),
+    notes: normalizeProblemNotes(problem.notes),
+    statement: normalizeProblemStatement(problem.statement),
+    capturedAt: submission.capturedAt,
+    updatedAt: submission.capturedAt,
+    order,
+    submissions: [submission],
+    primarySubmissionId: submission.id
   };
+}
+
+/**
+ * Add a new problem to the active problem set
+ * Captures of a submission or problem that is already in the set are not saved
+ * unless onDuplicate says how to handle them:
+ * - 'skip': leave the set unchanged
+ * - 'replace': the capture replaces the earlier submission and becomes primary
+ *   (the problem as it was before goes to the trash)
+ * - 'keep': add the capture to the earlier problem's submission history
+ * @param {Object} problem - Problem data {name, submissionLink, code, language, submissionId?, slug?}
+ * @param {Object} [options] - Add options
+ * @param {string} [options.onDuplicate] - 'skip', 'replace' or 'keep'
+ * @returns {Promise<Object>} {status: 'added'|'duplicate'|'skipped'|'replaced', problem: Object|null, duplicate: Object|null}
+ *   where duplicate is {id, name, reason: 'submission'|'slug', capturedAt}
+ * @throws {Error} If problem data is invalid
+ */
+async function addProblem(problem, { onDuplicate } = {}) {
+  if (onDuplicate !== undefined && !DUPLICATE_POLICIES.includes(onDuplicate)) {
+    throw new Error(`Invalid duplicate policy: ${onDuplicate}`);
+  }
+  
+  const setId = await getActiveProblemSetId();
+  const { info } = await readProblemSetData(setId);
+  const workspace = await getWorkspace();
+  const newProblem = buildProblemRecord(problem, 0);
+  const newSubmission = newProblem.submissions[0];
   
-  currentData.problems.push(newProblem);
-  await chrome.storage.local.set({ [STORAGE_KEY]: currentData });
+  // Checked and written in one transaction, so captures running at the same time (e.g. a
+  // batch and an auto-capture) see each other and get their own order
+  const outcome = await changeProblemsForSet(setId, problems => {
+    // After the last problem (problems are sorted by order)
+    const last = problems[problems.length - 1];
+    newProblem.order = last ? Math.max(problems.length, last.order + 1) : 0;
+    
+    const match = findDuplicateProblem(problems, { ...newProblem, ...newSubmission });
+    if (!match) {
+      return { put: [newProblem], result: { status: 'added', problem: newProblem, duplicate: null } };
+    }
+    
+    const existing = match.problem;
+    const duplicate = {
+      id: existing.id,
+      name: existing.name,
+      reason: match.reason,
+      capturedAt: match.submission ? match.submission.capturedAt : existing.capturedAt
+    };
+    
+    if (!onDuplicate) {
+      return { result: { status: 'duplicate', problem: null, duplicate } };
+    }
+    
+    if (onDuplicate === 'skip') {
+      return { result: { status: 'skipped', problem: null, duplicate } };
+    }
+    
+    if (onDuplicate === 'replace') {
+      // Replace the matching submission, or the primary one for another submission of the problem
+      const targetId = match.submission ? match.submission.id : existing.primarySubmissionId;
+      const replaced = existing.submissions.some(s => s.id === targetId);
+      const updated = {
+        ...existing,
+        submissions: replaced
+          ? existing.submissions.map(s => (s.id === targetId ? newSubmission : s))
+          : [...existing.submissions, newSubmission],
+        primarySubmissionId: newSubmission.id,
+        updatedAt: Date.now()
+      };
+      refreshProblemStatement(updated, newProblem);
+      
+      return {
+        put: [updated],
+        trash: [buildTrashEntry(workspace, { kind: 'problem', setId, problems: [existing] })],
+        result: { status: 'replaced', problem: updated, duplicate }
+      };
+    }
+    
+    // 'keep': the capture joins the history; the primary submission stays as it is
+    const updated = { ...existing, submissions: [...existing.submissions, newSubmission], updatedAt: Date.now() };
+    refreshProblemStatement(updated, newProblem);
+    return { put: [updated], result: { status: 'added', problem: updated, duplicate } };
+  });
+  
+  if (outcome.problem) {
+    await markProblemSetChanged(setId, info);
+    outcome.problem = withPrimarySubmission(outcome.problem);
+  }
+  return outcome;
+}
+
+/**
+ * Give a problem the statement of a newer capture of it
+ * A capture without a statement (e.g. it could not be fetched) keeps the one already stored
+ * @param {Object} existing - Stored problem record, updated in place
+ * @param {Object} captured - Record built from the new capture
+ */
+function refreshProblemStatement(existing, captured) {
+  if (captured.statement.length > 0) {
+    existing.statement = captured.statement;
+  }
 }
 
 /**
  * Update an existing problem
+ * Code, language and link updates apply to the problem's primary submission;
+ * tags, difficulty and notes are normalized with normalizeProblemTags, normalizeDifficulty
+ * and normalizeProblemNotes
  * @param {string} id - Problem ID
  * @param {Object} updates - Fields to update
  * @returns {Promise<void>}
  */
 async function updateProblem(id, updates) {
-  const data = await chrome.storage.local.get(STORAGE_KEY);
-  const currentData = data[STORAGE_KEY] || { info: {}, problems: [] };
+  const setId = await getActiveProblemSetId();
+  const currentData = await readProblemSetData(setId);
   
   const problemIndex = currentData.problems.findIndex(p => p.id === id);
   if (problemIndex === -1) {
     throw new Error(`Problem with id ${id} not found`);
   }
   
-  currentData.problems[problemIndex] = {
+  const { code, language, submissionLink, submissionId, ...problemUpdates } = updates;
+  if (problemUpdates.tags !== undefined) {
+    problemUpdates.tags = normalizeProblemTags(problemUpdates.tags);
+  }
+  if (problemUpdates.difficulty !== undefined) {
+    problemUpdates.difficulty = normalizeDifficulty(problemUpdates.difficulty);
+  }
+  if (problemUpdates.notes !== undefined) {
+    problemUpdates.notes = normalizeProblemNotes(problemUpdates.notes);
+  }
+  const problem = {
     ...currentData.problems[problemIndex],
-    ...updates
+    ...problemUpdates,
+    updatedAt: Date.now()
   };
   
-  await chrome.storage.local.set({ [STORAGE_KEY]: currentData });
+  const primary = getPrimarySubmission(problem);
+  if (primary) {
+    if (code !== undefined) primary.code = code;
+    if (language !== undefined) primary.language = language;
+    if (submissionLink !== undefined) {
+      primary.submissionLink = submissionLink;
+      // Keep the derived submission ID in sync with an edited link
+      primary.submissionId = submissionId || getSubmissionId({ submissionLink });
+      // An editor capture whose link now points at a submission has been submitted
+      if (primary.submitted === false && primary.submissionId) {
+        primary.submitted = true;
+      }
+    }
+  }
+  
+  await putProblemRecords(setId, [problem]);
+  await markProblemSetChanged(setId, currentData.info);
 }
 
 /**
- * Delete a problem from the problem set
+ * Choose which submission of a problem goes into the document
  * @param {string} id - Problem ID
+ * @param {string} submissionEntryId - ID of the submission entry to make primary
  * @returns {Promise<void>}
+ * @throws {Error} If the problem or submission does not exist
+ */
+async function setPrimarySubmission(id, submissionEntryId) {
+  const setId = await getActiveProblemSetId();
+  const currentData = await readProblemSetData(setId);
+  
+  const problem = currentData.problems.find(p => p.id === id);
+  if (!problem) {
+    throw new Error(`Problem with id ${id} not found`);
+  }
+  
+  if (!(problem.submissions || []).some(s => s.id === submissionEntryId)) {
+    throw new Error(`Submission ${submissionEntryId} not found in problem ${id}`);
+  }
+  
+  problem.primarySubmissionId = submissionEntryId;
+  problem.updatedAt = Date.now();
+  await putProblemRecords(setId, [problem]);
+  await markProblemSetChanged(setId, currentData.info);
+}
+
+/**
+ * Delete a problem from the problem set
+ * The problem is moved to the trash and can be restored with restoreFromTrash
+ * @param {string} id - Problem ID
+ * @returns {Promise<string|null>} Trash entry ID, or null if the problem was not found
  */
 async function deleteProblem(id) {
-  const data = await chrome.storage.local.get(STORAGE_KEY);
-  const currentData = data[STORAGE_KEY] || { info: {}, problems: [] };
+  const setId = await getActiveProblemSetId();
+  const currentData = await readProblemSetData(setId);
   
   const problemIndex = currentData.problems.findIndex(p => p.id === id);
   
   if (problemIndex === -1) {
     console.warn(`Problem with id ${id} not found in storage`);
     // Don't throw error, just return - problem might already be deleted
-    return;
+    return null;
   }
   
+  const trashEntry = await moveToTrash({
+    kind: 'problem',
+    setId,
+    problems: [currentData.problems[problemIndex]]
+  });
+  
   // Remove the problem
   currentData.problems = currentData.problems.filter(p => p.id !== id);
+  await deleteProblemRecords([id]);
   
   // Reorder remaining problems
+  const now = Date.now();
   currentData.problems.forEach((problem, index) => {
-    problem.order = index;
+    if (problem.order !== index) {
+      problem.order = index;
+      problem.updatedAt = now;
+    }
   });
   
-  await chrome.storage.local.set({ [STORAGE_KEY]: currentData });
+  await putProblemRecords(setId, currentData.problems);
+  await markProblemSetChanged(setId, currentData.info);
   console.log(`Problem ${id} deleted, ${currentData.problems.length} problems remaining`);
+  
+  return trashEntry.id;
 }
 
 /**
  * Get all problems in the current problem set
+ * Each problem carries its primary submission's code, language and submissionLink
  * @returns {Promise<Array>} Array of problems sorted by order
  */
 async function getAllProblems() {
   try {
-    const data = await chrome.storage.local.get(STORAGE_KEY);
-    const currentData = data[STORAGE_KEY] || { info: {}, problems: [] };
+    const setId = await getActiveProblemSetId();
+    const currentData = await readProblemSetData(setId);
     
     // Validate that problems is an array
     if (!Array.isArray(currentData.problems)) {
@@ -170,7 +1078,9 @@ async function getAllProblems() {
     }
     
     // Sort by order field
-    return currentData.problems.sort((a, b) => (a.order || 0) - (b.order || 0));
+    return currentData.problems
+      .sort((a, b) => (a.order || 0) - (b.order || 0))
+      .map(withPrimarySubmission);
   } catch (error) {
     console.error('Error getting problems from storage:', error);
     throw new Error(`Failed to retrieve problems: ${error.message}`);
@@ -194,8 +1104,8 @@ async function reorderProblems(problemIds) {
   }
   
   try {
-    const data = await chrome.storage.local.get(STORAGE_KEY);
-    const currentData = data[STORAGE_KEY] || { info: {}, problems: [] };
+    const setId = await getActiveProblemSetId();
+    const currentData = await readProblemSetData(setId);
     
     // Create a map of id to problem for quick lookup
     const problemMap = new Map(currentData.problems.map(p => [p.id, p]));
@@ -216,7 +1126,7 @@ async function reorderProblems(problemIds) {
     });
     
     currentData.problems = reorderedProblems;
-    await chrome.storage.local.set({ [STORAGE_KEY]: currentData });
+    await writeProblemSetData(setId, currentData);
   } catch (error) {
     console.error('Error reordering problems:', error);
     throw new Error(`Failed to reorder problems: ${error.message}`);
@@ -224,9 +1134,419 @@ async function reorderProblems(problemIds) {
 }
 
 /**
- * Clear all data (problem set info and all problems)
- * @returns {Promise<void>}
+ * Check whether a problem set holds anything worth keeping
+ * A set with info (title, submitter or any metadata field) but no problems still counts
+ * @param {Object} setData - Problem set data {info: Object, problems: Array}
+ * @returns {boolean} True if the set has info or problems
+ */
+function hasProblemSetContents(setData) {
+  const hasInfo = Object.values(setData.info || {})
+    .some(value => value && (typeof value !== 'object' || Object.values(value).some(Boolean)));
+  return hasInfo || (setData.problems || []).length > 0;
+}
+
+/**
+ * Remove all problems from the active problem set, keeping its info
+ * The problems are moved to the trash as one entry
+ * @returns {Promise<string|null>} Trash entry ID, or null if there was nothing to clear
+ */
+async function clearProblems() {
+  const setId = await getActiveProblemSetId();
+  const currentData = await readProblemSetData(setId);
+  
+  if (currentData.problems.length === 0) return null;
+  
+  const trashEntry = await moveToTrash({
+    kind: 'set',
+    setId,
+    problems: currentData.problems
+  });
+  
+  currentData.problems = [];
+  await writeProblemSetData(setId, currentData);
+  
+  return trashEntry.id;
+}
+
+/**
+ * Clear all data of the active problem set (problem set info and all problems)
+ * The set itself stays in the workspace; its contents are moved to the trash
+ * @returns {Promise<string|null>} Trash entry ID, or null if there was nothing to clear
  */
 async function clearAll() {
-  await chrome.storage.local.remove(STORAGE_KEY);
+  const setId = await getActiveProblemSetId();
+  const currentData = await readProblemSetData(setId);
+  
+  let trashEntryId = null;
+  if (hasProblemSetContents(currentData)) {
+    const trashEntry = await moveToTrash({
+      kind: 'set',
+      setId,
+      info: currentData.info,
+      problems: currentData.problems
+    });
+    trashEntryId = trashEntry.id;
+  }
+  
+  await writeProblemSetData(setId, { info: {}, problems: [] });
+  return trashEntryId;
+}
+
+/**
+ * Export a problem set as a portable bundle
+ * @param {string} [setId] - Problem set ID (defaults to the active set)
+ * @returns {Promise<Object>} Bundle {format, version, exportedAt, set, info, problems}
+ * @throws {Error} If the set does not exist
+ */
+async function exportProblemSet(setId) {
+  const workspace = await getWorkspace();
+  const targetId = setId || workspace.activeSetId;
+  
+  const set = workspace.sets.find(s => s.id === targetId);
+  if (!set) {
+    throw new Error(`Problem set with id ${targetId} not found`);
+  }
+  
+  const setData = await readProblemSetData(targetId);
+  const problems = [...setData.problems].sort((a, b) => (a.order || 0) - (b.order || 0));
+  
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    set: {
+      name: set.name,
+      createdAt: set.createdAt
+    },
+    info: { ...setData.info },
+    problems: problems.map(problem => {
+      const { id, setId: _setId, ...exported } = withPrimarySubmission(problem);
+      return exported;
+    })
+  };
+}
+
+/**
+ * Build a problem record from a bundle problem
+ * Keeps the bundle's submission history and capture metadata; bundles written before
+ * submission histories existed become a problem with a single submission
+ * @param {Object} problem - Validated bundle problem
+ * @param {number} order - Position of the problem in its set
+ * @returns {Object} Problem record
+ */
+function buildImportedProblemRecord(problem, order) {
+  const {
+    id, code, language, submissionLink, submissionId,
+    submissions, primarySubmissionId, alternativeOf,
+    ...extra
+  } = problem;
+  
+  const record = {
+    ...extra,
+    ...buildProblemRecord(problem, order),
+    capturedAt: problem.capturedAt || Date.now()
+  };
+  record.submissions[0].capturedAt = record.capturedAt;
+  
+  const history = Array.isArray(submissions)
+    ? submissions.filter(s => s && validateProblemData({ name: problem.name, ...s }).valid)
+    : [];
+  
+  if (history.length > 0) {
+    record.submissions = history.map(s => ({
+      ...s,
+      id: s.id || generateId(),
+      submissionId: getSubmissionId(s)
+    }));
+    const primary = record.submissions.find(s => s.id === primarySubmissionId);
+    record.primarySubmissionId = primary ? primary.id : record.submissions[record.submissions.length - 1].id;
+  }
+  
+  return record;
+}
+
+/**
+ * Import a problem set bundle into the active set
+ * Problems are validated with validateProblemData; invalid ones are skipped and reported
+ * @param {Object} bundle - Parsed bundle (see exportProblemSet)
+ * @param {Object} [options] - Import options
+ * @param {string} [options.mode='merge'] - 'merge' appends to the active set, 'replace' overwrites it
+ * @returns {Promise<Object>} {imported: number, skipped: number, rejected: Array, droppedInfo: Array<string>,
+ *   trashEntryId: string|null}; droppedInfo lists the invalid set info fields that were left out
+ * @throws {Error} If the bundle is invalid or the mode is unknown
+ */
+async function importProblemSet(bundle, { mode = 'merge' } = {}) {
+  if (mode !== 'merge' && mode !== 'replace') {
+    throw new Error(`Invalid import mode: ${mode}`);
+  }
+  
+  const validation = validateProblemSetBundle(bundle);
+  if (!validation.valid) {
+    throw new Error(`Invalid bundle: ${validation.error}`);
+  }
+  
+  const setId = await getActiveProblemSetId();
+  let currentData = await readProblemSetData(setId);
+  let trashEntryId = null;
+  
+  if (mode === 'replace') {
+    // Keep the replaced contents recoverable, including info of a set without problems
+    if (hasProblemSetContents(currentData)) {
+      const trashEntry = await moveToTrash({
+        kind: 'set',
+        setId,
+        info: currentData.info,
+        problems: currentData.problems,
+        replaced: true
+      });
+      trashEntryId = trashEntry.id;
+    }
+    currentData = { info: {}, problems: [] };
+  }
+  
+  // The bundle's valid info fields, normalized as saveProblemSetInfo does
+  const bundleInfo = {};
+  ['title', 'submittedBy'].forEach(key => {
+    if (validation.info[key] && validation.info[key].trim()) {
+      bundleInfo[key] = validation.info[key].trim();
+    }
+  });
+  const bundleMetadata = normalizeProblemSetMetadata(validation.info.metadata);
+  
+  if (mode === 'replace') {
+    currentData.info = { ...bundleInfo };
+    if (Object.keys(bundleMetadata).length > 0) {
+      currentData.info.metadata = bundleMetadata;
+    }
+  } else {
+    // When merging, bundle info only fills fields the set doesn't have yet
+    const info = { ...currentData.info };
+    Object.entries(bundleInfo).forEach(([key, value]) => {
+      if (!info[key]) info[key] = value;
+    });
+    const metadata = { ...bundleMetadata, ...(info.metadata || {}) };
+    if (Object.keys(metadata).length > 0) {
+      info.metadata = metadata;
+    }
+    currentData.info = info;
+  }
+  
+  const importedProblems = [...validation.problems].sort((a, b) => (a.order || 0) - (b.order || 0));
+  let imported = 0;
+  let skipped = 0;
+  
+  for (const problem of importedProblems) {
+    // Skip submissions the set already contains (e.g. importing the same backup twice)
+    const match = findDuplicateProblem(currentData.problems, problem);
+    if (match && match.reason === 'submission') {
+      skipped++;
+      continue;
+    }
+    
+    currentData.problems.push(buildImportedProblemRecord(problem, currentData.problems.length));
+    imported++;
+  }
+  
+  await writeProblemSetData(setId, currentData);
+  
+  return { imported, skipped, rejected: validation.rejected, droppedInfo: validation.droppedInfo, trashEntryId };
+}
+
+/**
+ * Drop trash entries older than the retention period
+ * @param {Array} entries - Trash entries
+ * @returns {Array} Entries still within the retention period
+ */
+function filterExpiredTrash(entries) {
+  const cutoff = Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  return entries.filter(entry => entry.deletedAt >= cutoff);
+}
+
+/**
+ * Move deleted data to the trash
+ * @param {Object} entry - Trash entry data
+ * @param {string} entry.kind - 'problem' for a single deleted problem, 'set' for cleared set contents
+ * @param {string} entry.setId - ID of the set the data was removed from
+ * @param {Array} entry.problems - Removed problems
+ * @param {Object} [entry.info] - Removed set info
+ * @param {boolean} [entry.replaced=false] - The set's contents were replaced (e.g. by an import)
+ *   rather than cleared; restoring puts them back in place of the set's contents
+ * @returns {Promise<Object>} The stored trash entry
+ */
+async function moveToTrash({ kind, setId, problems, info, replaced = false }) {
+  const entry = buildTrashEntry(await getWorkspace(), { kind, setId, problems, info, replaced });
+  await putTrashEntry(entry);
+  
+  return entry;
+}
+
+/**
+ * Build a trash entry without storing it
+ * @param {Object} workspace - Workspace, for the name of the set
+ * @param {Object} entry - Trash entry data (see moveToTrash)
+ * @returns {Object} Trash entry
+ */
+function buildTrashEntry(workspace, { kind, setId, problems, info, replaced = false }) {
+  const set = workspace.sets.find(s => s.id === setId);
+  
+  const entry = {
+    id: generateId(),
+    kind,
+    setId,
+    setName: set ? set.name : DEFAULT_PROBLEM_SET_NAME,
+    deletedAt: Date.now(),
+    problems
+  };
+  if (info) {
+    entry.info = info;
+  }
+  if (replaced) {
+    entry.replaced = true;
+  }
+  
+  return entry;
+}
+
+/**
+ * Get trash entries within the retention period, newest first
+ * Expired entries are purged as a side effect
+ * @returns {Promise<Array>} Trash entries {id, kind, setId, setName, deletedAt, problems, info?, expiresAt}
+ */
+async function getTrash() {
+  const trash = await purgeExpiredTrash();
+  const retentionMs = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  
+  return trash
+    .map(entry => ({ ...entry, expiresAt: entry.deletedAt + retentionMs }))
+    .sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+/**
+ * Permanently remove trash entries older than the retention period
+ * @returns {Promise<Array>} Remaining trash entries
+ */
+async function purgeExpiredTrash() {
+  const trash = await getTrashEntries();
+  const remaining = filterExpiredTrash(trash);
+  
+  if (remaining.length !== trash.length) {
+    const remainingIds = new Set(remaining.map(entry => entry.id));
+    await deleteTrashEntries(trash.filter(entry => !remainingIds.has(entry.id)).map(entry => entry.id));
+    console.log(`Purged ${trash.length - remaining.length} expired trash entries`);
+  }
+  
+  return remaining;
+}
+
+/**
+ * Restore a trash entry into the set it was removed from
+ * If that set no longer exists, a new set with the same name is created. Contents that were
+ * replaced take the place of the set's current contents, which move to the trash in turn;
+ * other entries are added to the set
+ * @param {string} entryId - Trash entry ID
+ * @returns {Promise<Object>} {setId: string, restored: number, replacedEntryId: string|null};
+ *   replacedEntryId is the trash entry holding the contents the restore replaced
+ * @throws {Error} If the entry does not exist
+ */
+async function restoreFromTrash(entryId) {
+  const entry = await getTrashEntry(entryId);
+  if (!entry) {
+    throw new Error(`Trash entry ${entryId} not found. It may have expired.`);
+  }
+  
+  const workspace = await getWorkspace();
+  let setId = entry.setId;
+  if (!workspace.sets.some(s => s.id === setId)) {
+    const newSet = await createProblemSet(entry.setName);
+    setId = newSet.id;
+  }
+  
+  let setData = await readProblemSetData(setId);
+  let replacedEntryId = null;
+  
+  if (entry.replaced) {
+    // Undoing a replace: what replaced the entry goes to the trash, so it can be swapped back
+    if (hasProblemSetContents(setData)) {
+      const replacedEntry = await moveToTrash({
+        kind: 'set',
+        setId,
+        info: setData.info,
+        problems: setData.problems,
+        replaced: true
+      });
+      replacedEntryId = replacedEntry.id;
+    }
+    setData = { info: entry.info || {}, problems: [] };
+  } else if (entry.info) {
+    // Restored info only fills fields that are empty now
+    const info = { ...setData.info };
+    Object.entries(entry.info).forEach(([key, value]) => {
+      if (!info[key]) info[key] = value;
+    });
+    setData.info = info;
+  }
+  
+  let restored = 0;
+  const problems = [...entry.problems].sort((a, b) => (a.order || 0) - (b.order || 0));
+  for (const problem of problems) {
+    // A replaced capture shares its ID with the capture that replaced it; IDs are unique
+    // across all sets in the problem store. Undoing a replace frees the IDs of the set's
+    // current problems, as they leave the set
+    const record = await getProblemRecord(problem.id);
+    const taken = setData.problems.some(p => p.id === problem.id) ||
+      (record && !(entry.replaced && record.setId === setId));
+    const id = taken ? generateId() : problem.id;
+    // Entries trashed before submission histories existed hold a single code snapshot
+    setData.problems.push({ ...toSubmissionHistory(problem), id, order: setData.problems.length });
+    restored++;
+  }
+  
+  await writeProblemSetData(setId, setData);
+  await deleteTrashEntries([entryId]);
+  
+  return { setId, restored, replacedEntryId };
+}
+
+/**
+ * Permanently delete a trash entry
+ * @param {string} entryId - Trash entry ID
+ * @returns {Promise<void>}
+ */
+async function purgeTrashEntry(entryId) {
+  await deleteTrashEntries([entryId]);
+}
+
+/**
+ * Permanently delete every trash entry
+ * @returns {Promise<void>}
+ */
+async function emptyTrash() {
+  await clearTrashEntries();
+}
+
+/**
+ * Report how much of the extension's storage is in use
+ * chrome.storage.local (workspace, set info, settings) and IndexedDB (problems, trash)
+ * have separate quotas; nearQuota is set when either passes STORAGE_WARNING_RATIO
+ * @returns {Promise<Object>} {local: {usedBytes, quotaBytes}, database: {usedBytes, quotaBytes}, ratio: number, nearQuota: boolean}
+ */
+async function getStorageUsage() {
+  const local = {
+    usedBytes: await chrome.storage.local.getBytesInUse(null),
+    quotaBytes: chrome.storage.local.QUOTA_BYTES
+  };
+  
+  const database = { usedBytes: 0, quotaBytes: 0 };
+  if (navigator.storage && navigator.storage.estimate) {
+    const estimate = await navigator.storage.estimate();
+    database.usedBytes = estimate.usage || 0;
+    database.quotaBytes = estimate.quota || 0;
+  }
+  
+  const ratio = Math.max(
+    local.quotaBytes ? local.usedBytes / local.quotaBytes : 0,
+    database.quotaBytes ? database.usedBytes / database.quotaBytes : 0
+  );
+  
+  return { local, database, ratio, nearQuota: ratio >= STORAGE_WARNING_RATIO };
 }
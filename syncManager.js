@@ -0,0 +1,629 @@
+/**
+ * Sync Manager for LeetCode Documentation Generator
+ * Opt-in mirroring of problem sets to chrome.storage.sync, so sets captured on one
+ * device can be documented on another. Syncing runs in the background service worker;
+ * the popup only reads the status. Depends on problemStore.js and storage.js.
+ *
+ * Layout in chrome.storage.sync:
+ * - sync:index: IDs of every synced set
+ * - sync:set:<setId>: name, dates, archived flag, info and a problem index
+ *   {<problemId>: {updatedAt, chunks, statementChunks}}, or {<problemId>: {deletedAt}} for
+ *   deleted problems
+ * - sync:p:<problemId>:<n>: n-th chunk of a problem record's JSON without its statement,
+ *   sized to fit the per-item quota
+ * - sync:s:<problemId>:<n>: n-th chunk of the problem's statement JSON, chunked the same way
+ *
+ * Each set is written with its own chrome.storage.sync call after checking that it fits
+ * in QUOTA_BYTES, so a set that doesn't fit fails alone and the other sets still sync.
+ * Statements are the largest field: a set that only fits without the statements it
+ * changed is written without them (statementChunks 0), and the status says so.
+ *
+ * Conflicts are resolved per problem, and per set for its name and info: the copy with
+ * the newer updatedAt wins. Which set is active is not synced.
+ */
+
+const SYNC_INDEX_KEY = 'sync:index';
+const SYNC_SET_KEY_PREFIX = 'sync:set:';
+const SYNC_PROBLEM_KEY_PREFIX = 'sync:p:';
+const SYNC_STATEMENT_KEY_PREFIX = 'sync:s:';
+const SYNC_STATUS_KEY = 'syncStatus';
+const SYNC_STATE_KEY = 'syncState';
+// Below QUOTA_BYTES_PER_ITEM (8192), leaving room for the key
+const SYNC_CHUNK_BYTES = 7000;
+const SYNC_TOMBSTONE_DAYS = 30;
+const SYNC_DEBOUNCE_MS = 2000;
+
+let syncTimer = null;
+let syncRunning = null;
+let syncRequested = false;
+
+/**
+ * Get the chrome.storage.sync key of a set
+ * @param {string} setId - Problem set ID
+ * @returns {string} Sync key
+ */
+function getSyncSetKey(setId) {
+  return `${SYNC_SET_KEY_PREFIX}${setId}`;
+}
+
+/**
+ * Get the chrome.storage.sync key of one chunk of a problem
+ * @param {string} problemId - Problem ID
+ * @param {number} index - Chunk index
+ * @returns {string} Sync key
+ */
+function getSyncChunkKey(problemId, index) {
+  return `${SYNC_PROBLEM_KEY_PREFIX}${problemId}:${index}`;
+}
+
+/**
+ * Get the chrome.storage.sync key of one chunk of a problem's statement
+ * @param {string} problemId - Problem ID
+ * @param {number} index - Chunk index
+ * @returns {string} Sync key
+ */
+function getSyncStatementChunkKey(problemId, index) {
+  return `${SYNC_STATEMENT_KEY_PREFIX}${problemId}:${index}`;
+}
+
+/**
+ * Split text into chunks that each fit in one chrome.storage.sync item
+ * Sizes are measured as stored: UTF-8 bytes of the JSON-encoded chunk
+ * @param {string} text - Text to split
+ * @param {number} [maxBytes=SYNC_CHUNK_BYTES] - Maximum stored size of a chunk
+ * @returns {Array<string>} Chunks (at least one)
+ */
+function splitIntoChunks(text, maxBytes = SYNC_CHUNK_BYTES) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  let start = 0;
+  
+  while (start < text.length) {
+    let end = Math.min(text.length, start + maxBytes);
+    while (encoder.encode(JSON.stringify(text.slice(start, end))).length > maxBytes) {
+      end = start + Math.floor((end - start) * 0.9);
+    }
+    
+    // Don't split a surrogate pair between two chunks
+    const lastCode = text.charCodeAt(end - 1);
+    if (end < text.length && lastCode >= 0xd800 && lastCode <= 0xdbff) {
+      end--;
+    }
+    
+    chunks.push(text.slice(start, end));
+    start = end;
+  }
+  
+  return chunks.length > 0 ? chunks : [''];
+}
+
+/**
+ * Read JSON split into chunks
+ * @param {Object} remote - Everything in chrome.storage.sync
+ * @param {function(number): string} getKey - Key of the n-th chunk
+ * @param {number} count - Number of chunks
+ * @returns {*} Parsed value, or null if chunks are missing or unreadable
+ */
+function readSyncedChunks(remote, getKey, count) {
+  const parts = [];
+  for (let i = 0; i < count; i++) {
+    const part = remote[getKey(i)];
+    if (typeof part !== 'string') return null;
+    parts.push(part);
+  }
+  
+  try {
+    return JSON.parse(parts.join(''));
+  } catch (error) {
+    console.warn(`Synced item ${getKey(0)} is unreadable:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Read a problem record and its statement from their chunks
+ * @param {Object} remote - Everything in chrome.storage.sync
+ * @param {string} problemId - Problem ID
+ * @param {Object} entry - Index entry {updatedAt, chunks, statementChunks}
+ * @param {Object|undefined} local - Local copy of the problem, if any
+ * @returns {Object|null} Problem record, or null if chunks are missing or unreadable. Without
+ *   synced statement chunks it keeps the local statement, if any
+ */
+function readSyncedProblem(remote, problemId, entry, local) {
+  const record = readSyncedChunks(remote, index => getSyncChunkKey(problemId, index), entry.chunks);
+  if (!record) return null;
+  
+  if (entry.statementChunks > 0) {
+    const statement = readSyncedChunks(remote, index => getSyncStatementChunkKey(problemId, index), entry.statementChunks);
+    return Array.isArray(statement) ? { ...record, statement } : null;
+  }
+  
+  // Left out to fit the quota, or synced before statements were
+  if (local && Array.isArray(local.statement) && local.statement.length > 0) {
+    return { ...record, statement: local.statement };
+  }
+  return { ...record, statement: Array.isArray(record.statement) ? record.statement : [] };
+}
+
+/**
+ * Queue a problem's chunks and its statement's chunks for writing
+ * @param {Object} problem - Local problem record
+ * @param {Object|undefined} previousEntry - Current index entry, if any
+ * @param {Object} updates - Pending chrome.storage.sync writes (filled in)
+ * @param {Array<string>} removals - Pending chrome.storage.sync removals (filled in)
+ * @returns {Object} New index entry {updatedAt, chunks, statementChunks}
+ */
+function pushProblem(problem, previousEntry, updates, removals) {
+  const { setId, statement, ...record } = problem;
+  const chunks = splitIntoChunks(JSON.stringify(record));
+  const statementChunks = Array.isArray(statement) && statement.length > 0
+    ? splitIntoChunks(JSON.stringify(statement))
+    : [];
+  
+  chunks.forEach((chunk, index) => {
+    updates[getSyncChunkKey(problem.id, index)] = chunk;
+  });
+  statementChunks.forEach((chunk, index) => {
+    updates[getSyncStatementChunkKey(problem.id, index)] = chunk;
+  });
+  
+  // A shorter record or statement leaves chunks of the previous version behind
+  const previousChunks = previousEntry && previousEntry.chunks ? previousEntry.chunks : 0;
+  for (let i = chunks.length; i < previousChunks; i++) {
+    removals.push(getSyncChunkKey(problem.id, i));
+  }
+  const previousStatementChunks = previousEntry && previousEntry.statementChunks ? previousEntry.statementChunks : 0;
+  for (let i = statementChunks.length; i < previousStatementChunks; i++) {
+    removals.push(getSyncStatementChunkKey(problem.id, i));
+  }
+  
+  return { updatedAt: getProblemUpdatedAt(problem), chunks: chunks.length, statementChunks: statementChunks.length };
+}
+
+/**
+ * Take the statements queued for writing out of one set's pending changes
+ * The problems keep their index entries with statementChunks 0, and statement chunks they
+ * had in sync storage are removed, so readers keep their own statements
+ * @param {string} setId - Problem set ID
+ * @param {Object} updates - The set's pending chrome.storage.sync writes (changed)
+ * @param {Array<string>} removals - The set's pending chrome.storage.sync removals (filled in)
+ * @param {Object} remote - Everything in chrome.storage.sync
+ * @returns {number} Number of problems whose statements were left out
+ */
+function leaveOutStatements(setId, updates, removals, remote) {
+  const setItem = updates[getSyncSetKey(setId)];
+  if (!setItem) return 0;
+  
+  const problemIds = Object.keys(setItem.problems)
+    .filter(problemId => getSyncStatementChunkKey(problemId, 0) in updates);
+  
+  problemIds.forEach(problemId => {
+    const prefix = `${SYNC_STATEMENT_KEY_PREFIX}${problemId}:`;
+    Object.keys(updates).filter(key => key.startsWith(prefix)).forEach(key => delete updates[key]);
+    Object.keys(remote).filter(key => key.startsWith(prefix) && !removals.includes(key)).forEach(key => removals.push(key));
+    setItem.problems[problemId] = { ...setItem.problems[problemId], statementChunks: 0 };
+  });
+  
+  return problemIds.length;
+}
+
+/**
+ * Get the stored size of chrome.storage.sync items as the quota counts it
+ * (key plus JSON-encoded value, in UTF-8 bytes)
+ * @param {Object} items - Items by key
+ * @returns {number} Bytes
+ */
+function measureSyncItems(items) {
+  const encoder = new TextEncoder();
+  return Object.entries(items).reduce((total, [key, value]) =>
+    total + encoder.encode(key).length + encoder.encode(JSON.stringify(value)).length, 0);
+}
+
+/**
+ * Write one set's changes to chrome.storage.sync if they fit in the total quota
+ * The space they need is checked with getBytesInUse first, counting the items they
+ * overwrite and remove
+ * @param {Object} updates - Items to write
+ * @param {Array<string>} removals - Keys to remove
+ * @returns {Promise<void>}
+ * @throws {Error} If the changes don't fit, or chrome.storage.sync refuses them
+ */
+async function writeSyncChanges(updates, removals) {
+  const keys = Object.keys(updates);
+  if (keys.length === 0 && removals.length === 0) return;
+  
+  const inUse = await chrome.storage.sync.getBytesInUse(null);
+  const replaced = keys.length > 0 ? await chrome.storage.sync.getBytesInUse(keys) : 0;
+  const freed = removals.length > 0 ? await chrome.storage.sync.getBytesInUse(removals.filter(key => !keys.includes(key))) : 0;
+  const needed = measureSyncItems(updates) - replaced - freed;
+  const available = chrome.storage.sync.QUOTA_BYTES - inUse;
+  if (needed > available) {
+    throw new Error(`needs ${Math.ceil(needed / 1024)} KB of sync storage but only ${Math.max(0, Math.floor(available / 1024))} KB is free`);
+  }
+  
+  // Removals first, so the space they free is there for the writes
+  if (removals.length > 0) {
+    await chrome.storage.sync.remove(removals);
+  }
+  if (keys.length > 0) {
+    await chrome.storage.sync.set(updates);
+  }
+}
+
+/**
+ * Get the time a problem was last changed
+ * Records saved before updatedAt existed fall back to their capture time
+ * @param {Object} problem - Problem record
+ * @returns {number} Timestamp
+ */
+function getProblemUpdatedAt(problem) {
+  return problem.updatedAt || problem.capturedAt || 0;
+}
+
+/**
+ * Get the sync status shown in the popup
+ * @returns {Promise<Object>} {state: 'off'|'syncing'|'synced'|'error', lastSyncedAt?, error?, notice?, pulled?, pushed?, pending?};
+ *   notice names sets synced without some of their problem statements
+ */
+async function getSyncStatus() {
+  const data = await chrome.storage.local.get(SYNC_STATUS_KEY);
+  return data[SYNC_STATUS_KEY] || { state: 'off' };
+}
+
+/**
+ * Save the sync status, keeping the time of the last successful sync
+ * @param {Object} status - New status fields
+ * @returns {Promise<void>}
+ */
+async function setSyncStatus(status) {
+  const previous = await getSyncStatus();
+  await chrome.storage.local.set({
+    [SYNC_STATUS_KEY]: { lastSyncedAt: previous.lastSyncedAt || null, ...status }
+  });
+}
+
+/**
+ * Turn a chrome.storage.sync error into a message for the popup
+ * @param {Error} error - Error from chrome.storage.sync
+ * @returns {string} Message
+ */
+function describeSyncError(error) {
+  const message = error && error.message ? error.message : String(error);
+  
+  if (message.includes('QUOTA_BYTES_PER_ITEM')) {
+    return 'A problem set has too many problems to sync. Archive or split large sets.';
+  }
+  if (message.includes('QUOTA_BYTES') || message.includes('MAX_ITEMS')) {
+    return 'Sync storage is full (about 100 KB). Archive old sets or export them as backups.';
+  }
+  if (message.includes('MAX_WRITE_OPERATIONS')) {
+    return 'Too many changes in a short time. Sync will retry with the next change.';
+  }
+  
+  return message;
+}
+
+/**
+ * Run a sync shortly, folding bursts of changes into one run
+ * @param {string} reason - What triggered the sync (for logging)
+ */
+function scheduleSync(reason) {
+  console.log('Sync scheduled:', reason);
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(() => {
+    syncNow().catch(error => console.error('Sync failed:', error));
+  }, SYNC_DEBOUNCE_MS);
+}
+
+/**
+ * Sync now, or right after the sync that is already running
+ * @returns {Promise<void>}
+ */
+async function syncNow() {
+  if (syncRunning) {
+    syncRequested = true;
+    return syncRunning;
+  }
+  
+  syncRunning = runSync();
+  try {
+    await syncRunning;
+  } finally {
+    syncRunning = null;
+  }
+  
+  if (syncRequested) {
+    syncRequested = false;
+    await syncNow();
+  }
+}
+
+/**
+ * Reconcile every problem set with chrome.storage.sync in both directions
+ * Does nothing but record the 'off' status while sync is disabled
+ * @returns {Promise<void>}
+ */
+async function runSync() {
+  const settings = await getSettings();
+  if (!settings.syncEnabled) {
+    await setSyncStatus({ state: 'off' });
+    return;
+  }
+  
+  await setSyncStatus({ state: 'syncing' });
+  
+  try {
+    const remote = await chrome.storage.sync.get(null);
+    const stateData = await chrome.storage.local.get(SYNC_STATE_KEY);
+    const state = stateData[SYNC_STATE_KEY] || {};
+    
+    // Deletion times of problems still in the trash
+    const deletedAt = new Map();
+    (await getTrashEntries()).forEach(entry => {
+      (entry.problems || []).forEach(problem => deletedAt.set(problem.id, entry.deletedAt));
+    });
+    
+    const context = {
+      remote,
+      workspace: await getWorkspace(),
+      syncedProblemIds: new Set(state.problemIds || []),
+      deletedAt,
+      changedSets: []
+    };
+    
+    const remoteSetIds = remote[SYNC_INDEX_KEY] || [];
+    const setIds = [...new Set([...context.workspace.sets.map(s => s.id), ...remoteSetIds])];
+    const totals = { pulled: 0, pushed: 0, pending: 0 };
+    const liveProblemIds = [];
+    const syncedSetIds = [];
+    const failures = [];
+    const withoutStatements = [];
+    
+    // Each set is synced and written on its own, so one that fails doesn't stop the others
+    for (const setId of setIds) {
+      const remoteSet = remote[getSyncSetKey(setId)];
+      if (!remoteSet && !context.workspace.sets.some(s => s.id === setId)) {
+        // Indexed, but its set item never arrived (e.g. its write failed): nothing to pull
+        console.warn(`Sync index lists set ${setId}, which is not in sync storage; dropping it from the index`);
+        continue;
+      }
+      
+      const updates = {};
+      const removals = [];
+      let result = null;
+      try {
+        result = await syncProblemSet(setId, { ...context, updates, removals });
+        totals.pulled += result.pulled;
+        totals.pending += result.pending;
+        liveProblemIds.push(...result.liveProblemIds);
+        
+        try {
+          await writeSyncChanges(updates, removals);
+        } catch (error) {
+          // Problems matter more than their statements: try again without the statements
+          if (leaveOutStatements(setId, updates, removals, remote) === 0) throw error;
+          await writeSyncChanges(updates, removals);
+          withoutStatements.push(`"${getSyncSetName(setId, context)}"`);
+        }
+        totals.pushed += result.pushed;
+      } catch (error) {
+        console.error(`Sync of set ${setId} failed:`, error);
+        failures.push(`"${getSyncSetName(setId, context)}" (${describeSyncError(error)})`);
+        // When the set couldn't be reconciled, its problems synced before stay known, so
+        // deleting one here still syncs as a deletion
+        if (!result && remoteSet) {
+          liveProblemIds.push(...Object.keys(remoteSet.problems || {}).filter(id => context.syncedProblemIds.has(id)));
+        }
+        // A set that never reached sync storage stays out of the index
+        if (!remoteSet) continue;
+      }
+      syncedSetIds.push(setId);
+    }
+    
+    await saveChangedSets(context.changedSets);
+    
+    if (syncedSetIds.length !== remoteSetIds.length || syncedSetIds.some(id => !remoteSetIds.includes(id))) {
+      await chrome.storage.sync.set({ [SYNC_INDEX_KEY]: syncedSetIds });
+    }
+    
+    await chrome.storage.local.set({ [SYNC_STATE_KEY]: { problemIds: liveProblemIds } });
+    const notice = withoutStatements.length > 0
+      ? `Problem statements of ${withoutStatements.join(', ')} did not fit and were not synced`
+      : null;
+    if (failures.length > 0) {
+      await setSyncStatus({ state: 'error', error: `Not synced: ${failures.join('; ')}`, notice, ...totals });
+    } else {
+      await setSyncStatus({ state: 'synced', lastSyncedAt: Date.now(), error: null, notice, ...totals });
+    }
+    console.log(`Sync finished: ${totals.pulled} pulled, ${totals.pushed} pushed, ${totals.pending} pending, ${failures.length} set(s) failed`);
+  } catch (error) {
+    console.error('Sync error:', error);
+    await setSyncStatus({ state: 'error', error: describeSyncError(error) });
+  }
+}
+
+/**
+ * Get the name of a set for sync messages
+ * @param {string} setId - Problem set ID
+ * @param {Object} context - Sync run state (see runSync)
+ * @returns {string} Name from this device, from sync storage, or the ID if neither has it
+ */
+function getSyncSetName(setId, context) {
+  const set = context.workspace.sets.find(s => s.id === setId) ||
+    context.changedSets.find(s => s.id === setId) ||
+    context.remote[getSyncSetKey(setId)];
+  return set && set.name ? set.name : setId;
+}
+
+/**
+ * Reconcile one problem set
+ * Local changes are applied right away; remote writes are queued in context.updates
+ * and context.removals
+ * @param {string} setId - Problem set ID
+ * @param {Object} context - Sync run state (see runSync)
+ * @returns {Promise<Object>} {pulled: number, pushed: number, pending: number, liveProblemIds: Array<string>}
+ */
+async function syncProblemSet(setId, context) {
+  const { remote, workspace, syncedProblemIds, deletedAt, updates, removals } = context;
+  const result = { pulled: 0, pushed: 0, pending: 0, liveProblemIds: [] };
+  const remoteSet = remote[getSyncSetKey(setId)];
+  let remoteChanged = !remoteSet;
+  
+  const key = getProblemSetKey(setId);
+  const stored = await chrome.storage.local.get(key);
+  let info = (stored[key] || {}).info || {};
+  let localChanged = false;
+  
+  // Name, archived flag and info: the newer copy of the set wins
+  let localSet = workspace.sets.find(s => s.id === setId);
+  if (!localSet) {
+    localSet = {
+      id: setId,
+      name: remoteSet.name,
+      createdAt: remoteSet.createdAt,
+      updatedAt: remoteSet.updatedAt,
+      archived: !!remoteSet.archived
+    };
+    info = remoteSet.info || {};
+    context.changedSets.push(localSet);
+    localChanged = true;
+  } else if (remoteSet && remoteSet.updatedAt > localSet.updatedAt) {
+    localSet = { ...localSet, name: remoteSet.name, updatedAt: remoteSet.updatedAt, archived: !!remoteSet.archived };
+    info = remoteSet.info || {};
+    context.changedSets.push(localSet);
+    localChanged = true;
+  } else if (remoteSet && localSet.updatedAt > remoteSet.updatedAt) {
+    remoteChanged = true;
+  }
+  
+  const localProblems = new Map((await getProblemsBySet(setId)).map(p => [p.id, p]));
+  const remoteIndex = remoteSet ? remoteSet.problems || {} : {};
+  const index = {};
+  const pulledRecords = [];
+  const deletedIds = [];
+  const now = Date.now();
+  const tombstoneCutoff = now - SYNC_TOMBSTONE_DAYS * 24 * 60 * 60 * 1000;
+  
+  /**
+   * Take the remote copy of a problem, if all of its chunks have arrived
+   */
+  const pull = (problemId, entry) => {
+    const record = readSyncedProblem(remote, problemId, entry, localProblems.get(problemId));
+    if (record) {
+      pulledRecords.push(record);
+      result.pulled++;
+    } else {
+      // Another device is still writing it; the next sync picks it up
+      result.pending++;
+    }
+  };
+  
+  for (const problemId of new Set([...localProblems.keys(), ...Object.keys(remoteIndex)])) {
+    const local = localProblems.get(problemId);
+    const entry = remoteIndex[problemId];
+    
+    if (local) {
+      const localUpdatedAt = getProblemUpdatedAt(local);
+      const remoteUpdatedAt = entry ? entry.deletedAt || entry.updatedAt : 0;
+      // The same version synced without the statement this device has (left out to fit the
+      // quota, or synced before statements were) is offered again with it
+      const statementMissing = !!entry && !entry.deletedAt && localUpdatedAt === entry.updatedAt &&
+        !entry.statementChunks && Array.isArray(local.statement) && local.statement.length > 0;
+      
+      if (!entry || localUpdatedAt > remoteUpdatedAt || statementMissing) {
+        index[problemId] = pushProblem(local, entry, updates, removals);
+        result.pushed++;
+        result.liveProblemIds.push(problemId);
+        remoteChanged = true;
+      } else if (entry.deletedAt) {
+        // Deleted on another device after the last change here
+        deletedIds.push(problemId);
+        index[problemId] = entry;
+      } else {
+        if (entry.updatedAt > localUpdatedAt) {
+          pull(problemId, entry);
+        }
+        index[problemId] = entry;
+        result.liveProblemIds.push(problemId);
+      }
+      continue;
+    }
+    
+    if (entry.deletedAt) {
+      // Old tombstones are dropped once every device has had time to see them
+      if (entry.deletedAt > tombstoneCutoff) {
+        index[problemId] = entry;
+      } else {
+        remoteChanged = true;
+      }
+      continue;
+    }
+    
+    // Synced before and gone now: deleted on this device, unless the remote copy
+    // changed after the deletion
+    const localDeletedAt = deletedAt.get(problemId) || now;
+    if (syncedProblemIds.has(problemId) && localDeletedAt >= entry.updatedAt) {
+      index[problemId] = { deletedAt: localDeletedAt };
+      for (let i = 0; i < entry.chunks; i++) {
+        removals.push(getSyncChunkKey(problemId, i));
+      }
+      for (let i = 0; i < (entry.statementChunks || 0); i++) {
+        removals.push(getSyncStatementChunkKey(problemId, i));
+      }
+      result.pushed++;
+      remoteChanged = true;
+      continue;
+    }
+    
+    pull(problemId, entry);
+    index[problemId] = entry;
+    result.liveProblemIds.push(problemId);
+  }
+  
+  // Apply remote changes locally without stamping them as new local changes
+  if (pulledRecords.length > 0) {
+    await putProblemRecords(setId, pulledRecords);
+  }
+  if (deletedIds.length > 0) {
+    await deleteProblemRecords(deletedIds);
+  }
+  if (localChanged || pulledRecords.length > 0 || deletedIds.length > 0) {
+    await markProblemSetChanged(setId, info);
+  }
+  
+  if (remoteChanged) {
+    updates[getSyncSetKey(setId)] = {
+      id: setId,
+      name: localSet.name,
+      createdAt: localSet.createdAt,
+      updatedAt: localSet.updatedAt,
+      archived: !!localSet.archived,
+      info,
+      problems: index
+    };
+  }
+  
+  return result;
+}
+
+/**
+ * Write set summaries taken from other devices into the current workspace
+ * The workspace is read again so changes made while syncing are kept
+ * @param {Array} changedSets - Set summaries to add or replace
+ * @returns {Promise<void>}
+ */
+async function saveChangedSets(changedSets) {
+  if (changedSets.length === 0) return;
+  
+  const workspace = await getWorkspace();
+  changedSets.forEach(changed => {
+    const index = workspace.sets.findIndex(s => s.id === changed.id);
+    if (index === -1) {
+      workspace.sets.push(changed);
+    } else {
+      workspace.sets[index] = { ...workspace.sets[index], ...changed };
+    }
+  });
+  
+  await chrome.storage.local.set({ [WORKSPACE_KEY]: workspace });
+}
@@ -0,0 +1,171 @@
+/**
+ * Tests of the API extractor against the local mock of LeetCode's GraphQL endpoint
+ * The content scripts are plain browser scripts, so they are loaded into a VM context with
+ * the few page globals they need, in the order manifest.json loads them
+ */
+
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { after, before, describe, it } = require('node:test');
+const {
+  MOCK_HTTP_ERROR_SUBMISSION_ID,
+  MOCK_SLOW_SUBMISSION_ID,
+  MOCK_SUBMISSIONS,
+  startMockLeetCodeServer
+} = require('./mockLeetCodeGraphql');
+
+const CONTENT_SCRIPTS = ['leetcodeSites.js', 'leetcodeApi.js', 'languages.js', 'extractorRegistry.js', 'pageReadiness.js', 'content.js'];
+
+/**
+ * Load the content scripts as they run on a LeetCode page
+ * @param {string} url - Page URL; a page other than a problem or submission, so nothing runs on load
+ * @returns {Object} VM context holding the scripts' functions and the registered message listener
+ */
+function loadContentScripts(url) {
+  const location = new URL(url);
+  const context = vm.createContext({
+    console: { log() {}, warn() {}, error() {} },
+    fetch,
+    AbortController,
+    URL,
+    setTimeout,
+    clearTimeout,
+    window: { location },
+    document: { cookie: '', querySelector: () => null, querySelectorAll: () => [] },
+    sessionStorage: { getItem: () => null, setItem() {}, removeItem() {} },
+    chrome: {
+      runtime: {
+        onMessage: { addListener: listener => { context.messageListener = listener; } },
+        sendMessage() {}
+      }
+    }
+  });
+  
+  for (const script of CONTENT_SCRIPTS) {
+    const source = fs.readFileSync(path.join(__dirname, '..', script), 'utf8');
+    vm.runInContext(source, context, { filename: script });
+  }
+  return context;
+}
+
+/**
+ * Send a message to the content script's listener
+ * @param {Object} context - Context from loadContentScripts
+ * @param {Object} message - Message, e.g. {type: 'CAPTURE_LATEST_ACCEPTED', slug}
+ * @returns {Promise<Object>} The listener's response
+ */
+function sendContentMessage(context, message) {
+  return new Promise(resolve => {
+    context.messageListener(message, {}, resolve);
+  });
+}
+
+describe('LeetCode API extractor', () => {
+  let mock;
+  let page;
+  let sites;
+  
+  before(async () => {
+    mock = await startMockLeetCodeServer();
+    page = loadContentScripts('https://leetcode.com/problemset/');
+    sites = {
+      global: page.getLeetCodeSite('https://leetcode.com/'),
+      cn: page.getLeetCodeSite('https://leetcode.cn/')
+    };
+  });
+  
+  after(async () => {
+    await mock.close();
+  });
+  
+  const optionsFor = site => ({ site: sites[site], endpoint: mock.endpoints[site], csrfToken: 'test-token', timeoutMs: 2000 });
+  
+  it('reads a leetcode.com submission', async () => {
+    const details = await page.fetchSubmissionDetails('1001', optionsFor('global'));
+    
+    assert.equal(details.code, MOCK_SUBMISSIONS.global[1001].code);
+    assert.equal(details.language, 'python3');
+    assert.equal(details.languageName, 'Python3');
+    assert.equal(details.title, 'Two Sum');
+    assert.equal(details.slug, 'two-sum');
+    assert.deepEqual({ ...details.result }, {
+      status: 'Accepted',
+      runtime: '52 ms',
+      runtimePercentile: 91.5,
+      memory: '17.1 MB',
+      memoryPercentile: 48.2,
+      submittedAt: '2023-11-14T22:13:20.000Z'
+    });
+    
+    const request = mock.requests.at(-1);
+    assert.equal(request.headers['x-csrftoken'], 'test-token');
+    assert.deepEqual(request.body.variables, { submissionId: 1001 });
+  });
+  
+  it('reads a leetcode.cn submission with its translated title and English verdict', async () => {
+    const details = await page.fetchSubmissionDetails('2001', optionsFor('cn'));
+    
+    assert.equal(details.code, MOCK_SUBMISSIONS.cn[2001].code);
+    assert.equal(details.language, 'cpp');
+    assert.equal(details.title, '两数之和');
+    assert.equal(details.result.status, 'Accepted');
+    assert.equal(details.result.runtimePercentile, null);
+    assert.deepEqual(mock.requests.at(-1).body.variables, { id: '2001' });
+  });
+  
+  it('prefers the translated description on leetcode.cn', async () => {
+    const content = await page.fetchQuestionContent('two-sum', optionsFor('cn'));
+    assert.match(content, /给定一个整数数组/);
+  });
+  
+  it('turns an API submission into extracted data', async () => {
+    const extracted = await page.extractFromApi('1001', optionsFor('global'));
+    
+    assert.equal(extracted.name, 'Two Sum');
+    assert.equal(extracted.language, 'Python3');
+    assert.equal(extracted.extractionMethod, 'api');
+  });
+  
+  it('rejects submissions with missing fields', async () => {
+    await assert.rejects(page.fetchSubmissionDetails('1002', optionsFor('global')), /without code/);
+    await assert.rejects(page.fetchSubmissionDetails('1003', optionsFor('global')), /without a language/);
+    await assert.rejects(page.fetchSubmissionDetails('2002', optionsFor('cn')), /without a problem title/);
+    await assert.rejects(page.fetchSubmissionDetails('1999', optionsFor('global')), /no details for this submission/);
+  });
+  
+  it('rejects responses other than HTTP 200', async () => {
+    await assert.rejects(
+      page.fetchSubmissionDetails(MOCK_HTTP_ERROR_SUBMISSION_ID, optionsFor('global')),
+      /HTTP 500/
+    );
+  });
+  
+  it('gives up when the endpoint does not answer in time', async () => {
+    await assert.rejects(
+      page.fetchSubmissionDetails(MOCK_SLOW_SUBMISSION_ID, { ...optionsFor('global'), timeoutMs: 200 }),
+      /did not respond within 0.2 seconds/
+    );
+  });
+  
+  it('passes apiOptions from a message through to the API', async () => {
+    const response = await sendContentMessage(page, {
+      type: 'CAPTURE_LATEST_ACCEPTED',
+      slug: 'two-sum',
+      apiOptions: { endpoint: mock.endpoints.global, csrfToken: 'test-token', timeoutMs: 2000 }
+    });
+    
+    assert.equal(response.success, true, response.error);
+    assert.equal(response.data.submissionId, '1001');
+    assert.equal(response.data.code, MOCK_SUBMISSIONS.global[1001].code);
+    assert.equal(response.data.submissionLink, 'https://leetcode.com/submissions/detail/1001/');
+  });
+  
+  it('only takes apiOptions that survive messaging', () => {
+    const apiOptions = page.readMessageApiOptions({
+      apiOptions: { endpoint: mock.endpoints.cn, csrfToken: '', timeoutMs: -1, fetchImpl: 'fetch' }
+    });
+    assert.deepEqual({ ...apiOptions }, { endpoint: mock.endpoints.cn, csrfToken: '' });
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Local mock of LeetCode's GraphQL endpoint
+ * Answers the queries leetcodeApi.js sends with fixture payloads, so the API extractor can be
+ * tested without a LeetCode session
+ *
+ * One server serves both sites: leetcode.com's queries at /graphql/ and leetcode.cn's at
+ * /cn/graphql/. Two submission IDs misbehave on purpose: MOCK_HTTP_ERROR_SUBMISSION_ID answers
+ * HTTP 500 and MOCK_SLOW_SUBMISSION_ID never answers.
+ *
+ * Run it on its own (`node test/mockLeetCodeGraphql.js [port]`) to point a capture at it: send
+ * the content script `apiOptions: {endpoint}` with EXTRACT_PROBLEM_DATA or CAPTURE_LATEST_ACCEPTED.
+ */
+
+const http = require('http');
+
+const MOCK_HTTP_ERROR_SUBMISSION_ID = 500;
+const MOCK_SLOW_SUBMISSION_ID = 900;
+const MOCK_DEFAULT_PORT = 8787;
+
+// Submission payloads by site and ID, as each site's submission query returns them
+const MOCK_SUBMISSIONS = {
+  global: {
+    1001: {
+      code: 'class Solution:\n    def twoSum(self, nums: List[int], target: int) -> List[int]:\n        seen = {}\n        for i, n in enumerate(nums):\n            if target - n in seen:\n                return [seen[target - n], i]\n            seen[n] = i\n',
+      timestamp: 1700000000,
+      statusCode: 10,
+      runtimeDisplay: '52 ms',
+      runtimePercentile: 91.5,
+      memoryDisplay: '17.1 MB',
+      memoryPercentile: 48.2,
+      lang: { name: 'python3', verboseName: 'Python3' },
+      question: { questionId: '1', title: 'Two Sum', titleSlug: 'two-sum' }
+    },
+    // No code
+    1002: {
+      code: '',
+      timestamp: 1700000000,
+      statusCode: 10,
+      lang: { name: 'python3', verboseName: 'Python3' },
+      question: { questionId: '1', title: 'Two Sum', titleSlug: 'two-sum' }
+    },
+    // No language
+    1003: {
+      code: 'class Solution {\npublic:\n    int answer() { return 42; }\n};\n',
+      timestamp: 1700000000,
+      statusCode: 10,
+      lang: null,
+      question: { questionId: '1', title: 'Two Sum', titleSlug: 'two-sum' }
+    }
+  },
+  cn: {
+    2001: {
+      code: 'class Solution {\npublic:\n    vector<int> twoSum(vector<int>& nums, int target) {\n        unordered_map<int, int> seen;\n        for (int i = 0; i < nums.size(); i++) {\n            if (seen.count(target - nums[i])) return {seen[target - nums[i]], i};\n            seen[nums[i]] = i;\n        }\n        return {};\n    }\n};\n',
+      timestamp: 1700000000,
+      statusDisplay: '通过',
+      runtime: '4 ms',
+      memory: '10.5 MB',
+      lang: 'cpp',
+      question: { questionId: '1', title: 'Two Sum', translatedTitle: '两数之和', titleSlug: 'two-sum' }
+    },
+    // No problem title
+    2002: {
+      code: 'class Solution {\npublic:\n    int answer() { return 42; }\n};\n',
+      timestamp: 1700000000,
+      statusDisplay: '通过',
+      lang: 'cpp',
+      question: { questionId: '1', titleSlug: 'two-sum' }
+    }
+  }
+};
+
+// Submission lists by site and problem slug, newest first
+const MOCK_SUBMISSION_LISTS = {
+  global: {
+    'two-sum': [
+      { id: '1004', statusDisplay: 'Wrong Answer', timestamp: '1700000100' },
+      { id: '1001', statusDisplay: 'Accepted', timestamp: '1700000000' }
+    ]
+  },
+  cn: {
+    'two-sum': [
+      { id: '2001', statusDisplay: '通过', timestamp: '1700000000' }
+    ]
+  }
+};
+
+// Problem descriptions by slug
+const MOCK_QUESTIONS = {
+  'two-sum': {
+    content: '<p>Given an array of integers <code>nums</code>, return the indices of two numbers that add up to <code>target</code>.</p>',
+    translatedContent: '<p>给定一个整数数组 <code>nums</code>，返回和为 <code>target</code> 的两个数的下标。</p>'
+  }
+};
+
+// Sites by endpoint path
+const MOCK_SITE_PATHS = {
+  '/graphql/': 'global',
+  '/cn/graphql/': 'cn'
+};
+
+/**
+ * Answer one GraphQL query
+ * @param {string} site - Site ID from MOCK_SITE_PATHS
+ * @param {Object} body - Request body {query, variables}
+ * @returns {Object|null} Response {status, body}, or null to never answer
+ */
+function answerQuery(site, { query = '', variables = {} }) {
+  const operation = (query.match(/query\s+(\w+)/) || [])[1];
+  
+  if (operation === 'submissionDetails' || operation === 'mySubmissionDetail') {
+    const id = Number(operation === 'submissionDetails' ? variables.submissionId : variables.id);
+    if (id === MOCK_HTTP_ERROR_SUBMISSION_ID) {
+      return { status: 500, body: 'Internal Server Error' };
+    }
+    if (id === MOCK_SLOW_SUBMISSION_ID) {
+      return null;
+    }
+    // LeetCode answers null for submissions it won't show
+    return { status: 200, body: { data: { [operation]: MOCK_SUBMISSIONS[site][id] || null } } };
+  }
+  
+  if (operation === 'submissionList') {
+    const field = site === 'cn' ? 'submissionList' : 'questionSubmissionList';
+    const submissions = MOCK_SUBMISSION_LISTS[site][variables.questionSlug] || [];
+    return { status: 200, body: { data: { [field]: { lastKey: null, hasNext: false, submissions } } } };
+  }
+  
+  if (operation === 'questionContent') {
+    return { status: 200, body: { data: { question: MOCK_QUESTIONS[variables.titleSlug] || null } } };
+  }
+  
+  return { status: 200, body: { errors: [{ message: `Unknown query: ${operation}` }] } };
+}
+
+/**
+ * Start the mock endpoint
+ * @param {number} [port=0] - Port to listen on; 0 picks a free one
+ * @returns {Promise<Object>} {endpoints: {global, cn}, requests, close}; requests lists
+ *   {site, headers, body} for every query received, and close() stops the server
+ */
+function startMockLeetCodeServer(port = 0) {
+  const requests = [];
+  
+  const server = http.createServer((request, response) => {
+    // Captures from a LeetCode tab are cross-origin requests with cookies
+    response.setHeader('Access-Control-Allow-Origin', request.headers.origin || '*');
+    response.setHeader('Access-Control-Allow-Credentials', 'true');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type, x-csrftoken');
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204);
+      response.end();
+      return;
+    }
+    
+    const site = MOCK_SITE_PATHS[request.url];
+    if (!site || request.method !== 'POST') {
+      response.writeHead(404);
+      response.end('Not Found');
+      return;
+    }
+    
+    let raw = '';
+    request.on('data', chunk => {
+      raw += chunk;
+    });
+    request.on('end', () => {
+      let body;
+      try {
+        body = JSON.parse(raw);
+      } catch (error) {
+        response.writeHead(400);
+        response.end('Bad Request');
+        return;
+      }
+      
+      requests.push({ site, headers: request.headers, body });
+      const answer = answerQuery(site, body);
+      if (!answer) return;
+      
+      if (typeof answer.body === 'string') {
+        response.writeHead(answer.status, { 'Content-Type': 'text/plain' });
+        response.end(answer.body);
+      } else {
+        response.writeHead(answer.status, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(answer.body));
+      }
+    });
+  });
+  
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      const origin = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        endpoints: { global: `${origin}/graphql/`, cn: `${origin}/cn/graphql/` },
+        requests,
+        close: () => new Promise(done => {
+          // Queries left unanswered on purpose would keep the server open
+          server.closeAllConnections();
+          server.close(() => done());
+        })
+      });
+    });
+  });
+}
+
+module.exports = {
+  MOCK_HTTP_ERROR_SUBMISSION_ID,
+  MOCK_SLOW_SUBMISSION_ID,
+  MOCK_SUBMISSIONS,
+  startMockLeetCodeServer
+};
+
+if (require.main === module) {
+  startMockLeetCodeServer(Number(process.argv[2]) || MOCK_DEFAULT_PORT).then(({ endpoints }) => {
+    console.log(`Mock LeetCode GraphQL endpoints:\n  leetcode.com: ${endpoints.global}\n  leetcode.cn:  ${endpoints.cn}`);
+  });
+}
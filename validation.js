@@ -0,0 +1,424 @@
+/**
+ * Validation Helpers for LeetCode Documentation Generator
+ * Shared validation rules for captured problems and imported bundles
+ */
+
+const BUNDLE_FORMAT = 'leetcode-doc-generator/problem-set';
+const BUNDLE_VERSION = 2;
+const PROBLEM_DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+const MAX_PROBLEM_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+const MAX_NOTE_LENGTH = 10000;
+const MAX_STATEMENT_LENGTH = 50000;
+const MAX_RESULT_TEXT_LENGTH = 50;
+
+/**
+ * Fields of a submission result as captured from LeetCode; every field may be null
+ * - status: e.g. "Accepted", "Wrong Answer"
+ * - runtime, memory: display values such as "3 ms", "12.1 MB"
+ * - runtimePercentile, memoryPercentile: "beats" percentages (0-100)
+ * - submittedAt: ISO date of the submission
+ */
+const SUBMISSION_RESULT_FIELDS = ['status', 'runtime', 'runtimePercentile', 'memory', 'memoryPercentile', 'submittedAt'];
+const ACCEPTED_STATUS = 'Accepted';
+
+/**
+ * How a submission's code was read, recorded on each submission:
+ * - api: LeetCode's GraphQL API, exactly as submitted
+ * - editor: the problem page's editor model
+ * - line-nodes: the syntax highlighter's per-line DOM nodes
+ * - text: the code element's text, which had no line numbers left in it
+ * - regex: line numbers stripped by pattern matching, which can be off
+ */
+const CODE_EXTRACTION_METHODS = ['api', 'editor', 'line-nodes', 'text', 'regex'];
+
+/**
+ * Block types of a captured problem statement:
+ * - paragraph: {type, runs}
+ * - code: {type, runs} - preformatted text such as an example's Input/Output
+ * - list: {type, ordered, items} where each item is an array of runs
+ * A run is {text, bold?, italic?, code?, sup?, sub?}.
+ */
+const STATEMENT_BLOCK_TYPES = ['paragraph', 'code', 'list'];
+const STATEMENT_RUN_STYLES = ['bold', 'italic', 'code', 'sup', 'sub'];
+
+/**
+ * Per-problem solution notes, in the order they appear in the popup and the document
+ * @type {Array<{key: string, label: string, multiline: boolean, placeholder: string}>}
+ */
+const PROBLEM_NOTE_FIELDS = [
+  { key: 'approach', label: 'Approach', multiline: true, placeholder: 'How the solution works' },
+  { key: 'timeComplexity', label: 'Time Complexity', multiline: false, placeholder: 'e.g. O(n log n)' },
+  { key: 'spaceComplexity', label: 'Space Complexity', multiline: false, placeholder: 'e.g. O(1)' },
+  { key: 'edgeCases', label: 'Edge Cases', multiline: true, placeholder: 'Empty input, duplicates, overflow...' }
+];
+
+/**
+ * Extra assignment details stored with a problem set and printed in the document header
+ * under "Submitted by", in this order. Add an entry here to offer another field;
+ * type 'date' fields hold YYYY-MM-DD strings.
+ * @type {Array<{key: string, label: string, type: string, maxLength: number, placeholder: string}>}
+ */
+const PROBLEM_SET_METADATA_FIELDS = [
+  { key: 'courseCode', label: 'Course Code', type: 'text', maxLength: 50, placeholder: 'Course Code (e.g., CS201)' },
+  { key: 'section', label: 'Section', type: 'text', maxLength: 50, placeholder: 'Section' },
+  { key: 'rollNumber', label: 'Roll / Registration No.', type: 'text', maxLength: 50, placeholder: 'Roll / Registration Number' },
+  { key: 'instructor', label: 'Instructor', type: 'text', maxLength: 100, placeholder: 'Instructor' },
+  { key: 'dueDate', label: 'Due Date', type: 'date', maxLength: 10, placeholder: 'Due Date' },
+  { key: 'submissionDate', label: 'Submission Date', type: 'date', maxLength: 10, placeholder: 'Submission Date' }
+];
+
+/**
+ * Validate problem set metadata (see PROBLEM_SET_METADATA_FIELDS)
+ * Empty fields are allowed; unknown fields are ignored
+ * @param {Object} metadata - Metadata values keyed by field key
+ * @returns {Object} {valid: boolean, error: string|null}
+ */
+function validateProblemSetMetadata(metadata) {
+  if (metadata === undefined || metadata === null) {
+    return { valid: true, error: null };
+  }
+  
+  if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+    return { valid: false, error: 'Problem set details must be an object' };
+  }
+  
+  for (const field of PROBLEM_SET_METADATA_FIELDS) {
+    const value = metadata[field.key];
+    if (value === undefined || value === null || value === '') continue;
+    
+    if (typeof value !== 'string') {
+      return { valid: false, error: `${field.label} must be text` };
+    }
+    
+    if (value.trim().length > field.maxLength) {
+      return { valid: false, error: `${field.label} is too long (maximum ${field.maxLength} characters)` };
+    }
+    
+    if (field.type === 'date' && value.trim() && !isValidDateString(value.trim())) {
+      return { valid: false, error: `${field.label} is not a valid date` };
+    }
+  }
+  
+  return { valid: true, error: null };
+}
+
+/**
+ * Check that a string is a real calendar date in YYYY-MM-DD form
+ * @param {string} value - Date string
+ * @returns {boolean} True if the date exists
+ */
+function isValidDateString(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return false;
+  
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Validate captured problem data before saving
+ * @param {Object} problemData - Problem data {name, submissionLink, code, language, tags?, difficulty?, notes?, statement?, result?, submitted?, extractionMethod?}
+ * @returns {Object} {valid: boolean, error: string|null}
+ */
+function validateProblemData(problemData) {
+  // Check if required fields exist
+  if (!problemData) {
+    return { valid: false, error: 'No problem data provided' };
+  }
+  
+  // Validate problem name
+  if (!problemData.name || typeof problemData.name !== 'string' || problemData.name.trim().length === 0) {
+    return { valid: false, error: 'Problem name is required and cannot be empty' };
+  }
+  
+  if (problemData.name.length > 300) {
+    return { valid: false, error: 'Problem name is too long (maximum 300 characters)' };
+  }
+  
+  // Validate submission link
+  if (!problemData.submissionLink || typeof problemData.submissionLink !== 'string' || problemData.submissionLink.trim().length === 0) {
+    return { valid: false, error: 'Submission link is required and cannot be empty' };
+  }
+  
+  // Check if submission link is a valid URL
+  try {
+    const url = new URL(problemData.submissionLink);
+    if (!getLeetCodeSite(url.href)) {
+      return { valid: false, error: `Submission link must be from ${getLeetCodeHostnames().join(' or ')}` };
+    }
+  } catch (e) {
+    return { valid: false, error: 'Submission link is not a valid URL' };
+  }
+  
+  // Validate code
+  if (!problemData.code || typeof problemData.code !== 'string' || problemData.code.trim().length === 0) {
+    return { valid: false, error: 'Code is required and cannot be empty' };
+  }
+  
+  if (problemData.code.length > 100000) {
+    return { valid: false, error: 'Code is too long (maximum 100,000 characters)' };
+  }
+  
+  // Validate language
+  if (!problemData.language || typeof problemData.language !== 'string' || problemData.language.trim().length === 0) {
+    return { valid: false, error: 'Programming language is required and cannot be empty' };
+  }
+  
+  // Validate optional tags and difficulty
+  if (problemData.tags !== undefined) {
+    if (!Array.isArray(problemData.tags) || problemData.tags.some(tag => typeof tag !== 'string')) {
+      return { valid: false, error: 'Tags must be a list of text labels' };
+    }
+    
+    if (problemData.tags.length > MAX_PROBLEM_TAGS) {
+      return { valid: false, error: `Too many tags (maximum ${MAX_PROBLEM_TAGS})` };
+    }
+    
+    if (problemData.tags.some(tag => tag.trim().length > MAX_TAG_LENGTH)) {
+      return { valid: false, error: `Tag is too long (maximum ${MAX_TAG_LENGTH} characters)` };
+    }
+  }
+  
+  if (problemData.difficulty && !PROBLEM_DIFFICULTIES.includes(problemData.difficulty)) {
+    return { valid: false, error: `Difficulty must be one of ${PROBLEM_DIFFICULTIES.join(', ')}` };
+  }
+  
+  // Validate optional notes
+  if (problemData.notes !== undefined && problemData.notes !== null) {
+    if (typeof problemData.notes !== 'object' || Array.isArray(problemData.notes)) {
+      return { valid: false, error: 'Notes must be an object' };
+    }
+    
+    for (const field of PROBLEM_NOTE_FIELDS) {
+      const value = problemData.notes[field.key];
+      if (value === undefined) continue;
+      
+      if (typeof value !== 'string') {
+        return { valid: false, error: `${field.label} must be text` };
+      }
+      
+      if (value.length > MAX_NOTE_LENGTH) {
+        return { valid: false, error: `${field.label} is too long (maximum ${MAX_NOTE_LENGTH.toLocaleString('en-US')} characters)` };
+      }
+    }
+  }
+  
+  // Validate optional problem statement
+  if (problemData.statement !== undefined && problemData.statement !== null) {
+    const statementValidation = validateProblemStatement(problemData.statement);
+    if (!statementValidation.valid) {
+      return statementValidation;
+    }
+  }
+  
+  // Validate optional submitted flag (false for code captured from the editor)
+  if (problemData.submitted !== undefined && typeof problemData.submitted !== 'boolean') {
+    return { valid: false, error: 'Submitted flag must be true or false' };
+  }
+  
+  // Validate optional code extraction method
+  if (problemData.extractionMethod !== undefined && problemData.extractionMethod !== null &&
+      !CODE_EXTRACTION_METHODS.includes(problemData.extractionMethod)) {
+    return { valid: false, error: `Unknown code extraction method: ${problemData.extractionMethod}` };
+  }
+  
+  // Validate optional submission result
+  if (problemData.result !== undefined && problemData.result !== null) {
+    const resultValidation = validateSubmissionResult(problemData.result);
+    if (!resultValidation.valid) {
+      return resultValidation;
+    }
+  }
+  
+  return { valid: true, error: null };
+}
+
+/**
+ * Validate a captured submission result (see SUBMISSION_RESULT_FIELDS)
+ * @param {Object} result - Submission result
+ * @returns {Object} {valid: boolean, error: string|null}
+ */
+function validateSubmissionResult(result) {
+  if (typeof result !== 'object' || Array.isArray(result)) {
+    return { valid: false, error: 'Submission result must be an object' };
+  }
+  
+  for (const key of ['status', 'runtime', 'memory']) {
+    const value = result[key];
+    if (value === undefined || value === null) continue;
+    
+    if (typeof value !== 'string' || value.length > MAX_RESULT_TEXT_LENGTH) {
+      return { valid: false, error: `Submission ${key} must be text of at most ${MAX_RESULT_TEXT_LENGTH} characters` };
+    }
+  }
+  
+  for (const key of ['runtimePercentile', 'memoryPercentile']) {
+    const value = result[key];
+    if (value === undefined || value === null) continue;
+    
+    if (typeof value !== 'number' || !(value >= 0 && value <= 100)) {
+      return { valid: false, error: 'Submission percentiles must be numbers from 0 to 100' };
+    }
+  }
+  
+  if (result.submittedAt !== undefined && result.submittedAt !== null &&
+      (typeof result.submittedAt !== 'string' || isNaN(new Date(result.submittedAt).getTime()))) {
+    return { valid: false, error: 'Submission time must be a valid date' };
+  }
+  
+  return { valid: true, error: null };
+}
+
+/**
+ * Check whether a submission result has a verdict other than Accepted
+ * A result without a known status is not treated as rejected
+ * @param {Object|null} result - Submission result
+ * @returns {boolean} True if the submission is known not to be accepted
+ */
+function isNotAcceptedResult(result) {
+  return !!(result && result.status && result.status !== ACCEPTED_STATUS);
+}
+
+/**
+ * Validate a captured problem statement (see STATEMENT_BLOCK_TYPES)
+ * @param {Array} statement - Statement blocks
+ * @returns {Object} {valid: boolean, error: string|null}
+ */
+function validateProblemStatement(statement) {
+  if (!Array.isArray(statement)) {
+    return { valid: false, error: 'Problem statement must be a list of blocks' };
+  }
+  
+  let length = 0;
+  const checkRuns = (runs) => {
+    if (!Array.isArray(runs) || runs.some(run => !run || typeof run.text !== 'string')) {
+      return false;
+    }
+    runs.forEach(run => {
+      length += run.text.length;
+    });
+    return true;
+  };
+  
+  for (const block of statement) {
+    if (!block || !STATEMENT_BLOCK_TYPES.includes(block.type)) {
+      return { valid: false, error: 'Problem statement has a block of unknown type' };
+    }
+    
+    const runsValid = block.type === 'list'
+      ? Array.isArray(block.items) && block.items.every(checkRuns)
+      : checkRuns(block.runs);
+    if (!runsValid) {
+      return { valid: false, error: 'Problem statement has a malformed block' };
+    }
+  }
+  
+  if (length > MAX_STATEMENT_LENGTH) {
+    return { valid: false, error: `Problem statement is too long (maximum ${MAX_STATEMENT_LENGTH.toLocaleString('en-US')} characters)` };
+  }
+  
+  return { valid: true, error: null };
+}
+
+/**
+ * Check the set info of a bundle field by field
+ * Title and submittedBy must be text and metadata must pass validateProblemSetMetadata;
+ * fields that don't are left out and reported
+ * @param {Object} [info] - Bundle set info {title?, submittedBy?, metadata?}
+ * @returns {Object} {info: Object, dropped: Array<string>} Info with only the valid fields, and why the others were left out
+ */
+function validateBundleInfo(info) {
+  const result = { info: {}, dropped: [] };
+  if (!info) return result;
+  
+  [['title', 'Title'], ['submittedBy', 'Submitted by']].forEach(([key, label]) => {
+    const value = info[key];
+    if (value === undefined || value === null || value === '') return;
+    if (typeof value === 'string') {
+      result.info[key] = value;
+    } else {
+      result.dropped.push(`${label} must be text`);
+    }
+  });
+  
+  const metadata = info.metadata;
+  if (metadata === undefined || metadata === null) return result;
+  if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+    result.dropped.push('Problem set details must be an object');
+    return result;
+  }
+  
+  result.info.metadata = {};
+  PROBLEM_SET_METADATA_FIELDS.forEach(field => {
+    const value = metadata[field.key];
+    if (value === undefined) return;
+    
+    const validation = validateProblemSetMetadata({ [field.key]: value });
+    if (validation.valid) {
+      result.info.metadata[field.key] = value;
+    } else {
+      result.dropped.push(validation.error);
+    }
+  });
+  
+  return result;
+}
+
+/**
+ * Validate an exported problem set bundle
+ * Each problem is checked with the same rules as validateProblemData; problems that
+ * fail are reported in `rejected` rather than failing the whole bundle. Invalid set info
+ * fields are likewise left out of `info` and reported in `droppedInfo` (see validateBundleInfo)
+ * @param {Object} bundle - Parsed bundle
+ * @returns {Object} {valid: boolean, error: string|null, info: Object, droppedInfo: Array<string>, problems: Array,
+ *   rejected: Array<{index: number, name: string, error: string}>}
+ */
+function validateProblemSetBundle(bundle) {
+  const result = { valid: false, error: null, info: {}, droppedInfo: [], problems: [], rejected: [] };
+  
+  if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+    result.error = 'File is not a problem set bundle';
+    return result;
+  }
+  
+  if (bundle.format !== BUNDLE_FORMAT) {
+    result.error = 'File is not a LeetCode Doc Generator problem set bundle';
+    return result;
+  }
+  
+  if (typeof bundle.version !== 'number' || bundle.version > BUNDLE_VERSION) {
+    result.error = `Unsupported bundle version: ${bundle.version}`;
+    return result;
+  }
+  
+  if (bundle.info !== undefined && (typeof bundle.info !== 'object' || bundle.info === null)) {
+    result.error = 'Bundle set info is invalid';
+    return result;
+  }
+  
+  const infoValidation = validateBundleInfo(bundle.info);
+  result.info = infoValidation.info;
+  result.droppedInfo = infoValidation.dropped;
+  
+  if (!Array.isArray(bundle.problems)) {
+    result.error = 'Bundle does not contain a problems list';
+    return result;
+  }
+  
+  bundle.problems.forEach((problem, index) => {
+    const validation = validateProblemData(problem);
+    if (validation.valid) {
+      result.problems.push(problem);
+    } else {
+      result.rejected.push({
+        index,
+        name: (problem && typeof problem.name === 'string' && problem.name) || `Problem ${index + 1}`,
+        error: validation.error
+      });
+    }
+  });
+  
+  result.valid = true;
+  return result;
+}